@@ -9,10 +9,13 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { 
   calculateStatistics, 
+  calculateStatisticsStream,
   fp, 
   statsCalculators, 
-  validateAndCleanData 
+  validateAndCleanData,
+  STREAM_DEFAULT_STATS
 } from '../src/core/statistics.js';
+import { calculateStatisticsParallel, defaultWorkerCount } from '../src/core/parallel.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -205,6 +208,49 @@ async function runBenchmarks() {
       console.log(`\n🏆 最快的数据验证: ${this.filter('fastest').map('name')}\n`);
     });
   
+  // 单线程与多线程并行统计吞吐量对比
+  console.log('🧵 单线程与并行统计对比:\n');
+  
+  const parallelSuite = new Benchmark.Suite('并行统计测试');
+  const workerCounts = [...new Set([2, defaultWorkerCount()])];
+  
+  for (const name of ['large', 'xlarge']) {
+    const data = dataSets[name];
+    const label = `${name} (${data.length.toLocaleString()}条)`;
+    parallelSuite
+      .add(`单线程完整统计 - ${label}`, () => {
+        calculateStatistics(data);
+      })
+      .add(`单线程累加器聚合 - ${label}`, {
+        defer: true,
+        fn: (deferred) => calculateStatisticsStream([data]).then(() => deferred.resolve())
+      });
+    for (const workers of workerCounts) {
+      parallelSuite.add(`并行聚合 ${workers} 线程 - ${label}`, {
+        defer: true,
+        // 与单线程累加器聚合使用相同的指标，显式允许近似聚合
+        fn: (deferred) => calculateStatisticsParallel(data, {
+          workers,
+          threshold: 0,
+          approximate: true,
+          stats: STREAM_DEFAULT_STATS
+        }).then(() => deferred.resolve())
+      });
+    }
+  }
+  
+  parallelSuite
+    .on('cycle', (event) => {
+      const target = event.target;
+      const size = target.name.includes('xlarge') ? dataSets.xlarge.length : dataSets.large.length;
+      console.log(`  ${target.name}:`);
+      console.log(`    平均耗时: ${(target.stats.mean * 1000).toFixed(2)}ms`);
+      console.log(`    吞吐量: ${(size / target.stats.mean).toFixed(0)} 记录/秒\n`);
+    })
+    .on('complete', function() {
+      console.log(`🏆 吞吐量最高: ${this.filter('fastest').map('name')}\n`);
+    });
+  
   // 生成性能报告
   await generatePerformanceReport(dataSets);
   
@@ -218,8 +264,12 @@ async function runBenchmarks() {
         setTimeout(() => {
           validationSuite.run();
           setTimeout(() => {
-            console.log('🎉 所有基准测试完成！');
-            resolve();
+            // 并行测试是异步的，在 complete 事件后结束
+            parallelSuite.on('complete', () => {
+              console.log('🎉 所有基准测试完成！');
+              resolve();
+            });
+            parallelSuite.run({ async: true });
           }, 1000);
         }, 1000);
       }, 1000);
@@ -0,0 +1,902 @@
+/**
+ * 报告格式化模块
+ * CSV / Markdown / HTML 报告输出，分组和指标按固定顺序排列，便于在 git 中对比
+ */
+
+import { flattenGroups, compareKeys } from '../core/statistics.js';
+
+export { compareKeys };
+
+// 统计指标显示名称及顺序，百分位指标 pN 显示为 PN
+export const STAT_LABELS = {
+  mean: '平均值',
+  max: '最大值',
+  min: '最小值',
+  median: '中位数',
+  sum: '总和',
+  count: '记录数',
+  mode: '众数',
+  variance: '总体方差',
+  sampleVariance: '样本方差',
+  stddev: '总体标准差',
+  sampleStddev: '样本标准差',
+  iqr: '四分位距',
+  skewness: '偏度',
+  kurtosis: '峰度',
+  cv: '变异系数',
+  weightedMean: '加权平均',
+  weightedMedian: '加权中位数',
+  weightedVariance: '加权方差',
+  weightedSum: '加权总和'
+};
+
+// 维度标题，未列出的维度按字段名生成
+const DIMENSION_TITLES = {
+  byRegion: '按地区统计',
+  byResource: '按资源类型统计',
+  byRegionAndYear: '按地区和年份统计'
+};
+
+export function statLabel(name) {
+  return STAT_LABELS[name] || name.toUpperCase();
+}
+
+export function dimensionTitle(dimension) {
+  return DIMENSION_TITLES[dimension.name] || `按 ${dimension.fields.join(' × ')} 统计`;
+}
+
+// 趋势分析标题，未列出的按分组字段名生成
+const TREND_TITLES = {
+  byRegion: '地区趋势',
+  byResource: '资源类型趋势'
+};
+
+export const TREND_COLUMNS = ['分组', '年份', '最新值', '同比', '移动平均', 'CAGR', '趋势斜率', 'R²', '缺失年份'];
+
+export const formatPercent = (value) => value === null || value === undefined
+  ? '-'
+  : `${value > 0 ? '+' : ''}${Number(value.toFixed(2))}%`;
+
+// 趋势分析表格：[{ title, rows }]，每个分组一行，显示最新一年的同比和移动平均
+export function trendSections(trends) {
+  return Object.entries(trends)
+    .filter(([, groups]) => groups !== null && typeof groups === 'object')
+    .map(([name, groups]) => ({
+      title: TREND_TITLES[name] || `${name.replace(/^by/, '')} 趋势`,
+      rows: Object.entries(groups)
+        .sort(([a], [b]) => compareKeys(a, b))
+        .map(([group, series]) => {
+          const last = series.points[series.points.length - 1];
+          return [
+            group,
+            series.from === series.to ? `${series.from}` : `${series.from}-${series.to}`,
+            last.value,
+            formatPercent(last.changePercent),
+            last.movingAverage ?? '-',
+            formatPercent(series.cagr === null ? null : series.cagr * 100),
+            series.trend ? series.trend.slope : '-',
+            series.trend ? series.trend.r2 : '-',
+            series.gaps.length > 0 ? series.gaps.join(',') : '-'
+          ];
+        })
+    }));
+}
+
+// 排名标题，未列出的按分组字段名生成
+const RANKING_TITLES = {
+  byRegion: '地区排名',
+  byResource: '资源类型排名'
+};
+
+export const RANKING_COLUMNS = ['排名', '分组', '值', '占比', '累计占比', '排名变化'];
+
+const formatShare = (share) => share === null || share === undefined ? '-' : `${(share * 100).toFixed(2)}%`;
+
+// 排名变化：↑ 上升、↓ 下降、= 不变
+const formatRankChange = (change) => {
+  if (change === null || change === undefined) return '-';
+  if (change === 0) return '=';
+  return change > 0 ? `↑${change}` : `↓${-change}`;
+};
+
+const rankingRow = (entry) => [
+  entry.rank,
+  entry.group,
+  entry.value,
+  formatShare(entry.share),
+  formatShare(entry.cumulativeShare),
+  formatRankChange(entry.rankChange)
+];
+
+// 排名表格：[{ title, position, rows }]，每个分组维度列出前 N 名（position 为 top），
+// 分组多于 N 个时另列后 N 名（position 为 bottom）
+export function rankingSections(ranking) {
+  const metric = statLabel(ranking.by);
+  return Object.entries(ranking)
+    .filter(([, result]) => result !== null && typeof result === 'object')
+    .flatMap(([name, result]) => {
+      const title = RANKING_TITLES[name] || `${name.replace(/^by/, '')} 排名`;
+      const change = result.rankChange ? `，排名变化 ${result.rankChange.from}→${result.rankChange.to}` : '';
+      const sections = [{
+        title: `${title} 前 ${result.top.length} (${metric}${change})`,
+        position: 'top',
+        rows: result.top.map(rankingRow)
+      }];
+      if (result.groups.length > result.top.length) {
+        sections.push({
+          title: `${title} 后 ${result.bottom.length} (${metric})`,
+          position: 'bottom',
+          rows: result.bottom.map(rankingRow)
+        });
+      }
+      return sections;
+    });
+}
+
+// 异常值检测方法名称
+export const OUTLIER_METHOD_LABELS = {
+  zscore: 'z 分数',
+  mad: '修正 z 分数 (MAD)',
+  iqr: 'IQR 围栏'
+};
+
+// 异常值标题，未列出的按分组字段名生成
+const OUTLIER_TITLES = {
+  byRegion: '地区异常值',
+  byResource: '资源类型异常值'
+};
+
+export const OUTLIER_COLUMNS = ['分组', 'id', '名称', '年份', '值', '得分', '原因'];
+
+// 异常值表格：[{ title, rows }]，每个分组维度一张，分组按键排序，组内按偏离程度排序
+export function outlierSections(outliers) {
+  const method = `${OUTLIER_METHOD_LABELS[outliers.method] || outliers.method}，阈值 ${outliers.threshold}`;
+  return Object.entries(outliers)
+    .filter(([, groups]) => groups !== null && typeof groups === 'object')
+    .map(([name, groups]) => ({
+      title: `${OUTLIER_TITLES[name] || `${name.replace(/^by/, '')} 异常值`} (${method})`,
+      rows: Object.entries(groups)
+        .sort(([a], [b]) => compareKeys(a, b))
+        .flatMap(([group, result]) => result.outliers.map(outlier => [
+          group,
+          String(outlier.id ?? '-'),
+          String(outlier.name ?? '-'),
+          String(outlier.year ?? '-'),
+          outlier.value,
+          outlier.score,
+          outlier.reason
+        ]))
+    }));
+}
+
+// 分箱方法名称
+export const BIN_METHOD_LABELS = {
+  width: '固定宽度',
+  count: '固定箱数',
+  fd: 'Freedman–Diaconis',
+  quantile: '等频',
+  log: '对数'
+};
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+// 迷你分布图：每个箱一个字符，高度与计数成比例，空箱用空格
+export function sparkline(counts) {
+  const max = Math.max(0, ...counts);
+  return counts.map(count => count === 0 || max === 0
+    ? ' '
+    : SPARK_CHARS[Math.min(SPARK_CHARS.length - 1, Math.floor(count / max * (SPARK_CHARS.length - 1)))]
+  ).join('');
+}
+
+// 横向条形
+export function histogramBar(count, max, width = 30) {
+  return max === 0 ? '' : '█'.repeat(Math.round(count / max * width));
+}
+
+export const HISTOGRAM_COLUMNS = ['区间', '计数', '分布'];
+
+const GROUP_BY_TITLES = {
+  byRegion: '按地区',
+  byResource: '按资源类型'
+};
+
+export const SPARKLINE_COLUMNS = ['分组', '分布', '记录数', '范围'];
+
+// 箱的区间文本，最后一箱含右边界
+const binRange = (edges, i) => `[${edges[i]}, ${edges[i + 1]}${i === edges.length - 2 ? ']' : ')'}`;
+
+// 直方图表格：[{ title, bins, groups }]，每个字段一项
+// bins 为整体分布的 [区间, 计数, 条形]，groups 为各分组维度的 { title, rows: [分组, 迷你分布图, 记录数, 范围] }
+export function histogramSections(histogram) {
+  const method = BIN_METHOD_LABELS[histogram.method] || histogram.method;
+  return histogram.fields.map(field => {
+    const { overall, ...dimensions } = histogram[field];
+    const max = Math.max(0, ...overall.counts);
+    const excluded = overall.excluded > 0 ? `，${overall.excluded} 个非正数未计入` : '';
+    return {
+      title: `${field} 分布 (${method}分箱${excluded})`,
+      bins: overall.counts.map((count, i) => [binRange(overall.edges, i), count, histogramBar(count, max)]),
+      groups: Object.entries(dimensions).map(([name, groups]) => ({
+        title: `${field} 分布 ${GROUP_BY_TITLES[name] || `按 ${name.replace(/^by/, '')}`}`,
+        rows: Object.entries(groups)
+          .sort(([a], [b]) => compareKeys(a, b))
+          .map(([group, bins]) => [
+            group,
+            sparkline(bins.counts),
+            bins.total,
+            bins.edges.length === 0 ? '-' : `${bins.edges[0]} - ${bins.edges[bins.edges.length - 1]}`
+          ])
+      }))
+    };
+  });
+}
+
+const formatOptional = (value) => value === null || value === undefined ? '-' : value;
+
+export const CORRELATION_COLUMNS = ['分组', '记录数', 'Pearson', 'Spearman', '斜率', '截距', 'R²', '残差标准误'];
+
+// 残差表的列，x / y 显示为字段名
+export const residualColumns = (correlation) => ['分组', 'id', correlation.x, correlation.y, '拟合值', '残差'];
+
+const correlationRow = (group, result) => [
+  group,
+  result.count,
+  formatOptional(result.pearson),
+  formatOptional(result.spearman),
+  formatOptional(result.regression?.slope),
+  formatOptional(result.regression?.intercept),
+  formatOptional(result.regression?.r2),
+  formatOptional(result.regression?.standardError)
+];
+
+const residualRows = (group, result) => (result.regression?.residuals || []).map(point => [
+  group,
+  String(point.id ?? '-'),
+  point.x,
+  point.y,
+  point.fitted,
+  point.residual
+]);
+
+// 相关性表格：[{ title, rows, residuals }]，第一项为整体，其后每个分组维度一项，分组按键排序
+// rows 为各分组的相关系数和回归结果，residuals 为各分组残差绝对值最大的记录
+export function correlationSections(correlation) {
+  const { x, y, fields, overall, ...dimensions } = correlation;
+  const subject = `${y} 与 ${x}`;
+  return [
+    { title: `${subject} 的相关性 (整体)`, rows: [correlationRow('整体', overall)], residuals: residualRows('整体', overall) },
+    ...Object.entries(dimensions).map(([name, groups]) => {
+      const sorted = Object.entries(groups).sort(([a], [b]) => compareKeys(a, b));
+      return {
+        title: `${subject} 的相关性 (${GROUP_BY_TITLES[name] || `按 ${name.replace(/^by/, '')}`})`,
+        rows: sorted.map(([group, result]) => correlationRow(group, result)),
+        residuals: sorted.flatMap(([group, result]) => residualRows(group, result))
+      };
+    })
+  ];
+}
+
+// 整体协方差矩阵表格：表头为 ['', 各字段]，每个字段一行
+export function covarianceTable(correlation) {
+  const { fields, count, matrix } = correlation.overall.covariance;
+  return {
+    title: `协方差矩阵 (${count} 条记录)`,
+    header: ['', ...fields],
+    rows: matrix ? fields.map((field, i) => [field, ...matrix[i]]) : []
+  };
+}
+
+// 交叉表是否有合计列（开启合计，或只开启小计时小计行带合计）
+const hasPivotTotals = (pivot) => pivot.rows.some(row => 'total' in row);
+
+// 交叉表表头：行字段、各列键路径、合计
+export function pivotHeader(pivot) {
+  return [
+    ...pivot.rowFields,
+    ...pivot.columns.map(keys => keys.join(' / ')),
+    ...(hasPivotTotals(pivot) ? ['合计'] : [])
+  ];
+}
+
+// 交叉表数据行：小计行在上级分组键后标注"小计"，总计行放在最后；empty 用于填充没有记录的单元格
+export function pivotRows(pivot, empty = '') {
+  const hasTotal = hasPivotTotals(pivot);
+  const labels = (keys, marker) => pivot.rowFields.map((_, i) =>
+    i < keys.length ? String(keys[i]) : i === keys.length ? marker : ''
+  );
+  const values = ({ cells, total }) => [
+    ...cells.map(cell => cell ?? empty),
+    ...(hasTotal ? [total ?? empty] : [])
+  ];
+
+  const rows = pivot.rows.map(row => [...labels(row.keys, row.subtotal ? '小计' : ''), ...values(row)]);
+  if (pivot.totals) {
+    rows.push([...labels([], '总计'), ...values(pivot.totals)]);
+  }
+  return rows;
+}
+
+// 交叉表标题
+export function pivotTitle(pivot) {
+  return `交叉表: ${pivot.rowFields.join(' × ')} / ${pivot.columnFields.join(' × ')} (${statLabel(pivot.stat)})`;
+}
+
+// 指标名排序：已知指标按 STAT_LABELS 顺序，百分位指标按数值升序紧跟中位数
+const statRank = (name) => {
+  const known = Object.keys(STAT_LABELS);
+  return known.includes(name)
+    ? known.indexOf(name)
+    : known.indexOf('median') + Number(name.slice(1)) / 1000;
+};
+
+export function orderStatNames(names) {
+  return [...names].sort((a, b) => statRank(a) - statRank(b));
+}
+
+// 按显示顺序排列统计指标
+export function orderedStats(stats) {
+  return orderStatNames(Object.keys(stats)).map(name => [name, stats[name]]);
+}
+
+// 某个维度的全部分组，按键路径排序
+export function sortedGroups(results, dimension) {
+  return flattenGroups(results[dimension.name] || {}, dimension.fields.length)
+    .sort(([a], [b]) => {
+      for (let i = 0; i < a.length; i++) {
+        const diff = compareKeys(a[i], b[i]);
+        if (diff !== 0) return diff;
+      }
+      return 0;
+    });
+}
+
+// 所有分组中出现过的指标名（按显示顺序）
+const collectStatNames = (rows) => orderStatNames(new Set(rows.flatMap(([, stats]) => Object.keys(stats))));
+
+const GLOBAL_WEIGHT_STATS = ['max', 'min', 'median'];
+
+// CSV 单元格转义
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV 报告：每个分组一行，列为 维度名、各维度字段、全部指标
+// 全局权重统计以 dimension = globalWeight 的一行输出
+export function formatCsv(results, dimensions) {
+  const fields = [...new Set(dimensions.flatMap(dimension => dimension.fields))];
+  const groupRows = dimensions.flatMap(dimension =>
+    sortedGroups(results, dimension).map(([keys, stats]) => {
+      const keyByField = Object.fromEntries(dimension.fields.map((field, i) => [field, keys[i]]));
+      return [dimension.name, keyByField, stats];
+    })
+  );
+  const statNames = orderStatNames(new Set([
+    ...groupRows.flatMap(([, , stats]) => Object.keys(stats)),
+    ...GLOBAL_WEIGHT_STATS
+  ]));
+
+  const lines = [['dimension', ...fields, ...statNames]];
+  for (const [name, keyByField, stats] of groupRows) {
+    lines.push([name, ...fields.map(field => keyByField[field]), ...statNames.map(stat => stats[stat])]);
+  }
+  lines.push(['globalWeight', ...fields.map(() => ''), ...statNames.map(stat => results.globalWeight[stat])]);
+
+  return lines.map(line => line.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// 交叉表 CSV：与终端表格相同的矩阵布局，没有记录的单元格留空
+export function formatPivotCsv(pivot) {
+  return [pivotHeader(pivot), ...pivotRows(pivot)]
+    .map(line => line.map(csvCell).join(','))
+    .join('\n') + '\n';
+}
+
+// Markdown 单元格转义
+const markdownCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+const markdownTable = (header, rows) => [
+  `| ${header.map(markdownCell).join(' | ')} |`,
+  `| ${header.map(() => '---').join(' | ')} |`,
+  ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+].join('\n');
+
+// Markdown 报告：每个维度一张表格
+export function formatMarkdown(results, totalRecords, dimensions) {
+  const sections = [
+    '# 数据统计分析报告',
+    `总记录数: ${totalRecords}`
+  ];
+
+  for (const dimension of dimensions) {
+    const rows = sortedGroups(results, dimension);
+    const statNames = collectStatNames(rows);
+    sections.push(`## ${dimensionTitle(dimension)}`);
+    sections.push(rows.length === 0 ? '_无数据_' : markdownTable(
+      [...dimension.fields, ...statNames.map(statLabel)],
+      rows.map(([keys, stats]) => [...keys, ...statNames.map(name => stats[name])])
+    ));
+  }
+
+  sections.push('## 全局权重统计');
+  sections.push(markdownTable(
+    GLOBAL_WEIGHT_STATS.map(statLabel),
+    [GLOBAL_WEIGHT_STATS.map(name => results.globalWeight[name])]
+  ));
+  
+  if (results.trends) {
+    for (const { title, rows } of trendSections(results.trends)) {
+      sections.push(`## ${title} (${statLabel(results.trends.stat)})`);
+      sections.push(rows.length === 0 ? '_无数据_' : markdownTable(TREND_COLUMNS, rows));
+    }
+  }
+  
+  if (results.ranking) {
+    for (const { title, rows } of rankingSections(results.ranking)) {
+      sections.push(`## ${title}`);
+      sections.push(rows.length === 0 ? '_无数据_' : markdownTable(RANKING_COLUMNS, rows));
+    }
+  }
+  
+  if (results.outliers) {
+    for (const { title, rows } of outlierSections(results.outliers)) {
+      sections.push(`## ${title}`);
+      sections.push(rows.length === 0 ? '_未发现异常值_' : markdownTable(OUTLIER_COLUMNS, rows));
+    }
+  }
+  
+  if (results.histogram) {
+    for (const { title, bins, groups } of histogramSections(results.histogram)) {
+      sections.push(`## ${title}`);
+      sections.push(bins.length === 0 ? '_无数据_' : markdownTable(HISTOGRAM_COLUMNS, bins));
+      for (const group of groups) {
+        sections.push(`### ${group.title}`);
+        sections.push(markdownTable(SPARKLINE_COLUMNS, group.rows.map(([name, line, ...rest]) => [name, `\`${line}\``, ...rest])));
+      }
+    }
+  }
+  
+  if (results.pivot) {
+    sections.push(`## ${pivotTitle(results.pivot)}`);
+    sections.push(markdownTable(pivotHeader(results.pivot), pivotRows(results.pivot, '-')));
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatNumber = (value) => typeof value === 'number'
+  ? value.toLocaleString('en-US', { maximumFractionDigits: 3 })
+  : escapeHtml(value);
+
+// 内联 SVG 横向条形图
+const renderBarChart = (entries, label) => {
+  const barHeight = 20;
+  const labelWidth = 220;
+  const chartWidth = 460;
+  const max = Math.max(0, ...entries.map(([, value]) => value));
+  const height = entries.length * (barHeight + 6) + 24;
+
+  const bars = entries.map(([name, value], i) => {
+    const y = i * (barHeight + 6) + 20;
+    const width = max > 0 ? Math.max(0, value) / max * chartWidth : 0;
+    return `<text x="${labelWidth - 8}" y="${y + 14}" text-anchor="end">${escapeHtml(name)}</text>` +
+      `<rect x="${labelWidth}" y="${y}" width="${width.toFixed(1)}" height="${barHeight}" fill="#667eea"></rect>` +
+      `<text x="${(labelWidth + width + 6).toFixed(1)}" y="${y + 14}">${formatNumber(value)}</text>`;
+  }).join('\n      ');
+
+  return `<svg class="chart" viewBox="0 0 ${labelWidth + chartWidth + 140} ${height}" role="img" aria-label="${escapeHtml(label)}">
+      <text x="0" y="12" class="chart-title">${escapeHtml(label)}</text>
+      ${bars}
+    </svg>`;
+};
+
+const htmlTable = (header, rows) => `<table>
+      <thead><tr>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${rows.map(row => `<tr>${row.map(cell => `<td>${formatNumber(cell)}</td>`).join('')}</tr>`).join('\n        ')}
+      </tbody>
+    </table>`;
+
+// HTML 报告的公共样式
+const REPORT_STYLE = `    body { font-family: -apple-system, "Segoe UI", "PingFang SC", sans-serif; margin: 2rem auto; max-width: 1100px; color: #2d3748; }
+    h1 { color: #5a67d8; }
+    section { margin-bottom: 2.5rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border: 1px solid #e2e8f0; padding: 4px 8px; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    thead { background: #edf2f7; }`;
+
+// 自包含 HTML 报告：无外部依赖，单字段维度附带平均值条形图
+export function formatHtml(results, totalRecords, dimensions) {
+  const sections = dimensions.map(dimension => {
+    const rows = sortedGroups(results, dimension);
+    const statNames = collectStatNames(rows);
+    const chartStat = ['mean', 'sum', ...statNames].find(name => statNames.includes(name));
+    const chart = dimension.fields.length === 1 && chartStat
+      ? renderBarChart(rows.map(([keys, stats]) => [keys[0], stats[chartStat]]), `${statLabel(chartStat)} (按 ${dimension.fields[0]})`)
+      : '';
+
+    return `<section>
+    <h2>${escapeHtml(dimensionTitle(dimension))}</h2>
+    ${chart}
+    ${htmlTable(
+      [...dimension.fields, ...statNames.map(statLabel)],
+      rows.map(([keys, stats]) => [...keys, ...statNames.map(name => stats[name])])
+    )}
+  </section>`;
+  });
+
+  sections.push(`<section>
+    <h2>全局权重统计</h2>
+    ${htmlTable(GLOBAL_WEIGHT_STATS.map(statLabel), [GLOBAL_WEIGHT_STATS.map(name => results.globalWeight[name])])}
+  </section>`);
+  
+  if (results.trends) {
+    for (const { title, rows } of trendSections(results.trends)) {
+      sections.push(`<section>
+    <h2>${escapeHtml(title)} (${escapeHtml(statLabel(results.trends.stat))})</h2>
+    ${htmlTable(TREND_COLUMNS, rows)}
+  </section>`);
+    }
+  }
+  
+  if (results.ranking) {
+    for (const { title, rows } of rankingSections(results.ranking)) {
+      sections.push(`<section>
+    <h2>${escapeHtml(title)}</h2>
+    ${htmlTable(RANKING_COLUMNS, rows)}
+  </section>`);
+    }
+  }
+  
+  if (results.outliers) {
+    for (const { title, rows } of outlierSections(results.outliers)) {
+      sections.push(`<section>
+    <h2>${escapeHtml(title)}</h2>
+    ${rows.length === 0 ? '<p>未发现异常值</p>' : htmlTable(OUTLIER_COLUMNS, rows)}
+  </section>`);
+    }
+  }
+  
+  if (results.histogram) {
+    for (const { title, bins, groups } of histogramSections(results.histogram)) {
+      sections.push(`<section>
+    <h2>${escapeHtml(title)}</h2>
+    ${bins.length === 0 ? '<p>无数据</p>' : renderBarChart(bins.map(([range, count]) => [range, count]), title)}
+    ${groups.map(group => `<h3>${escapeHtml(group.title)}</h3>
+    ${htmlTable(SPARKLINE_COLUMNS, group.rows)}`).join('\n    ')}
+  </section>`);
+    }
+  }
+  
+  if (results.pivot) {
+    sections.push(`<section>
+    <h2>${escapeHtml(pivotTitle(results.pivot))}</h2>
+    ${htmlTable(pivotHeader(results.pivot), pivotRows(results.pivot, '-'))}
+  </section>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <title>数据统计分析报告</title>
+  <style>
+${REPORT_STYLE}
+    .chart { width: 100%; margin-bottom: 1rem; font-size: 12px; }
+    .chart-title { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>数据统计分析报告</h1>
+  <p>总记录数: ${totalRecords.toLocaleString('en-US')}</p>
+  ${sections.join('\n  ')}
+</body>
+</html>
+`;
+}
+
+// 数据质量概况：字段表的列
+const PROFILE_COLUMNS = ['field', 'present', 'missing', 'missingRate', 'empty', 'emptyRate', 'distinct', 'types', 'min', 'max', 'mean', 'median'];
+
+export const PROFILE_LABELS = {
+  field: '字段',
+  present: '有值',
+  missing: '缺失',
+  missingRate: '缺失率',
+  empty: '空值',
+  emptyRate: '空值率',
+  distinct: '不同值',
+  types: '类型分布',
+  min: '最小值',
+  max: '最大值',
+  mean: '平均值',
+  median: '中位数'
+};
+
+const formatRate = (value) => `${(value * 100).toFixed(2)}%`;
+
+// 类型分布，如 number:200 string:18
+export const formatTypes = (types) => Object.entries(types)
+  .sort((a, b) => b[1] - a[1])
+  .map(([type, count]) => `${type}:${count}`)
+  .join(' ');
+
+// 字段概况表的行，rates 为 true 时比率格式化为百分比
+export function profileFieldRows(profile, { rates = true } = {}) {
+  return profile.fields.map(field => [
+    field.name,
+    field.present,
+    field.missing,
+    rates ? formatRate(field.missingRate) : field.missingRate,
+    field.empty,
+    rates ? formatRate(field.emptyRate) : field.emptyRate,
+    field.distinct,
+    formatTypes(field.types),
+    field.numeric?.min,
+    field.numeric?.max,
+    field.numeric?.mean,
+    field.numeric?.median
+  ]);
+}
+
+const formatSample = (sample) => {
+  const id = sample.id === undefined ? '' : `(id=${sample.id})`;
+  const value = sample.value === undefined ? '' : `=${sample.value}`;
+  return `#${sample.index}${id}${value}`;
+};
+
+// 数据质量问题列表：[标题, 数量, 样例]
+export function profileIssues(profile) {
+  const { validation, duplicateIds, suspicious } = profile;
+  const { negativeWeights, implausibleYears, nameMismatches } = suspicious;
+  return [
+    ...Object.values(validation.reasons).map(reason => [
+      `校验未通过: ${reason.message}`,
+      reason.count,
+      reason.samples.map(formatSample).join(', ')
+    ]),
+    [
+      `重复 id (涉及 ${duplicateIds.records} 条记录)`,
+      duplicateIds.count,
+      duplicateIds.samples.map(sample => `${sample.id}×${sample.occurrences}`).join(', ')
+    ],
+    [`负权重 (${negativeWeights.field})`, negativeWeights.count, negativeWeights.samples.map(formatSample).join(', ')],
+    [
+      `不合理年份 (${implausibleYears.field} 不在 ${implausibleYears.range.join('-')} 内)`,
+      implausibleYears.count,
+      implausibleYears.samples.map(formatSample).join(', ')
+    ],
+    [
+      `同一 id 的 ${nameMismatches.fields.join('/')} 不一致`,
+      nameMismatches.count,
+      nameMismatches.samples
+        .map(sample => `${sample.id}: ${nameMismatches.fields.map(name => sample[name].join('|')).join(' / ')}`)
+        .join('; ')
+    ]
+  ];
+}
+
+// 数据质量概况 CSV：每个字段一行（问题列表见其他格式）
+export function formatProfileCsv(profile) {
+  const lines = [PROFILE_COLUMNS, ...profileFieldRows(profile, { rates: false })];
+  return lines.map(line => line.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// 数据质量概况 Markdown 报告
+export function formatProfileMarkdown(profile) {
+  return [
+    '# 数据质量概况',
+    `总记录数: ${profile.totalRecords}，通过校验: ${profile.validation.valid}`,
+    '## 字段概况',
+    markdownTable(PROFILE_COLUMNS.map(name => PROFILE_LABELS[name]), profileFieldRows(profile)),
+    '## 数据质量问题',
+    markdownTable(['检查项', '数量', '样例'], profileIssues(profile))
+  ].join('\n\n') + '\n';
+}
+
+// 数据质量概况 HTML 报告（自包含）
+export function formatProfileHtml(profile) {
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <title>数据质量概况</title>
+  <style>
+${REPORT_STYLE}
+    .issues td:last-child { text-align: left; }
+  </style>
+</head>
+<body>
+  <h1>数据质量概况</h1>
+  <p>总记录数: ${profile.totalRecords.toLocaleString('en-US')}，通过校验: ${profile.validation.valid.toLocaleString('en-US')}</p>
+  <section>
+    <h2>字段概况</h2>
+    ${htmlTable(PROFILE_COLUMNS.map(name => PROFILE_LABELS[name]), profileFieldRows(profile))}
+  </section>
+  <section>
+    <h2>数据质量问题</h2>
+    <div class="issues">${htmlTable(['检查项', '数量', '样例'], profileIssues(profile))}</div>
+  </section>
+</body>
+</html>
+`;
+}
+
+// 相关性分析 CSV：每个分组一行，dimension 为 overall 或分组维度名
+export function formatCorrelationCsv(correlation) {
+  const { x, y, fields, overall, ...dimensions } = correlation;
+  const row = (dimension, group, result) => [
+    dimension, group, result.count, result.pearson, result.spearman,
+    result.regression?.slope, result.regression?.intercept, result.regression?.r2, result.regression?.standardError
+  ];
+  const lines = [
+    ['dimension', 'group', 'count', 'pearson', 'spearman', 'slope', 'intercept', 'r2', 'standardError'],
+    row('overall', '', overall),
+    ...Object.entries(dimensions).flatMap(([name, groups]) => Object.entries(groups)
+      .sort(([a], [b]) => compareKeys(a, b))
+      .map(([group, result]) => row(name, group, result)))
+  ];
+  return lines.map(line => line.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// 相关性分析 Markdown 报告
+export function formatCorrelationMarkdown(correlation) {
+  const covariance = covarianceTable(correlation);
+  const sections = [`# ${correlation.y} 与 ${correlation.x} 的相关性分析`];
+  for (const { title, rows, residuals } of correlationSections(correlation)) {
+    sections.push(`## ${title}`);
+    sections.push(markdownTable(CORRELATION_COLUMNS, rows));
+    if (residuals.length > 0) {
+      sections.push('### 残差最大的记录');
+      sections.push(markdownTable(residualColumns(correlation), residuals));
+    }
+  }
+  sections.push(`## ${covariance.title}`);
+  sections.push(covariance.rows.length === 0 ? '_记录不足_' : markdownTable(covariance.header, covariance.rows));
+  return sections.join('\n\n') + '\n';
+}
+
+// 相关性分析 HTML 报告（自包含）
+export function formatCorrelationHtml(correlation) {
+  const covariance = covarianceTable(correlation);
+  const title = `${correlation.y} 与 ${correlation.x} 的相关性分析`;
+  const sections = correlationSections(correlation).map(({ title: sectionTitle, rows, residuals }) => `<section>
+    <h2>${escapeHtml(sectionTitle)}</h2>
+    ${htmlTable(CORRELATION_COLUMNS, rows)}
+    ${residuals.length === 0 ? '' : `<h3>残差最大的记录</h3>
+    ${htmlTable(residualColumns(correlation), residuals)}`}
+  </section>`);
+  sections.push(`<section>
+    <h2>${escapeHtml(covariance.title)}</h2>
+    ${covariance.rows.length === 0 ? '<p>记录不足</p>' : htmlTable(covariance.header, covariance.rows)}
+  </section>`);
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+${REPORT_STYLE}
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${sections.join('\n  ')}
+</body>
+</html>
+`;
+}
+
+// 对比结果中分组和记录的状态
+export const COMPARE_STATUS_LABELS = {
+  added: '新增',
+  removed: '删除',
+  changed: '变化',
+  unchanged: '无变化'
+};
+
+export const COMPARE_GROUP_COLUMNS = ['分组', '指标', '旧值', '新值', '变化量', '变化率'];
+
+export const compareChangeColumns = (comparison) => [...comparison.key, '字段', '旧值', '新值', '变化量', '变化率'];
+
+const formatDelta = (value) => value === null ? '-' : `${value > 0 ? '+' : ''}${value}`;
+
+// 对比概况：[[项目, 值], ...]
+export function compareSummaryRows(comparison) {
+  const { summary, years } = comparison;
+  const rows = [
+    ['对齐字段', comparison.key.join(', ')],
+    ['旧数据记录数', summary.old],
+    ['新数据记录数', summary.new],
+    ['新增记录', summary.added],
+    ['删除记录', summary.removed],
+    ['变化记录', summary.changed],
+    ['无变化记录', summary.unchanged]
+  ];
+  if (years) rows.unshift(['对比年份', `${years.old} → ${years.new}`]);
+  if (summary.duplicates.old > 0 || summary.duplicates.new > 0) {
+    rows.push(['重复键（保留最后一条）', `旧 ${summary.duplicates.old}，新 ${summary.duplicates.new}`]);
+  }
+  return rows;
+}
+
+// 分组指标变化：[{ title, rows }]，每个分组的每个指标一行，只在一侧出现的分组标注新增或删除
+export function compareGroupSections(comparison) {
+  return comparison.dimensions.map(dimension => ({
+    title: `${dimensionTitle(dimension)}的变化`,
+    rows: comparison.groups[dimension.name].flatMap(({ keys, status, stats }) => {
+      const group = keys.join(' / ') + (status === 'added' || status === 'removed' ? ` (${COMPARE_STATUS_LABELS[status]})` : '');
+      return Object.entries(stats).map(([name, change]) => [
+        group,
+        statLabel(name),
+        formatOptional(change.old),
+        formatOptional(change.new),
+        formatDelta(change.delta),
+        formatPercent(change.percent)
+      ]);
+    })
+  }));
+}
+
+// 新增、删除和变化的记录：[{ title, total, header, rows }]，total 为该类记录总数，rows 最多 limit 条
+// 变化的记录每个变化字段一行
+export function compareRecordSections(comparison) {
+  const { key, summary } = comparison;
+  const recordSection = (title, total, records) => {
+    const fields = [...new Set([...key, ...records.flatMap(record => Object.keys(record))])];
+    return { title, total, header: fields, rows: records.map(record => fields.map(field => formatOptional(record[field]))) };
+  };
+  return [
+    recordSection('新增记录', summary.added, comparison.added),
+    recordSection('删除记录', summary.removed, comparison.removed),
+    {
+      title: '变化记录',
+      total: summary.changed,
+      header: compareChangeColumns(comparison),
+      rows: comparison.changed.flatMap(({ key: values, changes }) => Object.entries(changes).map(([field, change]) => [
+        ...key.map(name => values[name]),
+        field,
+        formatOptional(change.old),
+        formatOptional(change.new),
+        formatDelta(change.delta),
+        formatPercent(change.percent)
+      ]))
+    }
+  ];
+}
+
+// 对比结果 Markdown 报告，可直接作为数据更新的变更记录
+export function formatCompareMarkdown(comparison) {
+  const sections = ['# 数据对比报告'];
+  sections.push(markdownTable(['项目', '值'], compareSummaryRows(comparison)));
+
+  const fieldChanges = Object.entries(comparison.fieldChanges).sort((a, b) => b[1] - a[1]);
+  if (fieldChanges.length > 0) {
+    sections.push('## 变化字段');
+    sections.push(markdownTable(['字段', '变化记录数'], fieldChanges));
+  }
+
+  for (const { title, rows } of compareGroupSections(comparison)) {
+    sections.push(`## ${title}`);
+    sections.push(rows.length === 0 ? '_无数据_' : markdownTable(COMPARE_GROUP_COLUMNS, rows));
+  }
+
+  for (const { title, total, header, rows } of compareRecordSections(comparison)) {
+    if (total === 0) continue;
+    sections.push(`## ${title} (${total})`);
+    if (rows.length > 0) sections.push(markdownTable(header, rows));
+    if (comparison.limit < total) sections.push(`_仅列出前 ${comparison.limit} 条_`);
+  }
+
+  return sections.join('\n\n') + '\n';
+}
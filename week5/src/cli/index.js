@@ -9,31 +9,262 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { calculateStatistics } from '../core/statistics.js';
+import {
+  calculateStatistics,
+  calculateStatisticsStream,
+  normalizeDimension,
+  BIN_METHODS,
+  roundResults,
+  flattenGroups,
+  DEFAULT_DIMENSIONS
+} from '../core/statistics.js';
+import {
+  readRecords,
+  parseRecords,
+  detectInputFormat,
+  INPUT_FORMATS
+} from '../core/parsers.js';
+import { compileSchema } from '../core/schema.js';
+import { ARITHMETIC_MODES, DEFAULT_ARITHMETIC } from '../core/arithmetic.js';
+import { calculateStatisticsParallel, DEFAULT_PARALLEL_THRESHOLD } from '../core/parallel.js';
+import { createDatasetStore, DEFAULT_DATASET_DIR } from '../core/datasets.js';
+import { cacheKey, createCacheKey, createResultCache } from '../core/cache.js';
+import { rankGroups } from '../core/ranking.js';
+import { compareDatasets, DEFAULT_COMPARE_OPTIONS } from '../core/compare.js';
+import { OUTLIER_METHODS } from '../core/outliers.js';
+import { createProfileState, profileRecords, finalizeProfile, DEFAULT_YEAR_RANGE } from '../core/profile.js';
+import {
+  formatCsv,
+  formatMarkdown,
+  formatHtml,
+  statLabel,
+  orderedStats,
+  dimensionTitle,
+  trendSections,
+  TREND_COLUMNS,
+  rankingSections,
+  RANKING_COLUMNS,
+  outlierSections,
+  OUTLIER_COLUMNS,
+  OUTLIER_METHOD_LABELS,
+  histogramSections,
+  HISTOGRAM_COLUMNS,
+  SPARKLINE_COLUMNS,
+  formatPivotCsv,
+  pivotHeader,
+  pivotRows,
+  pivotTitle,
+  formatProfileCsv,
+  formatProfileMarkdown,
+  formatProfileHtml,
+  profileFieldRows,
+  profileIssues,
+  PROFILE_LABELS,
+  correlationSections,
+  covarianceTable,
+  CORRELATION_COLUMNS,
+  residualColumns,
+  formatCorrelationCsv,
+  formatCorrelationMarkdown,
+  formatCorrelationHtml,
+  compareSummaryRows,
+  compareGroupSections,
+  compareRecordSections,
+  COMPARE_GROUP_COLUMNS,
+  formatCompareMarkdown,
+  formatPercent
+} from './formatters.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// 超过此大小的文件自动使用流式分析
+const STREAM_THRESHOLD_BYTES = 256 * 1024 * 1024;
+
 const program = new Command();
 
 // CLI 配置
 program
   .name('data-stats')
   .description('高性能数据统计分析工具')
-  .version('1.0.0');
+  .version('1.0.0')
+  // 子命令与主命令有同名选项（如 -f），主命令选项只在子命令名之前解析
+  .enablePositionalOptions();
+
+// 统计与输出选项，主命令和 analyze 命令共用
+function addAnalysisOptions(command) {
+  return command
+    .option('-o, --output <file>', '输出结果到文件')
+    .option('-f, --format <type>', '输出格式 (json|table|summary|csv|markdown|html)', 'table')
+    .option('-g, --group-by <fields>', '分组维度，多字段用逗号分隔，可重复指定 (如 -g region -g resource,year)', collect, [])
+    .option('-m, --metric <field>', '参与统计的数值字段', 'value')
+    .option('-w, --weight <field>', '加权统计使用的权重字段', 'weight')
+    .option('-s, --stats <names>', '统计指标，逗号分隔 (如 default,stddev,p95，all 表示全部)')
+    .option('--precision <mode>', `求和精度模式 (${ARITHMETIC_MODES.join('|')})，decimal 为精确小数运算`, DEFAULT_ARITHMETIC)
+    .option('--trends [stat]', '按地区和资源类型做时间序列分析 (同比、CAGR、移动平均、线性趋势)，可指定每年取值的指标，默认 sum')
+    .option('--trend-window <n>', '趋势分析的移动平均窗口', '3')
+    .option('--top <n>', '按地区和资源类型排名，列出前 N / 后 N 名及占比、累计占比和排名变化')
+    .option('--by <metric>', '排名使用的统计指标 (如 sum|mean|max)', 'sum')
+    .option('--outliers <method>', `按地区和资源类型检测异常值 (${OUTLIER_METHODS.join('|')})`)
+    .option('--outlier-threshold <n>', '异常值阈值，默认 z 分数 3、MAD 3.5、IQR 1.5')
+    .option('--histogram [method]', `统计字段和权重字段的分布直方图，分箱方法 (${BIN_METHODS.join('|')})，默认 count`)
+    .option('--bins <n>', '直方图箱数', '10')
+    .option('--bin-width <n>', '固定宽度分箱的箱宽')
+    .option('--pivot [rows]', '生成交叉表，可指定行字段 (逗号分隔)，默认 region')
+    .option('--pivot-columns <fields>', '交叉表的列字段 (逗号分隔)，默认 resource')
+    .option('--pivot-stat <stat>', '交叉表单元格的统计指标 (如 sum|mean|median)，默认 sum')
+    .option('--subtotals', '交叉表的行字段有多个时，在每个上级分组后插入小计行')
+    .option('--no-pivot-totals', '交叉表不计算行合计、列合计和总计')
+    .option('--where <expression>', '过滤条件，在分组之前筛选记录 (如 "year BETWEEN 2015 AND 2020 AND resource = \'Cereals\'")')
+    .option('--schema <file>', 'JSON 格式的记录校验 schema 文件（字段类型、必需字段、取值范围等）')
+    .option('--strict', '存在未通过校验的记录时以非零状态退出')
+    .option('--workers <n>', `多线程并行统计的线程数，需同时指定 --approximate 和 -s；记录数不足 ${DEFAULT_PARALLEL_THRESHOLD.toLocaleString()} 或选项需要完整数据时仍单线程计算`)
+    .option('--approximate', '允许多线程近似聚合：中位数和百分位来自分位数草图，不支持加权中位数等需要完整数据的指标')
+    .option('--cache-dir <dir>', '统计结果缓存目录，输入数据和统计选项都相同时直接使用缓存的结果')
+    .option('-v, --verbose', '显示详细信息')
+    .option('--no-color', '禁用颜色输出');
+}
+
+addAnalysisOptions(program
+  .argument('<file>', '要分析的数据文件路径 (JSON/NDJSON/CSV/TSV)')
+  .option('-i, --input-format <type>', `输入格式 (${INPUT_FORMATS.join('|')})，默认按扩展名判断`)
+  .option('-d, --delimiter <char>', 'CSV/TSV 分隔符')
+  .option('--stream', `流式读取并分析 (文件超过 ${STREAM_THRESHOLD_BYTES / 1024 / 1024}MB 时自动启用)`))
+  .action(async (file, options) => {
+    await runAnalysis(file, options);
+  });
 
 program
-  .argument('<file>', '要分析的JSON数据文件路径')
+  .command('profile')
+  .description('数据质量概况：字段类型分布、缺失率、不同值数量、重复 id 和可疑值')
+  .argument('<file>', '要检查的数据文件路径 (JSON/NDJSON/CSV/TSV)')
   .option('-o, --output <file>', '输出结果到文件')
-  .option('-f, --format <type>', '输出格式 (json|table|summary)', 'table')
+  .option('-f, --format <type>', '输出格式 (json|table|summary|csv|markdown|html)', 'table')
+  .option('-w, --weight <field>', '权重字段（检查负权重）', 'weight')
+  .option('--year-range <min-max>', '合理年份范围', DEFAULT_YEAR_RANGE.join('-'))
+  .option('-i, --input-format <type>', `输入格式 (${INPUT_FORMATS.join('|')})，默认按扩展名判断`)
+  .option('-d, --delimiter <char>', 'CSV/TSV 分隔符')
+  .option('--schema <file>', 'JSON 格式的记录校验 schema 文件')
   .option('-v, --verbose', '显示详细信息')
-  .option('--no-color', '禁用颜色输出')
   .action(async (file, options) => {
-    await runAnalysis(file, options);
+    await runProfile(file, options);
+  });
+
+program
+  .command('correlation')
+  .description('相关性与回归：Pearson / Spearman 相关系数、线性回归（斜率、截距、R²、残差）和协方差矩阵，整体及按分组计算')
+  .argument('<file>', '要分析的数据文件路径 (JSON/NDJSON/CSV/TSV)')
+  .option('-o, --output <file>', '输出结果到文件')
+  .option('-f, --format <type>', '输出格式 (json|table|summary|csv|markdown|html)', 'table')
+  .option('-x, --x <field>', '自变量字段', 'weight')
+  .option('-y, --y <field>', '因变量字段', 'value')
+  .option('--fields <fields>', '协方差矩阵的字段 (逗号分隔)，默认为 y 和 x')
+  .option('-g, --group-by <fields>', '分别分析的分组字段 (逗号分隔)', 'region,resource')
+  .option('--residuals <n>', '每组列出残差绝对值最大的记录数', '5')
+  .option('--where <expression>', '过滤条件，在分析之前筛选记录')
+  .option('-i, --input-format <type>', `输入格式 (${INPUT_FORMATS.join('|')})，默认按扩展名判断`)
+  .option('-d, --delimiter <char>', 'CSV/TSV 分隔符')
+  .option('--schema <file>', 'JSON 格式的记录校验 schema 文件')
+  .option('-v, --verbose', '显示详细信息')
+  .action(async (file, options) => {
+    await runCorrelation(file, options);
+  });
+
+program
+  .command('import')
+  .description('导入数据文件到数据集存储，保存通过校验的记录供之后反复分析')
+  .argument('<file>', '要导入的数据文件路径 (JSON/NDJSON/CSV/TSV)')
+  .option('-n, --name <name>', '数据集名称，默认为文件名（不含扩展名）')
+  .option('-i, --input-format <type>', `输入格式 (${INPUT_FORMATS.join('|')})，默认按扩展名判断`)
+  .option('-d, --delimiter <char>', 'CSV/TSV 分隔符')
+  .option('--schema <file>', 'JSON 格式的记录校验 schema 文件，保存在数据集中，分析时默认使用')
+  .option('--store <dir>', '数据集存储目录 (也可用环境变量 DATA_STATS_STORE 指定)', DEFAULT_DATASET_DIR)
+  .option('-v, --verbose', '显示详细信息')
+  .action(async (file, options) => {
+    await runImport(file, options);
+  });
+
+addAnalysisOptions(program
+  .command('analyze')
+  .description('分析数据集存储中的数据集')
+  .argument('<dataset>', '数据集 id 或名称')
+  .option('--store <dir>', '数据集存储目录 (也可用环境变量 DATA_STATS_STORE 指定)', DEFAULT_DATASET_DIR))
+  .action(async (dataset, options) => {
+    await runDatasetAnalysis(dataset, options);
+  });
+
+program
+  .command('compare')
+  .description('对比两份数据（如相邻两次导出）：按 id 和年份对齐记录，列出新增、删除和变化的记录及各分组的指标变化')
+  .argument('<old>', '旧数据文件路径，或数据集存储中的数据集 id / 名称')
+  .argument('<new>', '新数据文件路径，或数据集存储中的数据集 id / 名称')
+  .option('-o, --output <file>', '输出结果到文件')
+  .option('-f, --format <type>', '输出格式 (json|table|summary|markdown)', 'table')
+  .option('-k, --key <fields>', '对齐记录的键字段 (逗号分隔)', DEFAULT_COMPARE_OPTIONS.key.join(','))
+  .option('--years <old,new>', '对比同一数据中的两个年份 (如 2012,2016)，此时按键字段中除年份外的字段对齐')
+  .option('-g, --group-by <fields>', '计算指标变化的分组维度，多字段用逗号分隔，可重复指定', collect, [])
+  .option('-m, --metric <field>', '参与统计的数值字段', 'value')
+  .option('-s, --stats <names>', '每组比较的统计指标，逗号分隔', DEFAULT_COMPARE_OPTIONS.stats.join(','))
+  .option('--fields <fields>', '逐条比较的字段 (逗号分隔)，默认为除键字段外的全部字段')
+  .option('--limit <n>', '每类记录最多列出的条数', String(DEFAULT_COMPARE_OPTIONS.limit))
+  .option('--where <expression>', '过滤条件，两份数据都只比较满足条件的记录')
+  .option('-i, --input-format <type>', `输入格式 (${INPUT_FORMATS.join('|')})，默认按扩展名判断`)
+  .option('-d, --delimiter <char>', 'CSV/TSV 分隔符')
+  .option('--schema <file>', 'JSON 格式的记录校验 schema 文件，两份数据共用')
+  .option('--store <dir>', '数据集存储目录 (也可用环境变量 DATA_STATS_STORE 指定)', DEFAULT_DATASET_DIR)
+  .option('-v, --verbose', '显示详细信息')
+  .action(async (oldSource, newSource, options) => {
+    await runCompare(oldSource, newSource, options);
+  });
+
+const datasetsCommand = program
+  .command('datasets')
+  .description('查看和删除数据集存储中的数据集');
+
+datasetsCommand
+  .command('list')
+  .description('列出所有数据集')
+  .option('-f, --format <type>', '输出格式 (table|json)', 'table')
+  .option('--store <dir>', '数据集存储目录 (也可用环境变量 DATA_STATS_STORE 指定)', DEFAULT_DATASET_DIR)
+  .action(async (options) => {
+    await runDatasetCommand(options, async (store) => formatDatasetList(await store.list(), options.format));
   });
 
+datasetsCommand
+  .command('show')
+  .description('查看数据集的来源、记录数、字段和样例记录')
+  .argument('<dataset>', '数据集 id 或名称')
+  .option('-f, --format <type>', '输出格式 (table|json)', 'table')
+  .option('--store <dir>', '数据集存储目录 (也可用环境变量 DATA_STATS_STORE 指定)', DEFAULT_DATASET_DIR)
+  .action(async (dataset, options) => {
+    await runDatasetCommand(options, async (store) => {
+      const details = await store.inspect(dataset);
+      if (!details) throw new Error(`数据集不存在: ${dataset}`);
+      return formatDatasetDetails(details, options.format);
+    });
+  });
+
+datasetsCommand
+  .command('delete')
+  .description('删除数据集')
+  .argument('<dataset>', '数据集 id 或名称')
+  .option('--store <dir>', '数据集存储目录 (也可用环境变量 DATA_STATS_STORE 指定)', DEFAULT_DATASET_DIR)
+  .action(async (dataset, options) => {
+    await runDatasetCommand(options, async (store) => {
+      const removed = await store.remove(dataset);
+      if (!removed) throw new Error(`数据集不存在: ${dataset}`);
+      return `${chalk.green('✓')} 已删除数据集 ${removed.name} (${removed.id})`;
+    });
+  });
+
+// 收集可重复的选项值
+function collect(value, previous) {
+  return [...previous, value];
+}
+
 // 主要分析函数
 async function runAnalysis(filePath, options) {
   const spinner = ora('正在启动数据分析...').start();
@@ -41,38 +272,33 @@ async function runAnalysis(filePath, options) {
   try {
     // 验证文件路径
     const fullPath = path.resolve(filePath);
+    const { size } = await fs.stat(fullPath);
     
-    spinner.text = '正在读取数据文件...';
-    const fileContent = await fs.readFile(fullPath, 'utf-8');
-    
-    spinner.text = '正在解析JSON数据...';
-    let data;
-    try {
-      data = JSON.parse(fileContent);
-      // 处理嵌套的 nodes 结构
-      if (data.nodes && Array.isArray(data.nodes)) {
-        data = data.nodes;
-      }
-    } catch (error) {
-      spinner.fail('JSON 文件格式错误');
-      console.error(chalk.red('错误:'), error.message);
-      process.exit(1);
+    const dimensions = resolveDimensions(options);
+    const parseOptions = {
+      format: options.inputFormat || detectInputFormat(fullPath),
+      delimiter: options.delimiter
+    };
+    if (!INPUT_FORMATS.includes(parseOptions.format)) {
+      throw new Error(`不支持的输入格式: ${parseOptions.format}，可选 ${INPUT_FORMATS.join('|')}`);
     }
     
-    spinner.text = `正在分析 ${data.length.toLocaleString()} 条数据记录...`;
+    const calculationOptions = await buildCalculationOptions(options, dimensions);
     
     // 执行统计计算
+    const analyze = options.stream || size >= STREAM_THRESHOLD_BYTES ? analyzeStream : analyzeInMemory;
+    const cache = options.cacheDir ? createResultCache({ dir: path.resolve(options.cacheDir) }) : null;
     console.time('计算耗时');
-    const results = calculateStatistics(data);
+    const { results, totalRecords, cacheStatus } = await analyze(fullPath, size, parseOptions, calculationOptions, spinner, cache);
     console.timeEnd('计算耗时');
     
-    spinner.succeed('数据分析完成!');
-    
-    // 输出结果
-    await outputResults(results, options, data.length);
+    await reportAnalysis(results, options, totalRecords, dimensions, spinner, cacheStatus);
     
   } catch (error) {
     spinner.fail('分析失败');
+    if (error.validation) {
+      printValidationReport(error.validation);
+    }
     
     if (error.code === 'ENOENT') {
       console.error(chalk.red('错误:'), `文件不存在: ${filePath}`);
@@ -88,14 +314,477 @@ async function runAnalysis(filePath, options) {
   }
 }
 
-// 输出结果
-async function outputResults(results, options, totalRecords) {
-  const output = formatOutput(results, options.format, totalRecords);
+// 分组维度：-g 指定的维度，未指定时使用默认维度
+function resolveDimensions(options) {
+  return (options.groupBy.length > 0 ? options.groupBy : DEFAULT_DIMENSIONS).map(normalizeDimension);
+}
+
+// 由命令行选项生成统计选项
+async function buildCalculationOptions(options, dimensions) {
+  return {
+    dimensions,
+    metric: options.metric,
+    weight: options.weight,
+    stats: options.stats,
+    precision: options.precision,
+    approximate: options.approximate,
+    workers: options.workers === undefined ? undefined : Number(options.workers),
+    where: options.where,
+    trends: options.trends && {
+      stat: options.trends === true ? undefined : options.trends,
+      window: Number(options.trendWindow)
+    },
+    ranking: options.top && {
+      top: Number(options.top),
+      by: options.by
+    },
+    outliers: options.outliers && {
+      method: options.outliers,
+      threshold: options.outlierThreshold === undefined ? undefined : Number(options.outlierThreshold)
+    },
+    histogram: options.histogram && {
+      method: options.histogram === true ? undefined : options.histogram,
+      bins: Number(options.bins),
+      width: options.binWidth === undefined ? undefined : Number(options.binWidth)
+    },
+    pivot: options.pivot && {
+      rows: options.pivot === true ? undefined : options.pivot,
+      columns: options.pivotColumns,
+      stat: options.pivotStat,
+      totals: options.pivotTotals,
+      subtotals: options.subtotals
+    },
+    schema: options.schema ? await loadSchema(options.schema) : undefined
+  };
+}
+
+// 统计完成后：严格模式检查、输出校验报告、过滤结果和缓存状态，再输出统计结果
+async function reportAnalysis(results, options, totalRecords, dimensions, spinner, cacheStatus) {
+  const { validation } = results;
+  if (options.strict && validation.rejected > 0) {
+    spinner.fail('严格模式: 存在未通过校验的记录');
+    printValidationReport(validation);
+    process.exit(1);
+  }
+  
+  spinner.succeed('数据分析完成!');
+  printValidationReport(validation);
+  if (results.filter) {
+    console.error(chalk.cyan(
+      `🔎 过滤条件 ${results.filter.where}: 匹配 ${results.filter.matched.toLocaleString()} 条，` +
+      `排除 ${results.filter.excluded.toLocaleString()} 条`
+    ));
+  }
+  if (cacheStatus) {
+    console.error(chalk.gray(cacheStatus.status === 'hit'
+      ? `💾 结果缓存命中 (${cacheStatus.key.slice(0, 12)})，未重新计算`
+      : `💾 结果缓存未命中，结果已写入缓存 (${cacheStatus.key.slice(0, 12)})`));
+  }
+  
+  // 输出结果
+  await outputResults(results, options, totalRecords, dimensions);
+}
+
+// 使用结果缓存：命中时跳过计算，返回 { results, cacheStatus }
+// 缓存中保存舍入后的结果（输出前本来就要统一舍入一次）
+async function withResultCache(cache, key, compute) {
+  const { value, cache: cacheStatus } = await cache.wrap(key, async () => roundResults(await compute()));
+  return { results: value, cacheStatus };
+}
+
+// 导入数据文件到数据集存储
+async function runImport(filePath, options) {
+  const spinner = ora('正在导入数据集...').start();
+  
+  try {
+    const fullPath = path.resolve(filePath);
+    const { size } = await fs.stat(fullPath);
+    const totalMB = (size / 1024 / 1024).toFixed(1);
+    
+    const format = options.inputFormat || detectInputFormat(fullPath);
+    if (!INPUT_FORMATS.includes(format)) {
+      throw new Error(`不支持的输入格式: ${format}，可选 ${INPUT_FORMATS.join('|')}`);
+    }
+    
+    const chunks = readRecords(createReadStream(fullPath), {
+      format,
+      delimiter: options.delimiter,
+      onProgress: ({ bytesRead, records }) => {
+        spinner.text = `正在导入数据集... 已读取 ${(bytesRead / 1024 / 1024).toFixed(1)}/${totalMB} MB, ` +
+          `已处理 ${records.toLocaleString()} 条记录`;
+      }
+    });
+    const store = createDatasetStore(options.store);
+    const dataset = await store.importDataset(chunks, {
+      name: options.name || path.parse(fullPath).name,
+      schema: options.schema ? await readSchemaDefinition(options.schema) : null,
+      source: { fileName: path.basename(fullPath), format, bytes: size }
+    });
+    
+    spinner.succeed(`已导入数据集 ${dataset.name}: ${dataset.records.toLocaleString()} 条记录`);
+    printValidationReport(dataset.validation);
+    console.log(`数据集 id: ${chalk.cyan(dataset.id)}`);
+    console.log(chalk.gray(`使用 data-stats analyze ${dataset.id} 分析该数据集`));
+    
+  } catch (error) {
+    spinner.fail('导入失败');
+    if (error.validation) {
+      printValidationReport(error.validation);
+    }
+    if (error.code === 'ENOENT') {
+      console.error(chalk.red('错误:'), `文件不存在: ${filePath}`);
+    } else {
+      console.error(chalk.red('错误:'), error.message);
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+    }
+    process.exit(1);
+  }
+}
+
+// 分析数据集存储中的数据集，未指定 --schema 时使用导入时的 schema
+async function runDatasetAnalysis(idOrName, options) {
+  const spinner = ora('正在启动数据分析...').start();
+  
+  try {
+    const dimensions = resolveDimensions(options);
+    const calculationOptions = await buildCalculationOptions(options, dimensions);
+    const store = createDatasetStore(options.store);
+    const dataset = await store.get(idOrName);
+    if (!dataset) throw new Error(`数据集不存在: ${idOrName}`);
+    
+    console.time('计算耗时');
+    const calculate = async () => (await store.calculate(dataset.id, {
+      ...calculationOptions,
+      onProgress: spinnerProgress(spinner)
+    })).results;
+    // 数据集导入后不再变化，以 id 和导入时间代替记录内容计算缓存键
+    const { results, cacheStatus } = options.cacheDir
+      ? await withResultCache(
+        createResultCache({ dir: path.resolve(options.cacheDir) }),
+        createCacheKey().update([{ dataset: dataset.id, createdAt: dataset.createdAt }]).digest(calculationOptions),
+        calculate
+      )
+      : { results: await calculate() };
+    console.timeEnd('计算耗时');
+    spinner.text = `数据集 ${dataset.name} (${dataset.id})`;
+    
+    await reportAnalysis(results, options, results.validation.total, dimensions, spinner, cacheStatus);
+    
+  } catch (error) {
+    spinner.fail('分析失败');
+    if (error.validation) {
+      printValidationReport(error.validation);
+    }
+    console.error(chalk.red('错误:'), error.message);
+    if (options.verbose) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+// 数据集管理命令：action(store) 返回要输出的文本
+async function runDatasetCommand(options, action) {
+  try {
+    console.log(await action(createDatasetStore(options.store)));
+  } catch (error) {
+    console.error(chalk.red('错误:'), error.message);
+    process.exit(1);
+  }
+}
+
+// 数据质量概况
+async function runProfile(filePath, options) {
+  const spinner = ora('正在检查数据质量...').start();
+  
+  try {
+    const fullPath = path.resolve(filePath);
+    const { size } = await fs.stat(fullPath);
+    const totalMB = (size / 1024 / 1024).toFixed(1);
+    
+    const format = options.inputFormat || detectInputFormat(fullPath);
+    if (!INPUT_FORMATS.includes(format)) {
+      throw new Error(`不支持的输入格式: ${format}，可选 ${INPUT_FORMATS.join('|')}`);
+    }
+    const yearRange = options.yearRange.split('-').map(Number);
+    
+    const state = createProfileState({
+      weight: options.weight,
+      yearRange,
+      schema: options.schema ? await loadSchema(options.schema) : undefined
+    });
+    const chunks = readRecords(createReadStream(fullPath), {
+      format,
+      delimiter: options.delimiter,
+      onProgress: ({ bytesRead, records }) => {
+        spinner.text = `正在检查数据质量... 已读取 ${(bytesRead / 1024 / 1024).toFixed(1)}/${totalMB} MB, ` +
+          `已处理 ${records.toLocaleString()} 条记录`;
+      }
+    });
+    for await (const chunk of chunks) {
+      profileRecords(state, chunk);
+    }
+    const profile = finalizeProfile(state);
+    
+    spinner.succeed('数据质量检查完成!');
+    await writeOutput(formatProfileOutput(profile, options.format), options.output);
+    
+  } catch (error) {
+    spinner.fail('检查失败');
+    if (error.code === 'ENOENT') {
+      console.error(chalk.red('错误:'), `文件不存在: ${filePath}`);
+    } else {
+      console.error(chalk.red('错误:'), error.message);
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+    }
+    process.exit(1);
+  }
+}
+
+// 相关性与回归分析
+async function runCorrelation(filePath, options) {
+  const spinner = ora('正在启动相关性分析...').start();
+  
+  try {
+    const fullPath = path.resolve(filePath);
+    const { size } = await fs.stat(fullPath);
+    const parseOptions = {
+      format: options.inputFormat || detectInputFormat(fullPath),
+      delimiter: options.delimiter
+    };
+    if (!INPUT_FORMATS.includes(parseOptions.format)) {
+      throw new Error(`不支持的输入格式: ${parseOptions.format}，可选 ${INPUT_FORMATS.join('|')}`);
+    }
+    
+    // 只做相关性分析，不输出分组统计
+    const calculationOptions = {
+      dimensions: [],
+      metric: options.y,
+      weight: options.x,
+      where: options.where,
+      correlation: {
+        fields: options.fields,
+        by: options.groupBy,
+        residuals: Number(options.residuals)
+      },
+      schema: options.schema ? await loadSchema(options.schema) : undefined
+    };
+    const { results } = await analyzeInMemory(fullPath, size, parseOptions, calculationOptions, spinner);
+    
+    spinner.succeed('相关性分析完成!');
+    printValidationReport(results.validation);
+    await writeOutput(formatCorrelationOutput(roundResults(results.correlation), options.format), options.output);
+    
+  } catch (error) {
+    spinner.fail('分析失败');
+    if (error.validation) {
+      printValidationReport(error.validation);
+    }
+    if (error.code === 'ENOENT') {
+      console.error(chalk.red('错误:'), `文件不存在: ${filePath}`);
+    } else {
+      console.error(chalk.red('错误:'), error.message);
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+    }
+    process.exit(1);
+  }
+}
+
+// 对比两份数据
+async function runCompare(oldSource, newSource, options) {
+  const spinner = ora('正在读取数据...').start();
+  
+  try {
+    const store = createDatasetStore(options.store);
+    const parseOptions = { format: options.inputFormat, delimiter: options.delimiter };
+    const oldData = await loadCompareSource(oldSource, parseOptions, store, spinner);
+    const newData = await loadCompareSource(newSource, parseOptions, store, spinner);
+    
+    spinner.text = `正在对比 ${oldData.length.toLocaleString()} 条与 ${newData.length.toLocaleString()} 条记录...`;
+    const comparison = compareDatasets(oldData, newData, {
+      key: options.key,
+      years: options.years,
+      dimensions: options.groupBy.length > 0 ? options.groupBy : undefined,
+      metric: options.metric,
+      stats: options.stats,
+      fields: options.fields,
+      limit: Number(options.limit),
+      where: options.where,
+      schema: options.schema ? await loadSchema(options.schema) : undefined
+    });
+    
+    spinner.succeed('数据对比完成!');
+    printValidationReport(comparison.validation.old);
+    printValidationReport(comparison.validation.new);
+    await writeOutput(formatCompareOutput(roundResults(comparison), options.format), options.output);
+    
+  } catch (error) {
+    spinner.fail('对比失败');
+    if (error.validation) {
+      printValidationReport(error.validation);
+    }
+    console.error(chalk.red('错误:'), error.message);
+    if (options.verbose) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+// 读入对比的一侧：存在的文件按格式解析，否则按 id 或名称在数据集存储中查找
+async function loadCompareSource(source, parseOptions, store, spinner) {
+  const fullPath = path.resolve(source);
+  try {
+    await fs.stat(fullPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    const dataset = await store.get(source);
+    if (!dataset) throw new Error(`文件或数据集不存在: ${source}`);
+    spinner.text = `正在读取数据集 ${dataset.name}...`;
+    return store.loadRecords(dataset.id);
+  }
+  
+  const format = parseOptions.format || detectInputFormat(fullPath);
+  if (!INPUT_FORMATS.includes(format)) {
+    throw new Error(`不支持的输入格式: ${format}，可选 ${INPUT_FORMATS.join('|')}`);
+  }
+  spinner.text = `正在读取 ${path.basename(fullPath)}...`;
+  const records = [];
+  for await (const chunk of readRecords(createReadStream(fullPath), { format, delimiter: parseOptions.delimiter })) {
+    for (const record of chunk) records.push(record);
+  }
+  return records;
+}
+
+// 读取 schema 文件中的定义
+async function readSchemaDefinition(schemaPath) {
+  const content = await fs.readFile(path.resolve(schemaPath), 'utf-8');
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`schema 文件 ${schemaPath} 不是有效的 JSON: ${error.message}`);
+  }
+}
+
+// 读取并编译 schema 文件
+async function loadSchema(schemaPath) {
+  return compileSchema(await readSchemaDefinition(schemaPath));
+}
+
+// 输出数据校验报告（写到 stderr，不影响 -o 或管道中的结果）
+function printValidationReport(validation) {
+  if (validation.rejected === 0) return;
+  
+  console.error(chalk.yellow(
+    `⚠️  数据校验: 共 ${validation.total.toLocaleString()} 条记录，` +
+    `丢弃 ${validation.rejected.toLocaleString()} 条`
+  ));
+  const reasons = Object.values(validation.reasons).sort((a, b) => b.count - a.count);
+  for (const reason of reasons) {
+    const samples = reason.samples
+      .map(sample => sample.id === undefined ? `#${sample.index}` : `#${sample.index}(id=${sample.id})`)
+      .join(', ');
+    console.error(chalk.yellow(`   ${reason.message}: ${reason.count.toLocaleString()} 条`) + chalk.gray(`  样例行: ${samples}`));
+  }
+}
+
+// 用计算进度事件（见 core/progress.js）更新 spinner：阶段名称和完成百分比显示在正文，记录数显示在后缀
+function spinnerProgress(spinner) {
+  return (event) => {
+    const percent = event.percent === null ? '' : ` ${event.percent}%`;
+    if (event.type === 'stage' && event.status === 'start') {
+      spinner.text = `正在${event.stage}...${percent}`;
+    } else if (event.type === 'records') {
+      spinner.suffixText = chalk.gray(
+        `已处理 ${event.processed.toLocaleString()} 条，丢弃 ${event.rejected.toLocaleString()} 条` +
+        (event.matched === event.valid ? '' : `，过滤后 ${event.matched.toLocaleString()} 条`)
+      );
+    }
+  };
+}
+
+// 一次性读入并解析整个文件，cache 为结果缓存（可选），缓存键按解析后的记录计算
+async function analyzeInMemory(fullPath, size, parseOptions, calculationOptions, spinner, cache = null) {
+  spinner.text = '正在读取数据文件...';
+  const fileContent = await fs.readFile(fullPath, 'utf-8');
+  
+  spinner.text = `正在解析${parseOptions.format.toUpperCase()}数据...`;
+  let data;
+  try {
+    if (parseOptions.format === 'json') {
+      data = JSON.parse(fileContent);
+      // 处理嵌套的 nodes 结构
+      if (data.nodes && Array.isArray(data.nodes)) {
+        data = data.nodes;
+      }
+    } else {
+      data = parseRecords(fileContent, parseOptions.format, parseOptions);
+    }
+  } catch (error) {
+    spinner.fail(`${parseOptions.format.toUpperCase()} 文件格式错误`);
+    console.error(chalk.red('错误:'), error.message);
+    process.exit(1);
+  }
+  
+  spinner.text = `正在分析 ${data.length.toLocaleString()} 条数据记录...`;
+  const options = { ...calculationOptions, onProgress: spinnerProgress(spinner) };
+  const calculate = async () => options.workers === undefined
+    ? calculateStatistics(data, options)
+    : calculateStatisticsParallel(data, options);
+  if (cache) {
+    return { ...await withResultCache(cache, cacheKey(data, calculationOptions), calculate), totalRecords: data.length };
+  }
+  return { results: await calculate(), totalRecords: data.length };
+}
+
+// 按文件原始内容和解析选项计算缓存键（流式分析时不先解析整个文件）
+async function fileCacheKey(fullPath, parseOptions, calculationOptions) {
+  const key = createCacheKey().updateRaw(`${parseOptions.format}\n${parseOptions.delimiter ?? ''}\n`);
+  for await (const chunk of createReadStream(fullPath)) key.updateRaw(chunk);
+  return key.digest(calculationOptions);
+}
+
+// 边读取边解析边统计，内存占用与文件大小无关；cache 为结果缓存（可选），缓存键按文件内容计算
+async function analyzeStream(fullPath, size, parseOptions, calculationOptions, spinner, cache = null) {
+  const totalMB = (size / 1024 / 1024).toFixed(1);
+  let totalRecords = 0;
   
-  if (options.output) {
+  const chunks = readRecords(createReadStream(fullPath), {
+    ...parseOptions,
+    onProgress: ({ bytesRead, records }) => {
+      totalRecords = records;
+      spinner.text = `正在流式分析... 已读取 ${(bytesRead / 1024 / 1024).toFixed(1)}/${totalMB} MB, ` +
+        `已处理 ${records.toLocaleString()} 条记录`;
+    }
+  });
+  
+  const calculate = () => calculateStatisticsStream(chunks, { ...calculationOptions, onProgress: spinnerProgress(spinner) });
+  if (cache) {
+    spinner.text = '正在计算文件哈希...';
+    const cached = await withResultCache(cache, await fileCacheKey(fullPath, parseOptions, calculationOptions), calculate);
+    return { ...cached, totalRecords: cached.results.validation.total };
+  }
+  return { results: await calculate(), totalRecords };
+}
+
+// 输出结果：统计结果不做舍入，在这里统一舍入一次后再格式化
+async function outputResults(results, options, totalRecords, dimensions) {
+  const output = formatOutput(roundResults(results), options.format, totalRecords, dimensions, options.stats);
+  await writeOutput(output, options.output);
+}
+
+// 写入文件或打印到终端
+async function writeOutput(output, outputPath) {
+  if (outputPath) {
     try {
-      await fs.writeFile(options.output, output);
-      console.log(chalk.green('✓'), `结果已保存到: ${options.output}`);
+      await fs.writeFile(outputPath, output);
+      console.log(chalk.green('✓'), `结果已保存到: ${outputPath}`);
     } catch (error) {
       console.error(chalk.red('保存失败:'), error.message);
     }
@@ -105,22 +794,317 @@ async function outputResults(results, options, totalRecords) {
 }
 
 // 格式化输出
-function formatOutput(results, format, totalRecords) {
+function formatOutput(results, format, totalRecords, dimensions, stats) {
   switch (format) {
     case 'json':
       return JSON.stringify(results, null, 2);
     
     case 'summary':
-      return formatSummary(results, totalRecords);
+      return formatSummary(results, totalRecords, dimensions, stats);
+    
+    case 'csv':
+      // 生成交叉表时输出矩阵布局
+      return results.pivot ? formatPivotCsv(results.pivot) : formatCsv(results, dimensions);
+    
+    case 'markdown':
+    case 'md':
+      return formatMarkdown(results, totalRecords, dimensions);
+    
+    case 'html':
+      return formatHtml(results, totalRecords, dimensions);
+    
+    case 'table':
+    default:
+      return formatTable(results, totalRecords, dimensions);
+  }
+}
+
+// 数据质量概况输出
+function formatProfileOutput(profile, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(profile, null, 2);
+    
+    case 'summary':
+      return formatProfileSummary(profile);
+    
+    case 'csv':
+      return formatProfileCsv(profile);
+    
+    case 'markdown':
+    case 'md':
+      return formatProfileMarkdown(profile);
+    
+    case 'html':
+      return formatProfileHtml(profile);
+    
+    case 'table':
+    default:
+      return formatProfileTable(profile);
+  }
+}
+
+// 相关性分析输出
+function formatCorrelationOutput(correlation, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(correlation, null, 2);
+    
+    case 'summary':
+      return formatCorrelationSummary(correlation);
+    
+    case 'csv':
+      return formatCorrelationCsv(correlation);
+    
+    case 'markdown':
+    case 'md':
+      return formatCorrelationMarkdown(correlation);
+    
+    case 'html':
+      return formatCorrelationHtml(correlation);
     
     case 'table':
     default:
-      return formatTable(results, totalRecords);
+      return formatCorrelationTable(correlation);
+  }
+}
+
+// 对比结果输出
+function formatCompareOutput(comparison, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(comparison, null, 2);
+    
+    case 'summary':
+      return formatCompareSummary(comparison);
+    
+    case 'markdown':
+    case 'md':
+      return formatCompareMarkdown(comparison);
+    
+    case 'table':
+    default:
+      return formatCompareTable(comparison);
+  }
+}
+
+// 对比结果表格输出
+function formatCompareTable(comparison) {
+  let output = '';
+  
+  output += chalk.bold.blue('\n🔀 数据对比\n');
+  output += chalk.gray('='.repeat(60)) + '\n';
+  output += formatColumns(['项目', '值'], compareSummaryRows(comparison).map(([label, value]) => [label, value.toLocaleString()]));
+  
+  for (const { title, rows } of compareGroupSections(comparison)) {
+    output += chalk.bold.green(`\n${title}\n`);
+    output += rows.length === 0 ? chalk.gray('无数据\n') : formatColumns(COMPARE_GROUP_COLUMNS, rows);
+  }
+  
+  for (const { title, total, header, rows } of compareRecordSections(comparison)) {
+    if (total === 0) continue;
+    output += chalk.bold.magenta(`\n${title} (${total.toLocaleString()})\n`);
+    if (rows.length > 0) output += formatColumns(header, rows);
+    if (comparison.limit < total) output += chalk.gray(`仅列出前 ${comparison.limit} 条，使用 --limit 或 -f json 查看更多\n`);
+  }
+  
+  return output;
+}
+
+// 对比结果摘要输出：记录变化数量、变化字段，以及各维度中统计字段总和变化最大的分组
+function formatCompareSummary(comparison) {
+  const { summary, years } = comparison;
+  let output = '';
+  
+  output += '🔀 数据对比摘要\n';
+  if (years) output += `年份: ${years.old} → ${years.new}\n`;
+  output += `旧数据: ${summary.old.toLocaleString()} 条，新数据: ${summary.new.toLocaleString()} 条\n`;
+  output += `新增 ${summary.added.toLocaleString()} 条，删除 ${summary.removed.toLocaleString()} 条，` +
+    `变化 ${summary.changed.toLocaleString()} 条，无变化 ${summary.unchanged.toLocaleString()} 条\n`;
+  
+  const fieldChanges = Object.entries(comparison.fieldChanges).sort((a, b) => b[1] - a[1]);
+  if (fieldChanges.length > 0) {
+    output += `变化字段: ${fieldChanges.map(([field, count]) => `${field} ${count.toLocaleString()} 条`).join('，')}\n`;
+  }
+  
+  for (const dimension of comparison.dimensions) {
+    const [largest] = comparison.groups[dimension.name]
+      .filter(({ stats }) => stats.sum && stats.sum.delta !== null && stats.sum.delta !== 0)
+      .sort((a, b) => Math.abs(b.stats.sum.delta) - Math.abs(a.stats.sum.delta));
+    if (!largest) continue;
+    const { delta, percent } = largest.stats.sum;
+    output += `${dimensionTitle(dimension)}: ${comparison.metric} 总和变化最大的是 ${largest.keys.join(' / ')} ` +
+      `(${delta > 0 ? '+' : ''}${delta.toLocaleString()}${percent === null ? '' : `，${formatPercent(percent)}`})\n`;
+  }
+  
+  return output;
+}
+
+// 相关性分析表格输出
+function formatCorrelationTable(correlation) {
+  let output = '';
+  
+  output += chalk.bold.blue(`\n🔗 ${correlation.y} 与 ${correlation.x} 的相关性分析\n`);
+  output += chalk.gray('='.repeat(60)) + '\n';
+  
+  const toCells = row => row.map(cell => cell.toLocaleString());
+  for (const { title, rows, residuals } of correlationSections(correlation)) {
+    output += chalk.bold.green(`\n${title}\n`);
+    output += formatColumns(CORRELATION_COLUMNS, rows.map(toCells));
+    if (residuals.length > 0) {
+      output += chalk.magenta('\n残差最大的记录\n');
+      output += formatColumns(residualColumns(correlation), residuals.map(toCells));
+    }
+  }
+  
+  const covariance = covarianceTable(correlation);
+  output += chalk.bold.green(`\n${covariance.title}\n`);
+  output += covariance.rows.length === 0
+    ? chalk.gray('记录不足\n')
+    : formatColumns(covariance.header, covariance.rows.map(toCells));
+  
+  return output;
+}
+
+// 相关性分析摘要输出：整体结果以及各分组维度中相关性最强和最弱的分组
+function formatCorrelationSummary(correlation) {
+  const { x, y, fields, overall, ...dimensions } = correlation;
+  const { regression } = overall;
+  let output = '';
+  
+  output += `🔗 ${y} 与 ${x} 的相关性摘要\n`;
+  output += `记录数: ${overall.count.toLocaleString()}\n`;
+  output += `Pearson: ${overall.pearson ?? '-'}\n`;
+  output += `Spearman: ${overall.spearman ?? '-'}\n`;
+  if (regression) {
+    output += `回归: ${y} = ${regression.slope} × ${x} + ${regression.intercept} (R² ${regression.r2})\n`;
+  }
+  
+  for (const [name, groups] of Object.entries(dimensions)) {
+    const ranked = Object.entries(groups)
+      .filter(([, result]) => result.pearson !== null)
+      .sort(([, a], [, b]) => b.pearson - a.pearson);
+    if (ranked.length === 0) continue;
+    const [strongest] = ranked;
+    const weakest = ranked[ranked.length - 1];
+    output += `${name.replace(/^by/, '')}: 最强 ${strongest[0]} (${strongest[1].pearson})，最弱 ${weakest[0]} (${weakest[1].pearson})\n`;
+  }
+  
+  return output;
+}
+
+// 数据质量概况表格输出
+function formatProfileTable(profile) {
+  let output = '';
+  
+  output += chalk.bold.blue('\n🔍 数据质量概况\n');
+  output += chalk.gray('='.repeat(60)) + '\n';
+  output += chalk.yellow(`总记录数: ${profile.totalRecords.toLocaleString()}，通过校验: ${profile.validation.valid.toLocaleString()}\n\n`);
+  
+  output += chalk.bold.green('📋 字段概况\n');
+  const header = ['field', 'present', 'missingRate', 'emptyRate', 'distinct', 'types', 'min', 'max', 'median'];
+  const rows = profileFieldRows(profile).map(row => {
+    const [field, present, , missingRate, , emptyRate, distinct, types, min, max, , median] = row;
+    return [field, present, missingRate, emptyRate, distinct, types, min, max, median]
+      .map(cell => cell === undefined ? '-' : cell.toLocaleString());
+  });
+  output += formatColumns(header.map(name => PROFILE_LABELS[name]), rows);
+  
+  output += chalk.bold.green('\n⚠️  数据质量问题\n');
+  for (const [title, count, samples] of profileIssues(profile)) {
+    const color = count > 0 ? chalk.red : chalk.green;
+    output += `${color(count > 0 ? '✗' : '✓')} ${title}: ${color(count.toLocaleString())}`;
+    output += samples ? chalk.gray(`  样例: ${samples}`) + '\n' : '\n';
+  }
+  
+  return output;
+}
+
+// 数据质量概况摘要输出：只列出发现的问题
+function formatProfileSummary(profile) {
+  let output = '';
+  
+  output += '🔍 数据质量摘要\n';
+  output += `总记录数: ${profile.totalRecords.toLocaleString()}\n`;
+  output += `通过校验: ${profile.validation.valid.toLocaleString()}\n`;
+  output += `字段数: ${profile.fields.length}\n`;
+  
+  const issues = profileIssues(profile).filter(([, count]) => count > 0);
+  if (issues.length === 0) {
+    output += '未发现数据质量问题\n';
+  }
+  for (const [title, count] of issues) {
+    output += `${title}: ${count.toLocaleString()}\n`;
+  }
+  
+  return output;
+}
+
+// 数据集列表输出
+function formatDatasetList(datasets, format) {
+  if (format === 'json') {
+    return JSON.stringify(datasets, null, 2);
+  }
+  if (datasets.length === 0) {
+    return '还没有数据集，使用 data-stats import <file> 导入';
+  }
+  return formatColumns(
+    ['id', '名称', '记录数', '来源', '导入时间'],
+    datasets.map(dataset => [
+      dataset.id,
+      dataset.name,
+      dataset.records.toLocaleString(),
+      dataset.source.fileName || dataset.source.format || '',
+      new Date(dataset.createdAt).toLocaleString()
+    ])
+  );
+}
+
+// 数据集详情输出
+function formatDatasetDetails(dataset, format) {
+  if (format === 'json') {
+    return JSON.stringify(dataset, null, 2);
+  }
+  const { source, validation } = dataset;
+  let output = '';
+  
+  output += `📦 数据集 ${dataset.name}\n`;
+  output += `id: ${dataset.id}\n`;
+  output += `导入时间: ${new Date(dataset.createdAt).toLocaleString()}\n`;
+  output += `来源: ${[source.fileName, source.format && source.format.toUpperCase()].filter(Boolean).join(' ')}\n`;
+  output += `记录数: ${dataset.records.toLocaleString()}（导入时丢弃 ${validation.rejected.toLocaleString()} 条）\n`;
+  output += `字段: ${dataset.fields.join(', ')}\n`;
+  output += `schema: ${dataset.schema ? Object.keys(dataset.schema.fields).join(', ') : '默认'}\n`;
+  
+  if (dataset.sample.length > 0) {
+    output += '\n样例记录\n';
+    output += formatColumns(
+      dataset.fields,
+      dataset.sample.map(record => dataset.fields.map(field => record[field] ?? ''))
+    );
   }
+  
+  return output;
+}
+
+// 维度图标，未列出的维度使用 📁
+const DIMENSION_ICONS = {
+  byRegion: '🌍',
+  byResource: '🌾',
+  byRegionAndYear: '📅'
+};
+
+const DIMENSION_LABELS = {
+  byRegion: '地区数量',
+  byResource: '资源类型'
+};
+
+function dimensionHeading(dimension) {
+  return `${DIMENSION_ICONS[dimension.name] || '📁'} ${dimensionTitle(dimension)}`;
 }
 
 // 表格格式输出
-function formatTable(results, totalRecords) {
+function formatTable(results, totalRecords, dimensions) {
   let output = '';
   
   // 标题
@@ -128,70 +1112,170 @@ function formatTable(results, totalRecords) {
   output += chalk.gray('='.repeat(60)) + '\n';
   output += chalk.yellow(`总记录数: ${totalRecords.toLocaleString()}\n\n`);
   
-  // 按地区统计
-  output += chalk.bold.green('🌍 按地区统计\n');
-  output += chalk.gray('-'.repeat(40)) + '\n';
-  for (const [region, stats] of Object.entries(results.byRegion)) {
-    output += formatStatsSection(region, stats);
-  }
-  
-  // 按资源统计
-  output += chalk.bold.green('\n🌾 按资源类型统计\n');
-  output += chalk.gray('-'.repeat(40)) + '\n';
-  for (const [resource, stats] of Object.entries(results.byResource)) {
-    output += formatStatsSection(resource, stats);
+  // 单字段维度完整展示
+  for (const dimension of dimensions.filter(d => d.fields.length === 1)) {
+    output += chalk.bold.green(`${dimensionHeading(dimension)}\n`);
+    output += chalk.gray('-'.repeat(40)) + '\n';
+    for (const [group, stats] of Object.entries(results[dimension.name])) {
+      output += formatStatsSection(group, stats);
+    }
+    output += '\n';
   }
   
   // 全局权重统计
-  output += chalk.bold.green('\n⚖️  全局权重统计\n');
+  output += chalk.bold.green('⚖️  全局权重统计\n');
   output += chalk.gray('-'.repeat(40)) + '\n';
   output += chalk.cyan('最大值: ') + chalk.white(results.globalWeight.max.toLocaleString()) + '\n';
   output += chalk.cyan('最小值: ') + chalk.white(results.globalWeight.min.toLocaleString()) + '\n';
   output += chalk.cyan('中位数: ') + chalk.white(results.globalWeight.median.toLocaleString()) + '\n';
   
-  // 按地区和年份统计（简化显示）
-  output += chalk.bold.green('\n📅 按地区和年份统计 (前5个地区)\n');
-  output += chalk.gray('-'.repeat(40)) + '\n';
-  const regions = Object.keys(results.byRegionAndYear).slice(0, 5);
-  for (const region of regions) {
-    output += chalk.magenta(`${region}:\n`);
-    const years = Object.keys(results.byRegionAndYear[region]).sort().slice(-3); // 最近3年
-    for (const year of years) {
-      const stats = results.byRegionAndYear[region][year];
-      output += `  ${year}: 平均 ${stats.mean.toFixed(2)}, 总和 ${stats.sum.toLocaleString()}\n`;
+  // 多字段维度（简化显示：前5个一级分组，每组最后3项）
+  for (const dimension of dimensions.filter(d => d.fields.length > 1)) {
+    output += chalk.bold.green(`\n${dimensionHeading(dimension)} (前5组)\n`);
+    output += chalk.gray('-'.repeat(40)) + '\n';
+    const nested = results[dimension.name];
+    for (const group of Object.keys(nested).slice(0, 5)) {
+      output += chalk.magenta(`${group}:\n`);
+      const entries = flattenGroups(nested[group], dimension.fields.length - 1)
+        .sort(([a], [b]) => a.join('/').localeCompare(b.join('/')))
+        .slice(-3);
+      for (const [keys, stats] of entries) {
+        output += `  ${keys.join(' / ')}: ${formatInlineStats(stats)}\n`;
+      }
+    }
+  }
+  
+  // 趋势分析
+  if (results.trends) {
+    for (const { title, rows } of trendSections(results.trends)) {
+      output += chalk.bold.green(`\n📈 ${title} (${statLabel(results.trends.stat)})\n`);
+      output += formatColumns(TREND_COLUMNS, rows.map(row => row.map(cell => cell.toLocaleString())));
+    }
+  }
+  
+  // 排名与占比
+  if (results.ranking) {
+    for (const { title, rows } of rankingSections(results.ranking)) {
+      output += chalk.bold.green(`\n🏆 ${title}\n`);
+      output += formatColumns(RANKING_COLUMNS, rows.map(row => row.map(cell => cell.toLocaleString())));
+    }
+  }
+  
+  // 异常值
+  if (results.outliers) {
+    for (const { title, rows } of outlierSections(results.outliers)) {
+      output += chalk.bold.green(`\n🚨 ${title}\n`);
+      output += rows.length === 0
+        ? chalk.gray('未发现异常值\n')
+        : formatColumns(OUTLIER_COLUMNS, rows.map(row => row.map(cell => cell.toLocaleString())));
+    }
+  }
+  
+  // 分布直方图：整体分布用横向条形，各分组用迷你分布图
+  if (results.histogram) {
+    for (const { title, bins, groups } of histogramSections(results.histogram)) {
+      output += chalk.bold.green(`\n📶 ${title}\n`);
+      output += bins.length === 0
+        ? chalk.gray('无数据\n')
+        : formatColumns(HISTOGRAM_COLUMNS, bins.map(([range, count, bar]) => [range, count.toLocaleString(), chalk.cyan(bar)]));
+      for (const group of groups) {
+        output += chalk.magenta(`\n${group.title}\n`);
+        output += formatColumns(SPARKLINE_COLUMNS, group.rows.map(([name, line, total, range]) =>
+          [name, chalk.cyan(line), total.toLocaleString(), range]));
+      }
     }
   }
   
+  // 交叉表
+  if (results.pivot) {
+    output += chalk.bold.green(`\n🧮 ${pivotTitle(results.pivot)}\n`);
+    output += formatColumns(
+      pivotHeader(results.pivot),
+      pivotRows(results.pivot, '-').map(row => row.map(cell => cell.toLocaleString()))
+    );
+  }
+  
   return output;
 }
 
+function formatStatValue(name, value) {
+  if (name === 'mean' || name === 'weightedMean') return value.toFixed(2);
+  return value.toLocaleString();
+}
+
 // 格式化统计区域
 function formatStatsSection(title, stats) {
   let section = chalk.magenta(`${title}:\n`);
-  section += `  平均值: ${chalk.white(stats.mean.toFixed(2))}\n`;
-  section += `  最大值: ${chalk.white(stats.max.toLocaleString())}\n`;
-  section += `  最小值: ${chalk.white(stats.min.toLocaleString())}\n`;
-  section += `  中位数: ${chalk.white(stats.median.toLocaleString())}\n`;
-  section += `  总和:   ${chalk.white(stats.sum.toLocaleString())}\n`;
-  section += `  记录数: ${chalk.white(stats.count.toLocaleString())}\n\n`;
+  for (const [name, value] of orderedStats(stats)) {
+    section += `  ${statLabel(name)}: ${chalk.white(formatStatValue(name, value))}\n`;
+  }
+  section += '\n';
   return section;
 }
 
+// 单行简要统计：优先显示平均值和总和
+function formatInlineStats(stats) {
+  const names = ['mean', 'sum'].filter(name => name in stats);
+  const shown = names.length > 0 ? names : Object.keys(stats).slice(0, 2);
+  return shown.map(name => `${statLabel(name).replace('值', '')} ${formatStatValue(name, stats[name])}`).join(', ');
+}
+
+// 全角字符（中日韩文字和全角符号），终端中占两列；方块、箭头等符号占一列
+const WIDE_CHAR = /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/;
+
+// 对齐的列式表格（按显示宽度补齐，中文占两列，忽略颜色控制符）
+function formatColumns(header, rows) {
+  const width = text => [...String(text).replace(/\x1b\[[0-9;]*m/g, '')]
+    .reduce((acc, char) => acc + (WIDE_CHAR.test(char) ? 2 : 1), 0);
+  const pad = (text, size) => String(text) + ' '.repeat(Math.max(0, size - width(text)));
+  const sizes = header.map((cell, i) => Math.max(width(cell), ...rows.map(row => width(row[i]))));
+  const line = cells => cells.map((cell, i) => pad(cell, sizes[i])).join('  ').trimEnd();
+  return [line(header), sizes.map(size => '-'.repeat(size)).join('  '), ...rows.map(line)].join('\n') + '\n';
+}
+
 // 摘要格式输出
-function formatSummary(results, totalRecords) {
+function formatSummary(results, totalRecords, dimensions, stats) {
   let output = '';
   
   output += '📊 数据统计摘要\n';
   output += `总记录数: ${totalRecords.toLocaleString()}\n`;
-  output += `地区数量: ${Object.keys(results.byRegion).length}\n`;
-  output += `资源类型: ${Object.keys(results.byResource).length}\n`;
+  for (const dimension of dimensions.filter(d => d.fields.length === 1)) {
+    const label = DIMENSION_LABELS[dimension.name] || `${dimension.fields[0]} 分组数`;
+    output += `${label}: ${Object.keys(results[dimension.name]).length}\n`;
+  }
   output += `权重范围: ${results.globalWeight.min.toLocaleString()} - ${results.globalWeight.max.toLocaleString()}\n`;
   
   // 最大值地区
-  const maxRegion = Object.entries(results.byRegion)
-    .reduce((max, [region, stats]) => stats.max > max.stats.max ? {region, stats} : max, 
-            {region: '', stats: {max: -Infinity}});
-  output += `最高值地区: ${maxRegion.region} (${maxRegion.stats.max.toLocaleString()})\n`;
+  const [maxRegion] = rankGroups(results.byRegion || {}, { by: 'max', top: 1 }).top;
+  if (maxRegion) {
+    output += `最高值地区: ${maxRegion.group} (${maxRegion.value.toLocaleString()})\n`;
+  }
+  
+  if (results.outliers) {
+    const { method, threshold, flagged } = results.outliers;
+    output += `异常值 (${OUTLIER_METHOD_LABELS[method]}，阈值 ${threshold}): ${flagged.toLocaleString()} 条记录\n`;
+  }
+  
+  // 排名：每个维度一行列出前 N 名及占比
+  if (results.ranking) {
+    for (const { title, rows } of rankingSections(results.ranking).filter(({ position }) => position === 'top')) {
+      output += `${title}: ${rows.map(([rank, group, , share]) => `${rank}. ${group} (${share})`).join(', ')}\n`;
+    }
+  }
+  
+  // 指定了统计指标时，以列的形式列出各分组的指标
+  if (stats) {
+    for (const dimension of dimensions.filter(d => d.fields.length === 1)) {
+      const groups = Object.entries(results[dimension.name]);
+      if (groups.length === 0) continue;
+      const names = orderedStats(groups[0][1]).map(([name]) => name);
+      output += `\n${dimensionHeading(dimension)}\n`;
+      output += formatColumns(
+        [dimension.fields[0], ...names.map(statLabel)],
+        groups.map(([group, groupStats]) => [group, ...names.map(name => formatStatValue(name, groupStats[name]))])
+      );
+    }
+  }
   
   return output;
 }
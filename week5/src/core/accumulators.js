@@ -0,0 +1,314 @@
+/**
+ * 可合并的增量统计累加器
+ * 用于流式处理和分片并行计算：每条记录 O(1) 更新，内存占用与数据量无关
+ *
+ * - 计数 / 最小值 / 最大值：精确
+ * - 总和 / 加权总和：Neumaier 补偿求和；精确小数模式下另以 BigInt 定点数精确累加（见 arithmetic.js）
+ * - 平均值 / 方差 / 偏度 / 峰度：Welford 在线算法 + Pébay 合并公式，精确（浮点误差内）
+ * - 加权平均 / 加权方差：West 加权在线算法，精确（浮点误差内）
+ * - 中位数 / 百分位数：KLL 分位数草图，归一化秩误差约为 errorBound
+ *
+ * 累加器均为普通对象（不含函数），可通过 postMessage 传递；
+ * 默认模式下可直接 JSON 序列化，精确小数模式的 exact 部分含 BigInt，序列化前需转换
+ */
+
+import { toDecimal, decimalAdd, decimalMultiply, decimalToNumber, decimalRatio } from './arithmetic.js';
+
+// KLL 各层容量衰减系数
+const KLL_DECAY = 2 / 3;
+
+// 由秩误差推算 KLL 参数 k 的经验常数（k = 200 时误差约 1.2%）
+const KLL_ERROR_CONSTANT = 2.4;
+
+// 默认秩误差上限
+const DEFAULT_ERROR_BOUND = 0.01;
+
+// errorBound -> KLL 参数 k
+const errorBoundToK = (errorBound = DEFAULT_ERROR_BOUND) => {
+  if (!(errorBound > 0 && errorBound < 1)) {
+    throw new Error(`无效的误差上限: ${errorBound}，应在 (0, 1) 区间内`);
+  }
+  return Math.max(8, Math.ceil(KLL_ERROR_CONSTANT / errorBound));
+};
+
+// 确定性伪随机数（xorshift32），保证相同输入得到相同草图
+const nextRandomBit = (sketch) => {
+  let x = sketch.seed;
+  x ^= x << 13;
+  x ^= x >>> 17;
+  x ^= x << 5;
+  sketch.seed = x >>> 0 || 1;
+  return sketch.seed & 1;
+};
+
+// 创建 KLL 分位数草图
+const createQuantileSketch = (errorBound = DEFAULT_ERROR_BOUND) => ({
+  k: errorBoundToK(errorBound),
+  n: 0,
+  levels: [[]],
+  compacted: false,
+  seed: 0x9e3779b9
+});
+
+const levelCapacity = (sketch, level) => Math.max(
+  2,
+  Math.ceil(sketch.k * Math.pow(KLL_DECAY, sketch.levels.length - 1 - level))
+);
+
+const sketchSize = (sketch) => sketch.levels.reduce((acc, level) => acc + level.length, 0);
+
+const sketchCapacity = (sketch) => sketch.levels.reduce((acc, _, level) => acc + levelCapacity(sketch, level), 0);
+
+// 压缩最低的满层：排序后随机取奇数位或偶数位元素提升到上一层（权重翻倍）
+const compactOnce = (sketch) => {
+  const level = sketch.levels.findIndex((items, h) => items.length >= levelCapacity(sketch, h));
+  if (level === -1) return false;
+
+  if (level + 1 === sketch.levels.length) {
+    sketch.levels.push([]);
+  }
+
+  const items = sketch.levels[level].sort((a, b) => a - b);
+  const leftover = items.length % 2 === 1 ? [items.pop()] : [];
+  const offset = nextRandomBit(sketch);
+  const promoted = sketch.levels[level + 1];
+  for (let i = offset; i < items.length; i += 2) {
+    promoted.push(items[i]);
+  }
+
+  sketch.levels[level] = leftover;
+  sketch.compacted = true;
+  return true;
+};
+
+const compress = (sketch) => {
+  while (sketchSize(sketch) > sketchCapacity(sketch)) {
+    if (!compactOnce(sketch)) break;
+  }
+};
+
+const sketchAdd = (sketch, value) => {
+  sketch.levels[0].push(value);
+  sketch.n++;
+  if (sketch.levels[0].length >= levelCapacity(sketch, 0)) {
+    compress(sketch);
+  }
+};
+
+// 合并草图（修改并返回 target），两者的 k 取较大值
+const sketchMerge = (target, source) => {
+  target.k = Math.max(target.k, source.k);
+  source.levels.forEach((items, level) => {
+    if (!target.levels[level]) target.levels[level] = [];
+    target.levels[level].push(...items);
+  });
+  target.n += source.n;
+  target.compacted = target.compacted || source.compacted;
+  compress(target);
+  return target;
+};
+
+// 查询分位数 q ∈ [0, 1]
+// 未发生压缩时草图保存了全部数据，结果与精确计算一致（线性插值）
+const sketchQuantile = (sketch, q) => {
+  if (sketch.n === 0) return 0;
+  const clamped = Math.min(Math.max(q, 0), 1);
+
+  if (!sketch.compacted) {
+    const sorted = [...sketch.levels[0]].sort((a, b) => a - b);
+    const rank = clamped * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  const weighted = sketch.levels
+    .flatMap((items, level) => items.map(value => [value, 2 ** level]))
+    .sort((a, b) => a[0] - b[0]);
+  const total = weighted.reduce((acc, [, weight]) => acc + weight, 0);
+  const target = clamped * total;
+
+  let cumulative = 0;
+  for (const [value, weight] of weighted) {
+    cumulative += weight;
+    if (cumulative >= target) return value;
+  }
+  return weighted[weighted.length - 1][0];
+};
+
+const DECIMAL_ZERO = { digits: 0n, scale: 0 };
+
+// 创建统计累加器
+// precision 为 decimal 时，总和、加权总和和总权重另以定点数精确累加，保存在 exact 中
+const createAccumulator = (errorBound = DEFAULT_ERROR_BOUND, precision) => ({
+  count: 0,
+  sum: 0,
+  sumCompensation: 0,
+  min: Infinity,
+  max: -Infinity,
+  mean: 0,
+  m2: 0,
+  m3: 0,
+  m4: 0,
+  weighted: {
+    count: 0,
+    totalWeight: 0,
+    sum: 0,
+    sumCompensation: 0,
+    mean: 0,
+    s: 0
+  },
+  exact: precision === 'decimal'
+    ? { sum: DECIMAL_ZERO, weightedSum: DECIMAL_ZERO, totalWeight: DECIMAL_ZERO }
+    : null,
+  sketch: createQuantileSketch(errorBound)
+});
+
+// Neumaier 补偿求和，acc 为含 sum 和 sumCompensation 的对象
+const compensatedAdd = (acc, value) => {
+  const total = acc.sum + value;
+  if (Math.abs(acc.sum) >= Math.abs(value)) {
+    acc.sumCompensation += (acc.sum - total) + value;
+  } else {
+    acc.sumCompensation += (value - total) + acc.sum;
+  }
+  acc.sum = total;
+};
+
+// 加入一个值（可选权重），非有限值忽略；负权重不参与加权统计
+const accumulate = (acc, value, weight) => {
+  if (!Number.isFinite(value)) return acc;
+
+  // 高阶矩在线更新（Terriberry）
+  const n1 = acc.count;
+  const n = n1 + 1;
+  const delta = value - acc.mean;
+  const deltaN = delta / n;
+  const deltaN2 = deltaN * deltaN;
+  const term1 = delta * deltaN * n1;
+  acc.mean += deltaN;
+  acc.m4 += term1 * deltaN2 * (n * n - 3 * n + 3) + 6 * deltaN2 * acc.m2 - 4 * deltaN * acc.m3;
+  acc.m3 += term1 * deltaN * (n - 2) - 3 * deltaN * acc.m2;
+  acc.m2 += term1;
+  acc.count = n;
+
+  compensatedAdd(acc, value);
+  if (value < acc.min) acc.min = value;
+  if (value > acc.max) acc.max = value;
+  sketchAdd(acc.sketch, value);
+  const { exact } = acc;
+  if (exact) exact.sum = decimalAdd(exact.sum, toDecimal(value));
+
+  if (Number.isFinite(weight) && weight >= 0) {
+    const w = acc.weighted;
+    w.count++;
+    compensatedAdd(w, value * weight);
+    if (exact) {
+      const decimalWeight = toDecimal(weight);
+      exact.weightedSum = decimalAdd(exact.weightedSum, decimalMultiply(toDecimal(value), decimalWeight));
+      exact.totalWeight = decimalAdd(exact.totalWeight, decimalWeight);
+    }
+    if (weight > 0) {
+      const totalWeight = w.totalWeight + weight;
+      const weightedDelta = value - w.mean;
+      w.mean += (weight / totalWeight) * weightedDelta;
+      w.s += weight * weightedDelta * (value - w.mean);
+      w.totalWeight = totalWeight;
+    }
+  }
+
+  return acc;
+};
+
+// 合并累加器（修改并返回 target），用于分片结果汇总
+const mergeAccumulators = (target, source) => {
+  if (source.count === 0) return target;
+  if (target.count === 0) {
+    const { sketch } = target;
+    Object.assign(target, structuredClone(source), { sketch });
+    sketchMerge(sketch, source.sketch);
+    return target;
+  }
+
+  const na = target.count;
+  const nb = source.count;
+  const n = na + nb;
+  const delta = source.mean - target.mean;
+  const delta2 = delta * delta;
+
+  const m2 = target.m2 + source.m2 + delta2 * na * nb / n;
+  const m3 = target.m3 + source.m3
+    + delta2 * delta * na * nb * (na - nb) / (n * n)
+    + 3 * delta * (na * source.m2 - nb * target.m2) / n;
+  const m4 = target.m4 + source.m4
+    + delta2 * delta2 * na * nb * (na * na - na * nb + nb * nb) / (n * n * n)
+    + 6 * delta2 * (na * na * source.m2 + nb * nb * target.m2) / (n * n)
+    + 4 * delta * (na * source.m3 - nb * target.m3) / n;
+
+  target.mean += delta * nb / n;
+  target.m2 = m2;
+  target.m3 = m3;
+  target.m4 = m4;
+  target.count = n;
+  compensatedAdd(target, source.sum);
+  target.sumCompensation += source.sumCompensation;
+  target.min = Math.min(target.min, source.min);
+  target.max = Math.max(target.max, source.max);
+
+  const a = target.weighted;
+  const b = source.weighted;
+  const totalWeight = a.totalWeight + b.totalWeight;
+  if (totalWeight > 0) {
+    const weightedDelta = b.mean - a.mean;
+    a.s = a.s + b.s + weightedDelta * weightedDelta * a.totalWeight * b.totalWeight / totalWeight;
+    a.mean += weightedDelta * b.totalWeight / totalWeight;
+  }
+  a.totalWeight = totalWeight;
+  a.count += b.count;
+  compensatedAdd(a, b.sum);
+  a.sumCompensation += b.sumCompensation;
+
+  if (target.exact && source.exact) {
+    for (const key of ['sum', 'weightedSum', 'totalWeight']) {
+      target.exact[key] = decimalAdd(target.exact[key], source.exact[key]);
+    }
+  }
+
+  sketchMerge(target.sketch, source.sketch);
+  return target;
+};
+
+// 累加器的总和：精确小数模式下由定点数转换，否则为补偿后总和
+const accumulatorSum = (acc) => acc.exact ? decimalToNumber(acc.exact.sum) : acc.sum + acc.sumCompensation;
+
+// 累加器的平均值：精确小数模式下为定点数总和 / 计数，否则为补偿后总和 / 计数
+const accumulatorMean = (acc) => {
+  if (acc.count === 0) return 0;
+  return acc.exact ? decimalRatio(acc.exact.sum, toDecimal(acc.count)) : accumulatorSum(acc) / acc.count;
+};
+
+// 加权总和与加权平均，规则同上
+const accumulatorWeightedSum = (acc) => acc.exact
+  ? decimalToNumber(acc.exact.weightedSum)
+  : acc.weighted.sum + acc.weighted.sumCompensation;
+
+const accumulatorWeightedMean = (acc) => {
+  if (acc.weighted.totalWeight === 0) return 0;
+  return acc.exact ? decimalRatio(acc.exact.weightedSum, acc.exact.totalWeight) : acc.weighted.mean;
+};
+
+export {
+  createQuantileSketch,
+  sketchAdd,
+  sketchMerge,
+  sketchQuantile,
+  createAccumulator,
+  accumulate,
+  mergeAccumulators,
+  accumulatorSum,
+  accumulatorMean,
+  accumulatorWeightedSum,
+  accumulatorWeightedMean,
+  errorBoundToK,
+  DEFAULT_ERROR_BOUND
+};
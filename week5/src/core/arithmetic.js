@@ -0,0 +1,145 @@
+/**
+ * 求和类运算的精度模式
+ * - compensated: Neumaier 补偿求和（默认），误差与数据量基本无关，速度接近普通求和
+ * - decimal: 精确小数运算，每个数按其最短十进制表示转为 BigInt 定点数，
+ *   总和、平均值、方差等在整数域内精确计算，最后只转换一次为浮点数
+ *
+ * 各模式只负责运算，不做舍入；结果的舍入在输出格式化阶段进行
+ */
+
+const ARITHMETIC_MODES = ['compensated', 'decimal'];
+
+const DEFAULT_ARITHMETIC = 'compensated';
+
+// Neumaier 补偿求和
+const neumaierSum = (values) => {
+  let sum = 0;
+  let compensation = 0;
+  for (const value of values) {
+    const total = sum + value;
+    compensation += Math.abs(sum) >= Math.abs(value) ? (sum - total) + value : (value - total) + sum;
+    sum = total;
+  }
+  return sum + compensation;
+};
+
+// 十进制定点数 { digits, scale }，值为 digits × 10^-scale
+const DECIMAL_PATTERN = /^(-?)(\d+)(?:\.(\d+))?(?:e([+-]\d+))?$/;
+
+const ZERO = { digits: 0n, scale: 0 };
+
+// 浮点数转为定点数，取 String(value) 的最短十进制表示（即 0.1 就是 0.1，而非其二进制近似）
+const toDecimal = (value) => {
+  const [, sign, integer, fraction = '', exponent = '0'] = DECIMAL_PATTERN.exec(String(value));
+  const scale = fraction.length - Number(exponent);
+  const digits = BigInt(`${sign}${integer}${fraction}`);
+  return scale >= 0 ? { digits, scale } : { digits: digits * 10n ** BigInt(-scale), scale: 0 };
+};
+
+const rescale = (decimal, scale) => decimal.scale === scale
+  ? decimal.digits
+  : decimal.digits * 10n ** BigInt(scale - decimal.scale);
+
+const decimalAdd = (a, b) => {
+  const scale = Math.max(a.scale, b.scale);
+  return { digits: rescale(a, scale) + rescale(b, scale), scale };
+};
+
+const decimalSubtract = (a, b) => decimalAdd(a, { digits: -b.digits, scale: b.scale });
+
+const decimalMultiply = (a, b) => ({ digits: a.digits * b.digits, scale: a.scale + b.scale });
+
+// 转为最接近的浮点数（由 Number 解析十进制字符串完成唯一一次舍入）
+const decimalToNumber = ({ digits, scale }) => Number(`${digits}e-${scale}`);
+
+// 商保留的有效数字位数，超过双精度的 17 位，截断不影响转换结果
+const QUOTIENT_DIGITS = 25;
+
+// a / b 转为浮点数，b 为 0 时返回 0
+const decimalRatio = (a, b) => {
+  if (b.digits === 0n) return 0;
+  const shift = QUOTIENT_DIGITS + Math.max(0, String(b.digits).length - String(a.digits).length);
+  const quotient = a.digits * 10n ** BigInt(b.scale + shift) / b.digits;
+  return decimalToNumber({ digits: quotient, scale: a.scale + shift });
+};
+
+const decimalSum = (values) => values.reduce((acc, value) => decimalAdd(acc, toDecimal(value)), ZERO);
+
+// n·Σx² − (Σx)²，除以 n 即为离差平方和 Σ(x − x̄)²
+const scaledSquaredDeviations = (decimals) => {
+  const n = toDecimal(decimals.length);
+  const sum = decimals.reduce(decimalAdd, ZERO);
+  const squares = decimals.reduce((acc, d) => decimalAdd(acc, decimalMultiply(d, d)), ZERO);
+  return decimalSubtract(decimalMultiply(n, squares), decimalMultiply(sum, sum));
+};
+
+// 精度模式注册表，调用方保证输入均为有限值；pairs 为 [[值, 权重], ...]
+// sum: Σx；mean(values, count): Σx / count；squaredDeviations: Σ(x − x̄)²
+// dot: Σ(值 × 权重)；weightedMean: Σ(值 × 权重) / Σ权重；weightedSquaredDeviations: Σ权重 × (值 − 加权平均)²
+const arithmetics = {
+  compensated: {
+    sum: neumaierSum,
+    mean: (values, count = values.length) => count === 0 ? 0 : neumaierSum(values) / count,
+    squaredDeviations: (values) => {
+      if (values.length === 0) return 0;
+      const mean = neumaierSum(values) / values.length;
+      return neumaierSum(values.map(value => (value - mean) ** 2));
+    },
+    dot: (pairs) => neumaierSum(pairs.map(([value, weight]) => value * weight)),
+    weightedMean: (pairs) => {
+      const totalWeight = neumaierSum(pairs.map(([, weight]) => weight));
+      return totalWeight === 0 ? 0 : arithmetics.compensated.dot(pairs) / totalWeight;
+    },
+    weightedSquaredDeviations: (pairs) => {
+      const mean = arithmetics.compensated.weightedMean(pairs);
+      return neumaierSum(pairs.map(([value, weight]) => weight * (value - mean) ** 2));
+    }
+  },
+  decimal: {
+    sum: (values) => decimalToNumber(decimalSum(values)),
+    mean: (values, count = values.length) => decimalRatio(decimalSum(values), toDecimal(count)),
+    squaredDeviations: (values) => values.length === 0
+      ? 0
+      : decimalRatio(scaledSquaredDeviations(values.map(toDecimal)), toDecimal(values.length)),
+    dot: (pairs) => decimalToNumber(pairs.reduce(
+      (acc, [value, weight]) => decimalAdd(acc, decimalMultiply(toDecimal(value), toDecimal(weight))),
+      ZERO
+    )),
+    weightedMean: (pairs) => {
+      const weights = pairs.map(([, weight]) => toDecimal(weight));
+      const products = pairs.map(([value], i) => decimalMultiply(toDecimal(value), weights[i]));
+      return decimalRatio(products.reduce(decimalAdd, ZERO), weights.reduce(decimalAdd, ZERO));
+    },
+    // Σw(x − x̄w)² = (Σw·Σwx² − (Σwx)²) / Σw
+    weightedSquaredDeviations: (pairs) => {
+      const decimals = pairs.map(([value, weight]) => [toDecimal(value), toDecimal(weight)]);
+      const totalWeight = decimals.reduce((acc, [, w]) => decimalAdd(acc, w), ZERO);
+      const products = decimals.map(([x, w]) => decimalMultiply(x, w));
+      const weightedSum = products.reduce(decimalAdd, ZERO);
+      const weightedSquares = products.reduce((acc, product, i) => decimalAdd(acc, decimalMultiply(product, decimals[i][0])), ZERO);
+      const numerator = decimalSubtract(decimalMultiply(totalWeight, weightedSquares), decimalMultiply(weightedSum, weightedSum));
+      return decimalRatio(numerator, totalWeight);
+    }
+  }
+};
+
+// 根据模式名获取运算实现，未指定时使用默认模式
+const resolveArithmetic = (name = DEFAULT_ARITHMETIC) => {
+  const arithmetic = arithmetics[name];
+  if (!arithmetic) {
+    throw new Error(`未知的精度模式: ${name}，可选 ${ARITHMETIC_MODES.join('|')}`);
+  }
+  return arithmetic;
+};
+
+export {
+  ARITHMETIC_MODES,
+  DEFAULT_ARITHMETIC,
+  neumaierSum,
+  toDecimal,
+  decimalAdd,
+  decimalMultiply,
+  decimalToNumber,
+  decimalRatio,
+  resolveArithmetic
+};
@@ -0,0 +1,182 @@
+/**
+ * 统计结果缓存
+ * 缓存键为输入记录与计算选项的内容哈希：记录按字段名排序后序列化（字段顺序不同的同一数据命中同一缓存），
+ * 选项先规范化（补默认值、展开维度和指标），onProgress、signal 等不影响结果的选项不参与
+ *
+ * 两级存储：内存 LRU，另可指定磁盘目录作为第二级（进程重启或 CLI 多次运行之间共享）
+ * 缓存的值需要能序列化为 JSON
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { normalizeDimension, normalizeStatsList, DEFAULT_DIMENSIONS } from './statistics.js';
+import { DEFAULT_ARITHMETIC } from './arithmetic.js';
+
+// 缓存格式版本，统计结果的结构或缓存键的组成变化时递增，使旧的磁盘缓存失效
+const CACHE_VERSION = 2;
+
+const DEFAULT_CACHE_OPTIONS = {
+  // 内存中保留的结果数
+  maxEntries: 100,
+  // 磁盘缓存目录，null 表示只用内存
+  dir: null
+};
+
+// 影响统计结果、原样参与缓存键的选项
+// workers、threshold 只决定计算方式，不参与：未允许近似时各方式结果相同；
+// 允许近似（approximate）的请求不论实际由哪种方式计算，结果都满足同一精度要求
+const KEY_OPTIONS = ['approximate', 'errorBound', 'trends', 'pivot', 'ranking', 'outliers', 'histogram', 'correlation'];
+
+// 稳定序列化：对象按键名排序，跳过 undefined，函数按源码序列化
+const stableStringify = (value) => {
+  if (value === undefined) return undefined;
+  if (typeof value === 'function' || value instanceof RegExp) return JSON.stringify(String(value));
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item) ?? 'null').join(',')}]`;
+  }
+  const entries = Object.keys(value).sort()
+    .map(key => [key, stableStringify(value[key])])
+    .filter(([, text]) => text !== undefined)
+    .map(([key, text]) => `${JSON.stringify(key)}:${text}`);
+  return `{${entries.join(',')}}`;
+};
+
+// 规范化参与缓存键的计算选项
+const normalizeKeyOptions = (options = {}) => {
+  const { schema, where } = options;
+  const normalized = {
+    dimensions: (options.dimensions ?? DEFAULT_DIMENSIONS).map(normalizeDimension),
+    metric: options.metric ?? 'value',
+    weight: options.weight ?? 'weight',
+    // 未指定时按默认指标展开，与显式的 'default' 或完整列表得到相同的键
+    stats: normalizeStatsList(options.stats),
+    precision: options.precision ?? DEFAULT_ARITHMETIC,
+    // 编译后的 schema 带有原始定义
+    schema: schema === undefined ? null : schema.definition ?? schema,
+    where: typeof where === 'string' && where.trim() !== '' ? where.trim() : null
+  };
+  for (const name of KEY_OPTIONS) {
+    if (options[name] !== undefined) normalized[name] = options[name];
+  }
+  return normalized;
+};
+
+// 增量计算缓存键：update(records) 可多次调用（分块输入），digest(options) 返回十六进制哈希
+// 无法先解析记录时（如流式读取的大文件）可用 updateRaw(buffer) 按原始内容计算，与 update 的结果不通用
+const createCacheKey = () => {
+  const hash = createHash('sha256');
+  hash.update(`data-stats:${CACHE_VERSION}\n`);
+  return {
+    update(records) {
+      for (const record of records) hash.update(`${stableStringify(record) ?? 'null'}\n`);
+      return this;
+    },
+    updateRaw(chunk) {
+      hash.update(chunk);
+      return this;
+    },
+    digest(options) {
+      hash.update(`options:${stableStringify(normalizeKeyOptions(options))}`);
+      return hash.digest('hex');
+    }
+  };
+};
+
+// 一次性计算记录数组与选项的缓存键；选项有误（如无效的维度或指标）时抛出错误
+const cacheKey = (data, options) => createCacheKey().update(data).digest(options);
+
+// 创建结果缓存，options 同 DEFAULT_CACHE_OPTIONS（值为 undefined 的项使用默认值）
+// 返回 { get, set, wrap, stats, clear }；磁盘读写失败时视为未命中，不影响计算
+const createResultCache = (options = {}) => {
+  const settings = { ...DEFAULT_CACHE_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) settings[key] = value;
+  }
+  const { maxEntries, dir } = settings;
+  // Map 按插入顺序迭代，命中时重新插入，第一项即最久未使用
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0 };
+
+  const remember = (key, value) => {
+    entries.delete(key);
+    entries.set(key, value);
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  };
+
+  const diskPath = (key) => path.join(dir, `${key}.json`);
+
+  const readDisk = async (key) => {
+    if (!dir) return undefined;
+    try {
+      return JSON.parse(await fs.readFile(diskPath(key), 'utf-8'));
+    } catch {
+      return undefined;
+    }
+  };
+
+  // 先写临时文件再改名，并发写入同一个键时不会读到不完整的文件
+  const writeDisk = async (key, value) => {
+    if (!dir) return;
+    const tempPath = `${diskPath(key)}.${process.pid}.tmp`;
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(value));
+      await fs.rename(tempPath, diskPath(key));
+    } catch {
+      await fs.rm(tempPath, { force: true });
+    }
+  };
+
+  // 查找缓存，命中时返回 { value, tier: 'memory' | 'disk' }，否则返回 null
+  const get = async (key) => {
+    if (entries.has(key)) {
+      const value = entries.get(key);
+      remember(key, value);
+      counters.hits++;
+      return { value, tier: 'memory' };
+    }
+    const value = await readDisk(key);
+    if (value !== undefined) {
+      remember(key, value);
+      counters.hits++;
+      return { value, tier: 'disk' };
+    }
+    counters.misses++;
+    return null;
+  };
+
+  const set = async (key, value) => {
+    remember(key, value);
+    await writeDisk(key, value);
+  };
+
+  // 命中时返回缓存的值，否则调用 compute() 计算并缓存
+  // 返回 { value, cache }，cache 为 { key, status: 'hit' | 'miss', tier, hits, misses }
+  const wrap = async (key, compute) => {
+    const cached = await get(key);
+    if (cached) {
+      return { value: cached.value, cache: { key, status: 'hit', tier: cached.tier, ...counters } };
+    }
+    const value = await compute();
+    await set(key, value);
+    return { value, cache: { key, status: 'miss', tier: null, ...counters } };
+  };
+
+  // 累计命中数、未命中数和内存中的结果数
+  const stats = () => ({ ...counters, entries: entries.size, maxEntries, dir });
+
+  // 清空内存缓存（不删除磁盘缓存）
+  const clear = () => entries.clear();
+
+  return { get, set, wrap, stats, clear };
+};
+
+export {
+  DEFAULT_CACHE_OPTIONS,
+  stableStringify,
+  createCacheKey,
+  cacheKey,
+  createResultCache
+};
@@ -0,0 +1,252 @@
+/**
+ * 数据集对比
+ * 比较两个数据快照（如相邻两个季度的导出），或同一份数据中的两个年份：
+ * 按键字段对齐记录，列出新增、删除和发生变化的记录，并按分组给出统计指标的变化量和变化率
+ */
+
+import {
+  validateRecords,
+  groupStatistics,
+  flattenGroups,
+  normalizeDimension,
+  normalizeStatsList,
+  compareKeys
+} from './statistics.js';
+import { compileFilter } from './filter.js';
+
+// 对比默认选项
+// key: 对齐记录的键字段；years: [旧年份, 新年份]，比较同一数据的两个年份（此时键字段不含年份字段）；
+// yearField: 年份字段；dimensions: 计算指标变化的分组维度；stats: 每组比较的统计指标；
+// fields: 逐条比较的字段，null 表示两侧记录中除键字段外的全部字段；limit: 每类记录最多列出的条数
+const DEFAULT_COMPARE_OPTIONS = {
+  key: ['id', 'year'],
+  years: null,
+  yearField: 'year',
+  dimensions: [['region'], ['resource']],
+  stats: ['count', 'sum', 'mean'],
+  metric: 'value',
+  weight: 'weight',
+  fields: null,
+  limit: 20
+};
+
+const splitFields = (fields) => [].concat(fields)
+  .flatMap(field => String(field).split(','))
+  .map(field => field.trim())
+  .filter(Boolean);
+
+// 年份对：[2010, 2015] 或 '2010,2015'
+const normalizeYears = (years) => {
+  if (years === null || years === undefined) return null;
+  const values = typeof years === 'string' ? years.split(',') : [].concat(years);
+  const parsed = values.map(year => Number(String(year).trim()));
+  if (parsed.length !== 2 || !parsed.every(Number.isFinite)) {
+    throw new Error(`无效的对比年份: ${JSON.stringify(years)}，需要两个年份，如 2010,2015`);
+  }
+  return parsed;
+};
+
+// 规范化对比选项，值为 undefined 的项使用默认值；schema、where、precision 原样保留
+const normalizeCompareOptions = (overrides = {}) => {
+  const options = { ...DEFAULT_COMPARE_OPTIONS };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) options[key] = value;
+  }
+
+  const years = normalizeYears(options.years);
+  let key = splitFields(options.key);
+  if (years) key = key.filter(field => field !== options.yearField);
+  if (key.length === 0) {
+    throw new Error('对比至少需要一个键字段');
+  }
+  if (!Number.isInteger(options.limit) || options.limit < 0) {
+    throw new Error(`无效的记录条数: ${options.limit}`);
+  }
+
+  return {
+    ...options,
+    key,
+    years,
+    dimensions: options.dimensions.map(normalizeDimension),
+    stats: normalizeStatsList(options.stats),
+    fields: options.fields === null ? null : splitFields(options.fields)
+  };
+};
+
+// 变化量和变化率（百分比），任一侧不是数值时为 null，旧值为 0 时变化率为 null
+const change = (before, after) => {
+  const comparable = typeof before === 'number' && typeof after === 'number';
+  const delta = comparable ? after - before : null;
+  return {
+    old: before ?? null,
+    new: after ?? null,
+    delta,
+    percent: delta === null || before === 0 ? null : delta / Math.abs(before) * 100
+  };
+};
+
+// 校验、过滤一侧的记录；years 模式下只保留指定年份
+const prepareSide = (data, label, options, predicate, year) => {
+  const { records, report } = validateRecords(data, { schema: options.schema });
+  if (records.length === 0) {
+    const error = new Error(`${label}没有有效的数据记录`);
+    error.validation = report;
+    throw error;
+  }
+  let selected = predicate ? records.filter(predicate) : records;
+  if (year !== undefined) {
+    selected = selected.filter(record => Number(record[options.yearField]) === year);
+  }
+  return { records: selected, report };
+};
+
+// 按键字段建立索引，键重复时保留最后一条并计数
+const indexRecords = (records, key) => {
+  const index = new Map();
+  let duplicates = 0;
+  for (const record of records) {
+    const id = key.map(field => record[field]).join('\u0000');
+    if (index.has(id)) duplicates++;
+    index.set(id, record);
+  }
+  return { index, duplicates };
+};
+
+const keyOf = (record, key) => Object.fromEntries(key.map(field => [field, record[field]]));
+
+const compareRecordKeys = (key) => (a, b) => {
+  for (const field of key) {
+    const diff = compareKeys(String(a[field]), String(b[field]));
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+// 逐字段比较同一键的两条记录，返回 { 字段: { old, new, delta, percent } }，没有变化时为空对象
+const diffRecord = (before, after, key, fields) => {
+  const names = fields || [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => !key.includes(field));
+  const changes = Object.create(null);
+  for (const field of names) {
+    if (!Object.is(before[field], after[field])) changes[field] = change(before[field], after[field]);
+  }
+  return changes;
+};
+
+// 一个维度上各分组的指标变化，按分组键排列
+// 只在一侧出现的分组 status 为 added / removed，另一侧的指标值为 null
+const diffGroups = (before, after, dimension, options) => {
+  const groupOptions = { metric: options.metric, weight: options.weight, stats: options.stats, precision: options.precision };
+  const depth = dimension.fields.length;
+  const flatten = (records) => new Map(
+    flattenGroups(groupStatistics(records, dimension, groupOptions), depth)
+      .map(([keys, stats]) => [keys.join('\u0000'), { keys, stats }])
+  );
+  const oldGroups = flatten(before);
+  const newGroups = flatten(after);
+
+  const entries = [];
+  for (const id of new Set([...oldGroups.keys(), ...newGroups.keys()])) {
+    const previous = oldGroups.get(id);
+    const current = newGroups.get(id);
+    const stats = {};
+    for (const name of options.stats) {
+      stats[name] = change(previous ? previous.stats[name] : null, current ? current.stats[name] : null);
+    }
+    const status = !previous ? 'added'
+      : !current ? 'removed'
+      : Object.values(stats).some(({ delta }) => delta !== 0) ? 'changed'
+      : 'unchanged';
+    entries.push({ keys: (previous || current).keys, status, stats });
+  }
+
+  return entries.sort((a, b) => {
+    for (let i = 0; i < depth; i++) {
+      const diff = compareKeys(String(a.keys[i]), String(b.keys[i]));
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  });
+};
+
+// 对比两份数据
+// oldData / newData: 记录数组；options 见 DEFAULT_COMPARE_OPTIONS，另有 schema、where（两侧都适用）和 precision
+// 返回 {
+//   key, years, metric, dimensions, limit,
+//   summary: { old, new, added, removed, changed, unchanged, duplicates: { old, new } },
+//   fieldChanges: { 字段: 变化的记录数 },
+//   added, removed: 记录列表，changed: [{ key, changes }]（各最多 limit 条，按键排列），
+//   groups: { 维度名: [{ keys, status, stats: { 指标: { old, new, delta, percent } } }] },
+//   validation: { old, new }
+// }
+// 变化率为百分比；数值不做舍入，输出时再用 roundResults 舍入
+const compareDatasets = (oldData, newData, overrides = {}) => {
+  const options = normalizeCompareOptions(overrides);
+  const { key, years, limit } = options;
+  const predicate = options.where === undefined ? null : compileFilter(options.where);
+
+  const before = prepareSide(oldData, '旧数据', options, predicate, years ? years[0] : undefined);
+  const after = prepareSide(newData, '新数据', options, predicate, years ? years[1] : undefined);
+  const oldIndex = indexRecords(before.records, key);
+  const newIndex = indexRecords(after.records, key);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const fieldChanges = Object.create(null);
+  let unchanged = 0;
+
+  for (const [id, record] of newIndex.index) {
+    const previous = oldIndex.index.get(id);
+    if (!previous) {
+      added.push(record);
+      continue;
+    }
+    const changes = diffRecord(previous, record, key, options.fields);
+    const fields = Object.keys(changes);
+    if (fields.length === 0) {
+      unchanged++;
+      continue;
+    }
+    fields.forEach(field => { fieldChanges[field] = (fieldChanges[field] || 0) + 1; });
+    changed.push({ key: keyOf(record, key), changes });
+  }
+  for (const [id, record] of oldIndex.index) {
+    if (!newIndex.index.has(id)) removed.push(record);
+  }
+
+  const byKey = compareRecordKeys(key);
+  const limited = (list) => list.sort(byKey).slice(0, limit);
+
+  return {
+    key,
+    years: years ? { old: years[0], new: years[1] } : null,
+    metric: options.metric,
+    dimensions: options.dimensions,
+    limit,
+    summary: {
+      old: oldIndex.index.size,
+      new: newIndex.index.size,
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged,
+      duplicates: { old: oldIndex.duplicates, new: newIndex.duplicates }
+    },
+    fieldChanges,
+    added: limited(added),
+    removed: limited(removed),
+    changed: changed.sort((a, b) => byKey(a.key, b.key)).slice(0, limit),
+    groups: Object.fromEntries(options.dimensions.map(dimension => [
+      dimension.name,
+      diffGroups(before.records, after.records, dimension, options)
+    ])),
+    validation: { old: before.report, new: after.report }
+  };
+};
+
+export {
+  DEFAULT_COMPARE_OPTIONS,
+  normalizeCompareOptions,
+  compareDatasets
+};
@@ -0,0 +1,185 @@
+/**
+ * 相关性与回归分析
+ * 整体及按分组计算两个字段之间的 Pearson / Spearman 相关系数和简单线性回归（斜率、截距、R²、残差），
+ * 以及任意数值字段之间的协方差矩阵
+ */
+
+import { normalizeDimension, performantGroupBy } from './statistics.js';
+import { linearRegression } from './trends.js';
+
+// 相关性分析默认选项
+// x / y: 自变量和因变量字段，默认为权重字段和统计字段；fields: 协方差矩阵的字段，默认 [y, x]
+// by: 另外按这些字段分组分析；residuals: 每组列出残差绝对值最大的记录数；
+// sample: 每组返回的散点数上限（等间隔抽样，用于绘制散点图），0 表示不返回；idField: 残差记录显示的 id 字段
+const DEFAULT_CORRELATION_OPTIONS = {
+  x: null,
+  y: null,
+  fields: null,
+  by: ['region', 'resource'],
+  residuals: 5,
+  sample: 0,
+  idField: 'id'
+};
+
+const splitFields = (fields) => [].concat(fields)
+  .flatMap(field => String(field).split(','))
+  .map(field => field.trim())
+  .filter(Boolean);
+
+// 规范化相关性分析选项：true 使用默认值，对象与默认值合并，假值表示不做相关性分析
+const normalizeCorrelationOptions = (correlation) => {
+  if (!correlation) return null;
+  const overrides = correlation === true ? {} : correlation;
+  const options = { ...DEFAULT_CORRELATION_OPTIONS };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) options[key] = value;
+  }
+
+  if (!Number.isInteger(options.residuals) || options.residuals < 0) {
+    throw new Error(`无效的残差记录数: ${options.residuals}`);
+  }
+  if (!Number.isInteger(options.sample) || options.sample < 0) {
+    throw new Error(`无效的散点数量: ${options.sample}`);
+  }
+  const fields = options.fields === null ? null : splitFields(options.fields);
+  if (fields && fields.length < 2) {
+    throw new Error('协方差矩阵至少需要两个字段');
+  }
+  return { ...options, fields, by: splitFields(options.by) };
+};
+
+// Pearson 相关系数，点数不足或任一变量没有变化时返回 null
+const pearson = (xs, ys) => {
+  const n = xs.length;
+  if (n < 2) return null;
+
+  const meanX = xs.reduce((acc, x) => acc + x, 0) / n;
+  const meanY = ys.reduce((acc, y) => acc + y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    sxx += dx * dx;
+    sxy += dx * dy;
+    syy += dy * dy;
+  }
+  if (sxx === 0 || syy === 0) return null;
+  return sxy / Math.sqrt(sxx * syy);
+};
+
+// 秩（从 1 开始），相同的值取平均秩
+const rankValues = (values) => {
+  const order = values.map((value, index) => [value, index]).sort((a, b) => a[0] - b[0]);
+  const ranks = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start + 1;
+    while (end < order.length && order[end][0] === order[start][0]) end++;
+    const rank = (start + end + 1) / 2;
+    for (let i = start; i < end; i++) ranks[order[i][1]] = rank;
+    start = end;
+  }
+  return ranks;
+};
+
+// Spearman 秩相关系数：对秩计算 Pearson 相关系数
+const spearman = (xs, ys) => pearson(rankValues(xs), rankValues(ys));
+
+// 样本协方差矩阵（除以 n - 1），只使用各字段均为有限值的记录，记录不足两条时 matrix 为 null
+const covarianceMatrix = (records, fields) => {
+  const rows = records
+    .map(item => fields.map(field => Number(item[field])))
+    .filter(row => row.every(Number.isFinite));
+  const n = rows.length;
+  if (n < 2) return { fields, count: n, matrix: null };
+
+  const means = fields.map((_, j) => rows.reduce((acc, row) => acc + row[j], 0) / n);
+  const matrix = fields.map((_, i) => fields.map((_, j) =>
+    rows.reduce((acc, row) => acc + (row[i] - means[i]) * (row[j] - means[j]), 0) / (n - 1)
+  ));
+  return { fields, count: n, matrix };
+};
+
+// y 对 x 的简单线性回归，附带残差标准误和残差绝对值最大的记录
+// 残差 = 实际值 - 拟合值；点数不足或 x 没有变化时返回 null
+const regress = (pairs, { residuals, idField }) => {
+  const fit = linearRegression(pairs.map(({ x }) => x), pairs.map(({ y }) => y));
+  if (!fit) return null;
+
+  const points = pairs.map(({ item, x, y }) => {
+    const fitted = fit.slope * x + fit.intercept;
+    return { id: item[idField], x, y, fitted, residual: y - fitted };
+  });
+  const sse = points.reduce((acc, { residual }) => acc + residual * residual, 0);
+  const largest = [...points]
+    .sort((a, b) => Math.abs(b.residual) - Math.abs(a.residual))
+    .slice(0, residuals);
+
+  return {
+    ...fit,
+    standardError: points.length > 2 ? Math.sqrt(sse / (points.length - 2)) : null,
+    residuals: largest
+  };
+};
+
+// 等间隔抽取至多 size 个点
+const samplePoints = (pairs, size) => {
+  const step = Math.max(1, pairs.length / size);
+  const count = Math.min(pairs.length, size);
+  return Array.from({ length: count }, (_, i) => {
+    const { x, y } = pairs[Math.floor(i * step)];
+    return [x, y];
+  });
+};
+
+// 分析一组记录，返回 { count, pearson, spearman, regression, covariance, sample? }
+// count 为 x、y 均为有限值的记录数
+const correlateGroup = (items, options) => {
+  const { x, y, fields, sample } = options;
+  const pairs = items
+    .map(item => ({ item, x: Number(item[x]), y: Number(item[y]) }))
+    .filter(pair => Number.isFinite(pair.x) && Number.isFinite(pair.y));
+  const xs = pairs.map(pair => pair.x);
+  const ys = pairs.map(pair => pair.y);
+
+  const result = {
+    count: pairs.length,
+    pearson: pearson(xs, ys),
+    spearman: spearman(xs, ys),
+    regression: regress(pairs, options),
+    covariance: covarianceMatrix(items, fields)
+  };
+  if (sample > 0) result.sample = samplePoints(pairs, sample);
+  return result;
+};
+
+// 相关性分析
+// records: 已校验的记录；options: normalizeCorrelationOptions 接受的选项，x 默认 'weight'，y 默认 'value'
+// 返回 { x, y, fields, overall, byRegion: { 分组: correlateGroup 结果 }, ... }
+const analyzeCorrelation = (records, options = {}) => {
+  const correlationOptions = normalizeCorrelationOptions(options) || normalizeCorrelationOptions(true);
+  const x = correlationOptions.x || 'weight';
+  const y = correlationOptions.y || 'value';
+  const fields = correlationOptions.fields || [y, x];
+  const groupOptions = { ...correlationOptions, x, y, fields };
+  const result = { x, y, fields, overall: correlateGroup(records, groupOptions) };
+
+  for (const field of correlationOptions.by) {
+    const byGroup = Object.create(null);
+    for (const [key, items] of performantGroupBy(records, item => item[field])) {
+      byGroup[key] = correlateGroup(items, groupOptions);
+    }
+    result[normalizeDimension([field]).name] = byGroup;
+  }
+  return result;
+};
+
+export {
+  DEFAULT_CORRELATION_OPTIONS,
+  normalizeCorrelationOptions,
+  pearson,
+  spearman,
+  covarianceMatrix,
+  analyzeCorrelation
+};
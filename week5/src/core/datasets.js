@@ -0,0 +1,207 @@
+/**
+ * 数据集存储
+ * 数据导入一次后保存在本地磁盘，之后可以按不同维度、过滤条件和指标反复统计，Web 端与 CLI 共用同一目录
+ *
+ * 每个数据集一个子目录：
+ *   <dir>/<id>/meta.json       名称、来源、记录数、字段、校验报告和导入时使用的 schema 定义
+ *   <dir>/<id>/records.ndjson  通过校验的记录（已按 schema 完成字段映射、类型转换和默认值）
+ * 导入时先写入临时目录，完成后整体改名，未完成的导入不会出现在列表中
+ */
+
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { fileURLToPath } from 'url';
+import { calculateStatisticsStream, validateRecords, allowsApproximation } from './statistics.js';
+import { calculateStatisticsParallel, chooseEngine } from './parallel.js';
+import { readRecords } from './parsers.js';
+import { compileSchema } from './schema.js';
+
+// 默认存储目录：环境变量 DATA_STATS_STORE，否则为项目下的 data/datasets
+const DEFAULT_DATASET_DIR = process.env.DATA_STATS_STORE
+  || fileURLToPath(new URL('../../data/datasets', import.meta.url));
+
+const META_FILE = 'meta.json';
+const RECORDS_FILE = 'records.ndjson';
+
+// 查看数据集时附带的样例记录数
+const SAMPLE_SIZE = 5;
+
+const MAX_NAME_LENGTH = 100;
+
+const validateName = (name) => {
+  if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+    throw new Error(`无效的数据集名称: 需要 1-${MAX_NAME_LENGTH} 个字符`);
+  }
+  return name.trim();
+};
+
+// 没有有效记录时的错误，附带校验报告
+const noValidRecordsError = (report) => {
+  const error = new Error('没有有效的数据记录');
+  error.validation = report;
+  return error;
+};
+
+// 创建数据集存储，dir 为存储目录（不存在时在导入时创建）
+const createDatasetStore = (dir = DEFAULT_DATASET_DIR) => {
+  const datasetDir = (id) => path.join(dir, id);
+
+  const readMeta = async (id) => {
+    try {
+      return JSON.parse(await fs.readFile(path.join(datasetDir(id), META_FILE), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+      throw error;
+    }
+  };
+
+  // 所有数据集的元信息，按导入时间从新到旧排列；以 . 开头的是未完成的导入
+  const list = async () => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const metas = await Promise.all(entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => readMeta(entry.name)));
+    return metas
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  };
+
+  // 按 id 或名称查找数据集，不存在时返回 null
+  const get = async (idOrName) => {
+    if (typeof idOrName !== 'string' || idOrName === '') return null;
+    if (!/[/\\.]/.test(idOrName)) {
+      const meta = await readMeta(idOrName);
+      if (meta) return meta;
+    }
+    return (await list()).find(meta => meta.name === idOrName) || null;
+  };
+
+  // 导入数据集
+  // chunks: 产出记录数组（数据块）的同步或异步可迭代对象，如 readRecords 的结果
+  // options.name: 数据集名称，不可与已有数据集重复
+  // options.schema: 记录校验 schema 定义（JSON 对象），保存在元信息中，之后统计时默认使用
+  // options.source: 来源信息（如 { fileName, format }），原样保存
+  // 返回数据集元信息；没有有效记录时抛出附带校验报告的错误
+  const importDataset = async (chunks, options = {}) => {
+    const name = validateName(options.name);
+    const { schema = null, source = {} } = options;
+    const compiled = schema === null ? undefined : compileSchema(schema);
+    if ((await list()).some(meta => meta.name === name)) {
+      throw new Error(`数据集名称已存在: ${name}`);
+    }
+
+    const id = randomBytes(4).toString('hex');
+    const tempDir = path.join(dir, `.${id}.tmp`);
+    await fs.mkdir(tempDir, { recursive: true });
+    const output = createWriteStream(path.join(tempDir, RECORDS_FILE));
+
+    try {
+      let report;
+      const fields = new Set();
+      for await (const chunk of chunks) {
+        const result = validateRecords(chunk, { offset: report ? report.total : 0, report, schema: compiled });
+        report = result.report;
+        if (result.records.length === 0) continue;
+        for (const record of result.records) {
+          for (const field of Object.keys(record)) fields.add(field);
+        }
+        if (!output.write(result.records.map(record => JSON.stringify(record)).join('\n') + '\n')) {
+          await once(output, 'drain');
+        }
+      }
+      output.end();
+      await finished(output);
+      if (!report || report.valid === 0) throw noValidRecordsError(report || validateRecords([]).report);
+
+      const meta = {
+        id,
+        name,
+        createdAt: new Date().toISOString(),
+        source,
+        records: report.valid,
+        fields: [...fields],
+        schema,
+        validation: report
+      };
+      await fs.writeFile(path.join(tempDir, META_FILE), JSON.stringify(meta, null, 2));
+      await fs.rename(tempDir, datasetDir(id));
+      return meta;
+    } catch (error) {
+      output.destroy();
+      await fs.rm(tempDir, { recursive: true, force: true });
+      throw error;
+    }
+  };
+
+  // 按块读取数据集的记录
+  const readDataset = (id, options = {}) => readRecords(
+    createReadStream(path.join(datasetDir(id), RECORDS_FILE)),
+    { format: 'ndjson', chunkSize: options.chunkSize }
+  );
+
+  // 读入数据集的全部记录
+  const loadRecords = async (id) => {
+    const records = [];
+    for await (const chunk of readDataset(id)) {
+      for (const record of chunk) records.push(record);
+    }
+    return records;
+  };
+
+  // 数据集元信息加上前几条记录
+  const inspect = async (idOrName) => {
+    const meta = await get(idOrName);
+    if (!meta) return null;
+    const sample = [];
+    for await (const chunk of readDataset(meta.id, { chunkSize: SAMPLE_SIZE })) {
+      sample.push(...chunk);
+      break;
+    }
+    return { ...meta, sample };
+  };
+
+  // 删除数据集，不存在时返回 null
+  const remove = async (idOrName) => {
+    const meta = await get(idOrName);
+    if (!meta) return null;
+    await fs.rm(datasetDir(meta.id), { recursive: true, force: true });
+    return meta;
+  };
+
+  // 统计数据集，options 同 calculateStatisticsParallel（含 onProgress、approximate、workers、signal），
+  // 未指定 schema 时使用导入时的 schema
+  // 默认读入全部记录精确计算；允许近似计算（见 allowsApproximation）时流式读取，不在内存中保留记录
+  // 返回 { dataset, results, engine }，engine 为 'stream'、'parallel'、'worker' 或 'serial'；数据集不存在时抛出错误
+  const calculate = async (idOrName, options = {}) => {
+    const dataset = await get(idOrName);
+    if (!dataset) throw new Error(`数据集不存在: ${idOrName}`);
+    const calculationOptions = {
+      ...options,
+      schema: options.schema === undefined ? dataset.schema ?? undefined : options.schema
+    };
+    if (allowsApproximation(calculationOptions)) {
+      const results = await calculateStatisticsStream(readDataset(dataset.id), calculationOptions);
+      return { dataset, results, engine: 'stream' };
+    }
+    const records = await loadRecords(dataset.id);
+    const results = await calculateStatisticsParallel(records, calculationOptions);
+    return { dataset, results, engine: chooseEngine(records, calculationOptions) };
+  };
+
+  return { dir, list, get, inspect, importDataset, readDataset, loadRecords, remove, calculate };
+};
+
+export {
+  DEFAULT_DATASET_DIR,
+  createDatasetStore
+};
@@ -0,0 +1,415 @@
+/**
+ * 过滤表达式
+ * 手写的词法/语法分析器（不使用 eval），把表达式编译为记录谓词函数，在分组统计之前过滤数据
+ *
+ *   year BETWEEN 2015 AND 2020
+ *   resource = 'Cereals' AND value > 100
+ *   region IN ('Asia', 'Europe') OR NOT name CONTAINS 'Island'
+ *   sim_name MATCHES /^A/i AND weight != null
+ *
+ * - 比较: = == != <> < <= > >=，字面量为数值时按数值比较（数值字符串会被转换），否则按字符串比较
+ * - 范围: field [NOT] BETWEEN a AND b（闭区间）
+ * - 列表: field [NOT] IN (a, b, ...)
+ * - 字符串匹配: [NOT] CONTAINS / STARTSWITH / ENDSWITH / LIKE（% 和 _ 通配）/ MATCHES（正则），区分大小写
+ *   MATCHES 的正则经 compileSafeRegExp 检查，过长、含嵌套量词、反向引用或多个可匹配同一段文本的无界量词时拒绝
+ * - 逻辑: AND OR NOT（或 && || !）和括号，优先级 NOT > AND > OR
+ * - field = null / field != null 判断字段是否缺失；字段缺失时其他条件均不成立，
+ *   包括 field NOT BETWEEN / NOT IN / NOT CONTAINS 等；条件前的 NOT 是逻辑取反，NOT (year IN (2015)) 对缺少 year 的记录成立
+ * - 关键字不区分大小写；字段名含空格或与关键字相同时用反引号包裹，如 `in`
+ */
+
+import { compileSafeRegExp } from './regexp.js';
+
+const KEYWORDS = [
+  'AND', 'OR', 'NOT', 'IN', 'BETWEEN',
+  'CONTAINS', 'STARTSWITH', 'ENDSWITH', 'LIKE', 'MATCHES',
+  'TRUE', 'FALSE', 'NULL'
+];
+
+const MATCH_OPERATORS = ['CONTAINS', 'STARTSWITH', 'ENDSWITH', 'LIKE', 'MATCHES'];
+
+const COMPARISON_OPERATORS = ['=', '==', '!=', '<>', '<', '<=', '>', '>='];
+
+// 符号按长度降序匹配
+const SYMBOLS = ['==', '!=', '<>', '<=', '>=', '&&', '||', '=', '<', '>', '!', '(', ')', ','];
+
+const SYMBOL_KEYWORDS = { '&&': 'AND', '||': 'OR', '!': 'NOT' };
+
+const NUMBER_PATTERN = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+const IDENTIFIER_PATTERN = /^[\p{L}_][\p{L}\p{N}_.]*/u;
+
+const filterError = (message, position) => new Error(`过滤表达式错误 (位置 ${position}): ${message}`);
+
+// 词法分析，token: { type: 'number'|'string'|'regex'|'identifier'|'keyword'|'symbol'|'end', value, position }
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = (quote) => {
+    const start = i;
+    let text = '';
+    i++;
+    while (i < source.length && source[i] !== quote) {
+      if (source[i] === '\\' && i + 1 < source.length) i++;
+      text += source[i];
+      i++;
+    }
+    if (i >= source.length) throw filterError(`${quote === '`' ? '字段名' : '字符串'}未闭合`, start);
+    i++;
+    return text;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const position = i;
+    const rest = source.slice(i);
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      tokens.push({ type: 'string', value: readQuoted(char), position });
+      continue;
+    }
+
+    if (char === '`') {
+      tokens.push({ type: 'identifier', value: readQuoted(char), position });
+      continue;
+    }
+
+    // 正则字面量只能出现在 MATCHES 之后
+    const previous = tokens[tokens.length - 1];
+    if (char === '/' && previous && previous.type === 'keyword' && previous.value === 'MATCHES') {
+      const match = /^\/((?:\\.|[^\\/])+)\/([a-z]*)/.exec(rest);
+      if (!match) throw filterError('正则表达式未闭合', position);
+      tokens.push({ type: 'regex', value: { source: match[1], flags: match[2] }, position });
+      i += match[0].length;
+      continue;
+    }
+
+    const number = NUMBER_PATTERN.exec(rest);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position });
+      i += number[0].length;
+      continue;
+    }
+
+    const identifier = IDENTIFIER_PATTERN.exec(rest);
+    if (identifier) {
+      const upper = identifier[0].toUpperCase();
+      tokens.push(KEYWORDS.includes(upper)
+        ? { type: 'keyword', value: upper, position }
+        : { type: 'identifier', value: identifier[0], position });
+      i += identifier[0].length;
+      continue;
+    }
+
+    const symbol = SYMBOLS.find(candidate => rest.startsWith(candidate));
+    if (symbol) {
+      tokens.push(SYMBOL_KEYWORDS[symbol]
+        ? { type: 'keyword', value: SYMBOL_KEYWORDS[symbol], position }
+        : { type: 'symbol', value: symbol, position });
+      i += symbol.length;
+      continue;
+    }
+
+    throw filterError(`无法识别的字符 ${char}`, position);
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+};
+
+// 语法分析（递归下降），返回 AST
+// { type: 'or' | 'and', left, right } | { type: 'not', expression }
+// { type: 'compare', field, operator, value } | { type: 'between', field, low, high }
+// { type: 'in', field, values } | { type: 'match', field, operator, value }
+const parseFilter = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('过滤表达式不能为空');
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isKeyword = (value, token = peek()) => token.type === 'keyword' && token.value === value;
+  const isSymbol = (value, token = peek()) => token.type === 'symbol' && token.value === value;
+  const describe = (token) => token.type === 'end' ? '表达式结尾' : `"${source.slice(token.position).split(/\s/)[0]}"`;
+
+  const expectSymbol = (value) => {
+    const token = next();
+    if (!isSymbol(value, token)) throw filterError(`应为 "${value}"，实际为 ${describe(token)}`, token.position);
+  };
+
+  const parseLiteral = () => {
+    const token = next();
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return token.value;
+      case 'keyword':
+        if (token.value === 'TRUE') return true;
+        if (token.value === 'FALSE') return false;
+        if (token.value === 'NULL') return null;
+        break;
+      default:
+        break;
+    }
+    throw filterError(`应为数值、字符串、true、false 或 null，实际为 ${describe(token)}`, token.position);
+  };
+
+  const parseCondition = () => {
+    const fieldToken = next();
+    if (fieldToken.type !== 'identifier') {
+      throw filterError(`应为字段名，实际为 ${describe(fieldToken)}`, fieldToken.position);
+    }
+    const field = fieldToken.value;
+
+    const negated = isKeyword('NOT') && (next(), true);
+    const token = peek();
+    let condition;
+
+    if (isKeyword('BETWEEN')) {
+      next();
+      const low = parseLiteral();
+      const andToken = next();
+      if (!isKeyword('AND', andToken)) throw filterError(`BETWEEN 缺少 AND`, andToken.position);
+      condition = { type: 'between', field, low, high: parseLiteral() };
+    } else if (isKeyword('IN')) {
+      next();
+      expectSymbol('(');
+      const values = [parseLiteral()];
+      while (isSymbol(',')) {
+        next();
+        values.push(parseLiteral());
+      }
+      expectSymbol(')');
+      condition = { type: 'in', field, values };
+    } else if (token.type === 'keyword' && MATCH_OPERATORS.includes(token.value)) {
+      next();
+      const valueToken = next();
+      if (token.value === 'MATCHES' && (valueToken.type === 'regex' || valueToken.type === 'string')) {
+        const { source: pattern, flags } = valueToken.type === 'regex' ? valueToken.value : { source: valueToken.value, flags: '' };
+        try {
+          condition = { type: 'match', field, operator: 'MATCHES', value: compileSafeRegExp(pattern, flags) };
+        } catch (error) {
+          throw filterError(`无效的正则表达式: ${error.message}`, valueToken.position);
+        }
+      } else if (valueToken.type === 'string' || valueToken.type === 'number') {
+        condition = { type: 'match', field, operator: token.value, value: String(valueToken.value) };
+      } else {
+        throw filterError(`${token.value} 之后应为字符串，实际为 ${describe(valueToken)}`, valueToken.position);
+      }
+    } else if (!negated && token.type === 'symbol' && COMPARISON_OPERATORS.includes(token.value)) {
+      next();
+      condition = { type: 'compare', field, operator: token.value, value: parseLiteral() };
+    } else {
+      throw filterError(`字段 ${field} 之后应为比较运算符、BETWEEN、IN 或字符串匹配，实际为 ${describe(token)}`, token.position);
+    }
+
+    return negated ? { ...condition, negated: true } : condition;
+  };
+
+  const parsePrimary = () => {
+    if (isKeyword('NOT')) {
+      next();
+      return { type: 'not', expression: parsePrimary() };
+    }
+    if (isSymbol('(')) {
+      next();
+      const expression = parseOr();
+      expectSymbol(')');
+      return expression;
+    }
+    return parseCondition();
+  };
+
+  const parseAnd = () => {
+    let left = parsePrimary();
+    while (isKeyword('AND')) {
+      next();
+      left = { type: 'and', left, right: parsePrimary() };
+    }
+    return left;
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (isKeyword('OR')) {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  const ast = parseOr();
+  const rest = peek();
+  if (rest.type !== 'end') {
+    throw filterError(`多余的内容 ${describe(rest)}`, rest.position);
+  }
+  return ast;
+};
+
+const isMissing = (value) => value === undefined || value === null;
+
+// 记录值转为数值，无法转换时返回 null
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  return null;
+};
+
+// 比较记录值和字面量，返回 负数 / 0 / 正数，类型不可比较时返回 NaN
+const compareValues = (value, literal) => {
+  if (typeof literal === 'number') {
+    const number = toNumber(value);
+    return number === null ? NaN : number - literal;
+  }
+  if (typeof literal === 'boolean') {
+    return value === literal ? 0 : NaN;
+  }
+  const text = String(value);
+  return text < literal ? -1 : text > literal ? 1 : 0;
+};
+
+const COMPARATORS = {
+  '=': (diff) => diff === 0,
+  '==': (diff) => diff === 0,
+  '!=': (diff) => diff !== 0,
+  '<>': (diff) => diff !== 0,
+  '<': (diff) => diff < 0,
+  '<=': (diff) => diff <= 0,
+  '>': (diff) => diff > 0,
+  '>=': (diff) => diff >= 0
+};
+
+// SQL LIKE 匹配：% 匹配任意长度，_ 匹配单个字符
+// 不转为正则，遇到不匹配时只回退到最近一个 %，最坏 O(文本长度 × 模式长度)
+const likeMatcher = (pattern) => {
+  const chars = [...pattern];
+  return (text) => {
+    const input = [...text];
+    let p = 0;
+    let t = 0;
+    let star = -1;
+    let resume = 0;
+    while (t < input.length) {
+      if (p < chars.length && chars[p] !== '%' && (chars[p] === '_' || chars[p] === input[t])) {
+        p++;
+        t++;
+      } else if (p < chars.length && chars[p] === '%') {
+        star = p++;
+        resume = t;
+      } else if (star !== -1) {
+        p = star + 1;
+        t = ++resume;
+      } else {
+        return false;
+      }
+    }
+    while (chars[p] === '%') p++;
+    return p === chars.length;
+  };
+};
+
+const compileMatch = ({ operator, value }) => {
+  switch (operator) {
+    case 'CONTAINS':
+      return (text) => text.includes(value);
+    case 'STARTSWITH':
+      return (text) => text.startsWith(value);
+    case 'ENDSWITH':
+      return (text) => text.endsWith(value);
+    case 'LIKE':
+      return likeMatcher(value);
+    default:
+      return (text) => {
+        value.lastIndex = 0;
+        return value.test(text);
+      };
+  }
+};
+
+// 字段后的 NOT 只取反条件本身，字段缺失时条件仍不成立
+const negatable = ({ field, negated }, test) => negated
+  ? (record) => !isMissing(record[field]) && !test(record)
+  : test;
+
+// AST 编译为谓词函数
+const compileNode = (node) => {
+  switch (node.type) {
+    case 'or': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return (record) => left(record) || right(record);
+    }
+    case 'and': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return (record) => left(record) && right(record);
+    }
+    case 'not': {
+      const expression = compileNode(node.expression);
+      return (record) => !expression(record);
+    }
+    case 'compare': {
+      const { field, operator, value } = node;
+      const test = COMPARATORS[operator];
+      if (value === null) {
+        const expectMissing = operator === '=' || operator === '==';
+        if (!expectMissing && operator !== '!=' && operator !== '<>') {
+          return () => false;
+        }
+        return (record) => isMissing(record[field]) === expectMissing;
+      }
+      return (record) => {
+        const fieldValue = record[field];
+        if (isMissing(fieldValue)) return false;
+        const diff = compareValues(fieldValue, value);
+        // 类型不可比较时只有不等于成立
+        return Number.isNaN(diff) ? operator === '!=' || operator === '<>' : test(diff);
+      };
+    }
+    case 'between': {
+      const { field, low, high } = node;
+      return negatable(node, (record) => {
+        const fieldValue = record[field];
+        return !isMissing(fieldValue) && compareValues(fieldValue, low) >= 0 && compareValues(fieldValue, high) <= 0;
+      });
+    }
+    case 'in': {
+      const { field, values } = node;
+      return negatable(node, (record) => {
+        const fieldValue = record[field];
+        return !isMissing(fieldValue) && values.some(value =>
+          value === null ? false : compareValues(fieldValue, value) === 0
+        );
+      });
+    }
+    case 'match': {
+      const { field } = node;
+      const test = compileMatch(node);
+      return negatable(node, (record) => !isMissing(record[field]) && test(String(record[field])));
+    }
+    default:
+      throw new Error(`未知的过滤节点: ${node.type}`);
+  }
+};
+
+// 编译过滤条件：表达式字符串或谓词函数，返回 (record) => boolean
+const compileFilter = (where) => {
+  if (typeof where === 'function') return where;
+  return compileNode(parseFilter(where));
+};
+
+export {
+  parseFilter,
+  compileFilter
+};
@@ -0,0 +1,168 @@
+/**
+ * 异常值检测
+ * 按地区、资源类型等分组，分别用 z 分数、修正 z 分数（MAD）或 IQR 围栏找出偏离本组分布的记录，
+ * 返回每组的判定边界以及被标记记录的 id、名称、年份、值、得分和原因
+ */
+
+import { statsCalculators, precisionHelper, normalizeDimension, performantGroupBy } from './statistics.js';
+
+// 修正 z 分数的常数：正态分布下 MAD ≈ 0.6745σ
+const MAD_SCALE = 0.6745;
+
+// 少于此数量的分组不做检测
+const MIN_GROUP_SIZE = 3;
+
+// 检测方法注册表
+// fit(values, threshold): 返回 { center, spread, lower, upper }，离散度为 0 时返回 null（无法判定）
+// score(value, fit): 偏离程度，正数偏高、负数偏低
+// reason(record, fit, threshold): 标记原因
+const outlierMethods = {
+  zscore: {
+    threshold: 3,
+    fit: (values, threshold) => {
+      const center = statsCalculators.mean(values);
+      const spread = statsCalculators.stddev(values);
+      if (spread === 0) return null;
+      return { center, spread, lower: center - threshold * spread, upper: center + threshold * spread };
+    },
+    score: (value, { center, spread }) => (value - center) / spread,
+    reason: ({ score }, { center, spread }, threshold) =>
+      `z 分数 ${score} 超过 ±${threshold}（平均值 ${center}，标准差 ${spread}）`
+  },
+  mad: {
+    threshold: 3.5,
+    fit: (values, threshold) => {
+      const center = statsCalculators.median(values);
+      const spread = statsCalculators.median(values.map(value => Math.abs(value - center)));
+      if (spread === 0) return null;
+      const distance = threshold * spread / MAD_SCALE;
+      return { center, spread, lower: center - distance, upper: center + distance };
+    },
+    score: (value, { center, spread }) => MAD_SCALE * (value - center) / spread,
+    reason: ({ score }, { center, spread }, threshold) =>
+      `修正 z 分数 ${score} 超过 ±${threshold}（中位数 ${center}，MAD ${spread}）`
+  },
+  iqr: {
+    threshold: 1.5,
+    fit: (values, threshold) => {
+      const q1 = statsCalculators.percentile(values, 25);
+      const q3 = statsCalculators.percentile(values, 75);
+      const spread = q3 - q1;
+      if (spread === 0) return null;
+      return { center: statsCalculators.median(values), spread, lower: q1 - threshold * spread, upper: q3 + threshold * spread };
+    },
+    // 超出围栏的距离，以 IQR 为单位
+    score: (value, { lower, upper, spread }) => value > upper
+      ? (value - upper) / spread
+      : value < lower ? (value - lower) / spread : 0,
+    reason: ({ value }, { lower, upper }) => `值 ${value} 超出 IQR 围栏 [${lower}, ${upper}]`
+  }
+};
+
+const OUTLIER_METHODS = Object.keys(outlierMethods);
+
+// 异常值检测默认选项
+// method: 检测方法；threshold: 阈值，默认取各方法的常用值（z 分数 3、MAD 3.5、IQR 1.5）
+// by: 分别检测的分组字段；idField / yearField / nameFields: 被标记记录显示的字段，名称取第一个非空字段
+const DEFAULT_OUTLIER_OPTIONS = {
+  method: 'zscore',
+  by: ['region', 'resource'],
+  idField: 'id',
+  yearField: 'year',
+  nameFields: ['name', 'sim_name']
+};
+
+// 规范化异常值检测选项：方法名、true 或 { method, threshold, ... }，假值表示不检测
+const normalizeOutlierOptions = (outliers) => {
+  if (!outliers) return null;
+  const overrides = outliers === true ? {} : typeof outliers === 'string' ? { method: outliers } : outliers;
+  const options = { ...DEFAULT_OUTLIER_OPTIONS };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) options[key] = value;
+  }
+
+  const method = outlierMethods[options.method];
+  if (!method) {
+    throw new Error(`未知的异常值检测方法: ${options.method}，可选 ${OUTLIER_METHODS.join('|')}`);
+  }
+  const threshold = options.threshold === undefined ? method.threshold : Number(options.threshold);
+  if (!Number.isFinite(threshold) || threshold <= 0) {
+    throw new Error(`无效的异常值阈值: ${options.threshold}`);
+  }
+  const by = [].concat(options.by).flatMap(field => String(field).split(',')).map(field => field.trim()).filter(Boolean);
+  if (by.length === 0) {
+    throw new Error('异常值检测至少需要一个分组字段');
+  }
+  return { ...options, threshold, by, nameFields: [].concat(options.nameFields) };
+};
+
+// 原因文本中的数值保留 6 位小数
+const roundFit = (fit) => fit && {
+  center: precisionHelper.round(fit.center),
+  spread: precisionHelper.round(fit.spread),
+  lower: precisionHelper.round(fit.lower),
+  upper: precisionHelper.round(fit.upper)
+};
+
+// 检测一组记录，返回 { count, center, spread, lower, upper, outliers }，每标记一条记录回调 onFlag(item)
+// 记录数不足或离散度为 0 时边界为 null，不标记任何记录
+const detectGroup = (items, options, onFlag) => {
+  const { method: methodName, threshold, metric, idField, yearField, nameFields } = options;
+  const method = outlierMethods[methodName];
+  const records = items
+    .map(item => ({ item, value: Number(item[metric]) }))
+    .filter(({ value }) => Number.isFinite(value));
+  const fit = records.length < MIN_GROUP_SIZE ? null : method.fit(records.map(({ value }) => value), threshold);
+  const bounds = fit || { center: null, spread: null, lower: null, upper: null };
+
+  const outliers = [];
+  if (fit) {
+    for (const { item, value } of records) {
+      if (value >= fit.lower && value <= fit.upper) continue;
+      const nameField = nameFields.find(field => item[field] !== undefined && item[field] !== null && item[field] !== '');
+      const outlier = {
+        id: item[idField],
+        name: nameField === undefined ? null : item[nameField],
+        year: item[yearField] ?? null,
+        value,
+        score: method.score(value, fit),
+        direction: value > fit.upper ? 'high' : 'low'
+      };
+      outlier.reason = method.reason({ ...outlier, score: precisionHelper.round(outlier.score) }, roundFit(fit), threshold);
+      outliers.push(outlier);
+      onFlag(item);
+    }
+  }
+  outliers.sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+
+  return { count: records.length, ...bounds, outliers };
+};
+
+// 按分组检测异常值
+// records: 已校验的记录；options: normalizeOutlierOptions 接受的选项，另有 metric（默认 'value'）
+// 返回 { method, threshold, metric, flagged, byRegion: { 分组: detectGroup 结果 }, ... }
+// flagged 为至少在一个分组维度中被标记的记录数
+const detectOutliers = (records, options = {}) => {
+  const { metric = 'value', ...rest } = options;
+  const outlierOptions = normalizeOutlierOptions(rest);
+  const result = { method: outlierOptions.method, threshold: outlierOptions.threshold, metric };
+  const flagged = new Set();
+
+  for (const field of outlierOptions.by) {
+    const byGroup = Object.create(null);
+    for (const [key, items] of performantGroupBy(records, item => item[field])) {
+      byGroup[key] = detectGroup(items, { ...outlierOptions, metric }, item => flagged.add(item));
+    }
+    result[normalizeDimension([field]).name] = byGroup;
+  }
+
+  result.flagged = flagged.size;
+  return result;
+};
+
+export {
+  OUTLIER_METHODS,
+  DEFAULT_OUTLIER_OPTIONS,
+  normalizeOutlierOptions,
+  detectOutliers
+};
@@ -0,0 +1,197 @@
+/**
+ * 多线程统计
+ * 并行聚合：主线程完成校验和过滤后，把记录分片交给 worker_threads，各线程用可合并累加器聚合自己的分片，
+ * 主线程合并各分片的聚合状态后生成结果（结构同 calculateStatisticsStream，中位数和百分位来自分位数草图）。
+ * 并行结果是近似的，只在调用方显式允许时使用（options.approximate 且指定了 stats，见 allowsApproximation）；
+ * 其余情况，以及数据量较小时，在一个工作线程中用 calculateStatistics 完整统计，结果与主线程计算完全一致，
+ * 计算期间主线程的事件循环不被阻塞，进度事件照常转发，也能通过 signal 中途取消
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+import {
+  calculateStatistics,
+  validateRecords,
+  fp,
+  normalizeStatsList,
+  allowsApproximation,
+  createAggregationState,
+  mergeAggregationStates,
+  finalizeAggregation
+} from './statistics.js';
+import { compileFilter } from './filter.js';
+import { isPortableSchema, compileSchema } from './schema.js';
+import { createProgress } from './progress.js';
+
+const WORKER_URL = new URL('./worker.js', import.meta.url);
+
+// 记录数少于此值时不分片并行：线程启动和数据复制的开销超过并行带来的收益
+const DEFAULT_PARALLEL_THRESHOLD = 50000;
+
+// 默认线程数：留一个核心给主线程，至少 1 个
+const defaultWorkerCount = () => Math.max(1, os.availableParallelism() - 1);
+
+// 传给工作线程的聚合选项（schema 和 where 可能包含函数，校验和过滤都在主线程完成）
+const AGGREGATION_OPTION_KEYS = ['dimensions', 'metric', 'weight', 'errorBound', 'precision', 'trends', 'pivot', 'ranking'];
+
+const pickAggregationOptions = (options) => Object.fromEntries(
+  AGGREGATION_OPTION_KEYS
+    .filter(key => options[key] !== undefined)
+    .map(key => [key, options[key]])
+);
+
+// 在工作线程中完整统计时传给线程的选项：去掉进度回调和 signal，schema 只传定义，在线程内重新编译
+// 谓词函数 where、自定义校验器等无法复制到线程的选项返回 null，这时只能在主线程计算
+const portableOptions = (options) => {
+  const { onProgress, signal, schema, ...rest } = options;
+  if (typeof rest.where === 'function') return null;
+  if (schema !== undefined) {
+    if (!isPortableSchema(schema)) return null;
+    rest.schema = compileSchema(schema).definition;
+  }
+  try {
+    return structuredClone(rest);
+  } catch {
+    return null;
+  }
+};
+
+const cancelledError = () => new Error('统计已取消');
+
+// 线程内的错误经消息传回，还原为错误对象，保留校验报告
+const workerError = ({ message, validation }) => {
+  const error = new Error(message);
+  if (validation) error.validation = validation;
+  return error;
+};
+
+// 等待工作线程返回结果（分片的聚合状态或完整的统计结果），期间把线程的进度事件转给 onProgress；
+// signal 中止时结束线程。线程结束后移除 abort 监听，长期存在的 signal（如任务的 signal）不会累积监听器
+const runWorker = (worker, { signal, onProgress } = {}) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    worker.terminate();
+    reject(cancelledError());
+  };
+  const settle = (callback) => (value) => {
+    signal?.removeEventListener('abort', onAbort);
+    callback(value);
+  };
+  worker.on('message', (message) => {
+    if (message.type === 'progress') {
+      if (onProgress) onProgress(message.event);
+    } else if (message.type === 'error') {
+      settle(reject)(workerError(message));
+    } else {
+      settle(resolve)(message.value);
+    }
+  });
+  worker.once('error', settle(reject));
+  worker.once('exit', (code) => {
+    if (code !== 0) settle(reject)(new Error(`统计线程异常退出，退出码 ${code}`));
+  });
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// 按记录数均分为至多 count 个分片
+const splitShards = (data, count) => {
+  const size = Math.max(1, Math.ceil(data.length / count));
+  return Array.from({ length: Math.ceil(data.length / size) }, (_, i) => data.slice(i * size, (i + 1) * size));
+};
+
+// 校验线程数和并行阈值，返回 { workers, threshold }
+const resolveParallelOptions = (options) => {
+  const { workers = defaultWorkerCount(), threshold = DEFAULT_PARALLEL_THRESHOLD } = options;
+  if (!Number.isInteger(workers) || workers < 0) {
+    throw new Error(`无效的线程数: ${workers}`);
+  }
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    throw new Error(`无效的并行阈值: ${threshold}`);
+  }
+  return { workers, threshold };
+};
+
+// calculateStatisticsParallel 对这些数据和选项使用的计算方式：
+// 'parallel'（多线程近似聚合）、'worker'（在一个工作线程中精确计算）或 'serial'（在主线程精确计算）
+const chooseEngine = (rawData, options = {}) => {
+  const { workers, threshold } = resolveParallelOptions(options);
+  if (!Array.isArray(rawData)) return 'serial';
+  if (workers > 0 && rawData.length >= threshold && allowsApproximation(options)) return 'parallel';
+  return portableOptions(options) ? 'worker' : 'serial';
+};
+
+// 并行统计，返回 Promise
+// options 同 calculateStatistics（含 onProgress），另有
+// options.approximate: 为 true 且指定了 stats 时允许多线程近似聚合，否则在一个工作线程中精确计算
+// options.workers: 并行聚合的线程数，默认 CPU 核心数 - 1，0 表示不分片并行，始终在一个工作线程中精确计算
+// options.threshold: 记录数达到此值才并行计算，默认 DEFAULT_PARALLEL_THRESHOLD
+// options.signal: AbortSignal，中止时结束工作线程并以“统计已取消”错误拒绝；在主线程计算时无法中途取消
+// 选项无法复制到工作线程（谓词函数、自定义校验器）时在主线程计算，实际使用的计算方式可用 chooseEngine 查询
+const calculateStatisticsParallel = async (rawData, options = {}) => {
+  const { workers } = resolveParallelOptions(options);
+  if (options.signal?.aborted) {
+    throw cancelledError();
+  }
+
+  const engine = chooseEngine(rawData, options);
+  if (engine === 'serial') {
+    return calculateStatistics(rawData, options);
+  }
+  if (engine === 'worker') {
+    const thread = new Worker(WORKER_URL, {
+      workerData: { task: 'calculate', options: portableOptions(options), records: rawData }
+    });
+    try {
+      return await runWorker(thread, options);
+    } finally {
+      thread.terminate();
+    }
+  }
+
+  const { signal } = options;
+  const stats = normalizeStatsList(options.stats);
+  const state = createAggregationState(options);
+  const predicate = options.where === undefined ? null : compileFilter(options.where);
+  // 步数：清洗 1 步，聚合 workers 步（按分片均分），汇总 1 步
+  const progress = createProgress(options.onProgress, workers + 2);
+
+  progress.start('数据清洗');
+  const { records, report } = validateRecords(rawData, { schema: options.schema });
+  progress.end('数据清洗');
+  state.validation = report;
+
+  const data = predicate ? fp.filter(predicate, records) : records;
+  const shards = splitShards(data, workers);
+  const counts = { processed: report.total, valid: report.valid, rejected: report.rejected, matched: data.length };
+  progress.records(counts);
+
+  progress.start('并行聚合');
+  const workerOptions = pickAggregationOptions(options);
+  const threads = shards.map(shard => new Worker(WORKER_URL, {
+    workerData: { task: 'aggregate', options: workerOptions, records: shard }
+  }));
+  try {
+    // 分片按完成顺序合并，每完成一个分片报告一次
+    await Promise.all(threads.map(thread => runWorker(thread, { signal }).then(partial => {
+      mergeAggregationStates(state, partial);
+      progress.records(counts, workers / shards.length);
+    })));
+  } finally {
+    // 任一线程失败时结束其余线程
+    threads.forEach(thread => thread.terminate());
+  }
+  // 聚合的步数已随分片计入；没有分片（全部被过滤）时在这里计入
+  progress.end('并行聚合', shards.length === 0 ? workers : 0);
+
+  progress.start('汇总统计结果');
+  const results = finalizeAggregation(state, stats);
+  progress.end('汇总统计结果');
+  return results;
+};
+
+export {
+  DEFAULT_PARALLEL_THRESHOLD,
+  defaultWorkerCount,
+  chooseEngine,
+  calculateStatisticsParallel,
+  cancelledError
+};
@@ -0,0 +1,398 @@
+/**
+ * 数据文件解析模块
+ * 增量解析，数据以文本块的形式分批写入，无需一次性载入整个文件
+ */
+
+import { StringDecoder } from 'string_decoder';
+
+// 增量 JSON 记录解析器
+// 定位顶层数组或顶层对象的 nodes 数组，逐个解析其中的元素
+// write(text) 返回本次写入新完成的记录，end() 检查输入是否完整
+export const createJsonRecordParser = () => {
+  const stack = [];            // 容器栈: '{' 或 '['
+  let inString = false;
+  let escaped = false;
+  let targetDepth = -1;        // 记录数组所在深度（栈长度），-1 表示尚未找到
+  let finished = false;        // 记录数组已结束
+  let expectingKey = false;    // 顶层对象中下一个字符串是键
+  let lastKey = null;          // 顶层对象最近的键
+  let keyBuffer = null;        // 正在读取的顶层键
+  let keyStart = -1;
+  let elementBuffer = null;    // 正在读取的数组元素文本
+  let elementStart = -1;
+  let position = 0;            // 已处理字符数，用于错误提示
+
+  const parseElement = (text, offset) => {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`JSON 解析失败 (位置 ${position + offset}): ${error.message}`);
+    }
+  };
+
+  const write = (text) => {
+    const records = [];
+    if (elementBuffer !== null) elementStart = 0;
+    if (keyBuffer !== null) keyStart = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (keyBuffer !== null) {
+            lastKey = JSON.parse(`"${keyBuffer + text.slice(keyStart, i)}"`);
+            keyBuffer = null;
+          }
+        }
+        continue;
+      }
+
+      if (char === ' ' || char === '\n' || char === '\r' || char === '\t') continue;
+
+      const inTarget = !finished && stack.length === targetDepth;
+
+      // 记录数组内：遇到 , 或 ] 时结束当前元素
+      if (inTarget && (char === ',' || char === ']')) {
+        if (elementBuffer !== null) {
+          records.push(parseElement(elementBuffer + text.slice(elementStart, i), i));
+          elementBuffer = null;
+        }
+        if (char === ']') {
+          stack.pop();
+          finished = true;
+        }
+        continue;
+      }
+
+      // 记录数组内的新元素
+      if (inTarget && elementBuffer === null) {
+        elementBuffer = '';
+        elementStart = i;
+      }
+
+      switch (char) {
+        case '"':
+          inString = true;
+          if (stack.length === 1 && stack[0] === '{' && expectingKey) {
+            keyBuffer = '';
+            keyStart = i + 1;
+          }
+          break;
+        case '{':
+          stack.push(char);
+          if (stack.length === 1) expectingKey = true;
+          break;
+        case '[':
+          // 顶层数组，或顶层对象中 nodes 字段的值
+          if (targetDepth === -1 && (stack.length === 0 || (stack.length === 1 && stack[0] === '{' && lastKey === 'nodes'))) {
+            targetDepth = stack.length + 1;
+          }
+          stack.push(char);
+          break;
+        case '}':
+        case ']':
+          if (stack.pop() !== (char === '}' ? '{' : '[')) {
+            throw new Error(`JSON 解析失败 (位置 ${position + i}): 括号不匹配`);
+          }
+          break;
+        case ':':
+          if (stack.length === 1) expectingKey = false;
+          break;
+        case ',':
+          if (stack.length === 1 && stack[0] === '{') {
+            expectingKey = true;
+            lastKey = null;
+          }
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (elementBuffer !== null) elementBuffer += text.slice(elementStart);
+    if (keyBuffer !== null) keyBuffer += text.slice(keyStart);
+    position += text.length;
+    return records;
+  };
+
+  const end = () => {
+    if (targetDepth === -1) {
+      throw new Error('未找到记录数组：需要顶层数组或包含 nodes 数组的对象');
+    }
+    if (!finished || inString || elementBuffer !== null) {
+      throw new Error('JSON 解析失败: 文件不完整');
+    }
+  };
+
+  return { write, end };
+};
+
+// 需要转换为数字的字段（文本格式中所有值都是字符串）
+const DEFAULT_NUMERIC_FIELDS = ['year', 'value', 'weight'];
+
+// 无表头的 CSV/TSV 默认列顺序（与 demo.json 记录字段一致）
+const DEFAULT_COLUMNS = ['id', 'sim_name', 'name', 'region', 'resource', 'year', 'value', 'weight'];
+
+// 数值字段类型转换：空字符串视为缺失，无法转换的保留原值交给数据验证处理
+// 不是对象的记录（如 NDJSON 中的 null、数字）原样返回，由数据验证计为无效记录
+const coerceRecord = (record, numericFields = DEFAULT_NUMERIC_FIELDS) => {
+  if (record === null || typeof record !== 'object') return record;
+  for (const field of numericFields) {
+    const raw = record[field];
+    if (typeof raw !== 'string') continue;
+    const trimmed = raw.trim();
+    if (trimmed === '') {
+      record[field] = null;
+    } else if (Number.isFinite(Number(trimmed))) {
+      record[field] = Number(trimmed);
+    }
+  }
+  return record;
+};
+
+const looksNumeric = (cell) => cell.trim() !== '' && Number.isFinite(Number(cell));
+
+// 表头检测：首行所有单元格非空、非数值且互不相同
+const isHeaderRow = (cells) => cells.every(cell => cell.trim() !== '' && !looksNumeric(cell))
+  && new Set(cells).size === cells.length;
+
+// 增量 CSV/TSV 记录解析器
+// options.delimiter: 分隔符，默认 ','
+// options.header: true | false | 'auto'（默认，自动检测首行是否为表头）
+// options.columns: 无表头时的列名，默认 DEFAULT_COLUMNS（列数不符时使用 column1..N）
+// options.numericFields: 需要转换为数字的字段
+export const createDelimitedRecordParser = (options = {}) => {
+  const {
+    delimiter = ',',
+    header = 'auto',
+    columns: presetColumns,
+    numericFields = DEFAULT_NUMERIC_FIELDS
+  } = options;
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || delimiter === '"') {
+    throw new Error(`无效的分隔符: ${JSON.stringify(delimiter)}`);
+  }
+
+  let columns = null;
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let quotePending = false;    // 引号内遇到 "，需看下一个字符判断是转义还是结束
+  let lineNumber = 1;
+  let rowHasContent = false;
+
+  const toRecord = (cells) => {
+    if (!columns) {
+      const useHeader = header === 'auto' ? isHeaderRow(cells) : header;
+      if (useHeader) {
+        columns = cells.map(name => name.trim());
+        return null;
+      }
+      columns = presetColumns
+        || (cells.length === DEFAULT_COLUMNS.length ? DEFAULT_COLUMNS : cells.map((_, i) => `column${i + 1}`));
+    }
+    const record = {};
+    columns.forEach((column, i) => {
+      record[column] = i < cells.length ? cells[i] : '';
+    });
+    return coerceRecord(record, numericFields);
+  };
+
+  const endRow = (records) => {
+    row.push(cell);
+    // 跳过空行
+    if (rowHasContent || row.length > 1) {
+      const record = toRecord(row);
+      if (record) records.push(record);
+    }
+    row = [];
+    cell = '';
+    rowHasContent = false;
+  };
+
+  const write = (text) => {
+    const records = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quotePending) {
+        quotePending = false;
+        if (char === '"') {
+          cell += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          quotePending = true;
+        } else {
+          if (char === '\n') lineNumber++;
+          cell += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && cell.trim() === '') {
+        inQuotes = true;
+        cell = '';
+        rowHasContent = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n') {
+        endRow(records);
+        lineNumber++;
+      } else if (char !== '\r') {
+        cell += char;
+        rowHasContent = true;
+      }
+    }
+
+    return records;
+  };
+
+  const end = () => {
+    if (inQuotes && !quotePending) {
+      throw new Error(`CSV 解析失败 (第 ${lineNumber} 行): 引号未闭合`);
+    }
+    quotePending = false;
+    inQuotes = false;
+    const records = [];
+    endRow(records);
+    return records;
+  };
+
+  return { write, end };
+};
+
+// 增量 NDJSON 记录解析器，每行一个 JSON 对象，空行忽略
+export const createNdjsonRecordParser = (options = {}) => {
+  const { numericFields = DEFAULT_NUMERIC_FIELDS } = options;
+  let buffer = '';
+  let lineNumber = 0;
+
+  const parseLine = (line, records) => {
+    lineNumber++;
+    if (line.trim() === '') return;
+    try {
+      records.push(coerceRecord(JSON.parse(line), numericFields));
+    } catch (error) {
+      throw new Error(`NDJSON 解析失败 (第 ${lineNumber} 行): ${error.message}`);
+    }
+  };
+
+  const write = (text) => {
+    const records = [];
+    const lines = (buffer + text).split('\n');
+    buffer = lines.pop();
+    for (const line of lines) parseLine(line, records);
+    return records;
+  };
+
+  const end = () => {
+    const records = [];
+    parseLine(buffer, records);
+    buffer = '';
+    return records;
+  };
+
+  return { write, end };
+};
+
+// 支持的输入格式
+export const INPUT_FORMATS = ['json', 'ndjson', 'csv', 'tsv'];
+
+const EXTENSION_FORMATS = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv'
+};
+
+// 根据文件扩展名判断输入格式，无法识别时按 JSON 处理
+export const detectInputFormat = (fileName = '') => {
+  const match = /\.[^./\\]+$/.exec(String(fileName).toLowerCase());
+  return (match && EXTENSION_FORMATS[match[0]]) || 'json';
+};
+
+// 按格式创建增量解析器，所有解析器的 end() 均返回剩余记录
+// options 透传给对应解析器（delimiter、header、columns、numericFields）
+export const createRecordParser = (format = 'json', options = {}) => {
+  switch (format) {
+    case 'json': {
+      const parser = createJsonRecordParser();
+      return {
+        write: parser.write,
+        end: () => {
+          parser.end();
+          return [];
+        }
+      };
+    }
+    case 'ndjson':
+      return createNdjsonRecordParser(options);
+    case 'csv':
+      return createDelimitedRecordParser(options);
+    case 'tsv':
+      return createDelimitedRecordParser({ ...options, delimiter: options.delimiter || '\t' });
+    default:
+      throw new Error(`不支持的输入格式: ${format}，可选 ${INPUT_FORMATS.join('|')}`);
+  }
+};
+
+// 一次性解析整段文本
+export const parseRecords = (text, format = 'json', options = {}) => {
+  const parser = createRecordParser(format, options);
+  const records = parser.write(text);
+  for (const record of parser.end()) records.push(record);
+  return records;
+};
+
+// 从可读流中按块读取记录
+// options.format: 输入格式，默认 'json'；其余解析选项见 createRecordParser
+// options.chunkSize: 每个数据块的记录数
+// options.onProgress({ bytesRead, records }): 每读入一段数据回调一次
+export async function* readRecords(readable, options = {}) {
+  const { format = 'json', chunkSize = 10000, onProgress } = options;
+  const parser = createRecordParser(format, options);
+  const decoder = new StringDecoder('utf8');
+  let bytesRead = 0;
+  let recordCount = 0;
+  let pending = [];
+
+  for await (const chunk of readable) {
+    const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    bytesRead += typeof chunk === 'string' ? Buffer.byteLength(chunk) : chunk.length;
+
+    const records = parser.write(text);
+    recordCount += records.length;
+    for (const record of records) pending.push(record);
+
+    if (onProgress) onProgress({ bytesRead, records: recordCount });
+
+    while (pending.length >= chunkSize) {
+      yield pending.slice(0, chunkSize);
+      pending = pending.slice(chunkSize);
+    }
+  }
+
+  const rest = [...parser.write(decoder.end()), ...parser.end()];
+  recordCount += rest.length;
+  pending.push(...rest);
+
+  if (onProgress) onProgress({ bytesRead, records: recordCount });
+  if (pending.length > 0) yield pending;
+}
+
+// 从可读流中按块读取 JSON 记录
+export const readJsonRecords = (readable, options = {}) => readRecords(readable, { ...options, format: 'json' });
@@ -0,0 +1,229 @@
+/**
+ * 数据质量概况
+ * 统计每个字段的类型分布、缺失率、空值率、不同值数量和数值范围，
+ * 并检查重复 id、负权重、不合理年份以及同一 id 的 sim_name/name 不一致
+ *
+ * 字段概况基于原始记录；重复和可疑值检查基于通过校验的记录（已按 schema 完成字段映射）
+ * 支持分块累加：createProfileState → profileRecords（可多次） → finalizeProfile
+ */
+
+import { statsCalculators, validateAndCleanData, createValidationReport } from './statistics.js';
+
+// 每类问题保留的样例数
+const MAX_PROFILE_SAMPLES = 5;
+
+// 默认的合理年份范围
+const DEFAULT_YEAR_RANGE = [1900, 2100];
+
+// 值的类型名
+const valueType = (value) => {
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const isBlank = (value) => typeof value === 'string' && value.trim() === '';
+
+// 可解析为有限数值的值
+const toNumeric = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  return null;
+};
+
+const createIssue = () => ({ count: 0, samples: [] });
+
+const addIssueSample = (issue, sample) => {
+  issue.count++;
+  if (issue.samples.length < MAX_PROFILE_SAMPLES) issue.samples.push(sample);
+};
+
+// 创建概况状态
+// options.schema: 记录校验 schema，默认 DEFAULT_SCHEMA
+// options.idField / options.weight / options.yearField: 检查使用的字段名
+// options.yearRange: 合理年份范围 [min, max]，默认 [1900, 2100]
+// options.nameFields: 同一 id 应保持一致的名称字段，默认 ['sim_name', 'name']
+const createProfileState = (options = {}) => {
+  const {
+    schema,
+    idField = 'id',
+    weight = 'weight',
+    yearField = 'year',
+    yearRange = DEFAULT_YEAR_RANGE,
+    nameFields = ['sim_name', 'name']
+  } = options;
+  if (!Array.isArray(yearRange) || yearRange.length !== 2 || !(yearRange[0] <= yearRange[1])) {
+    throw new Error(`无效的年份范围: ${JSON.stringify(yearRange)}`);
+  }
+
+  return {
+    schema,
+    idField,
+    weight,
+    yearField,
+    yearRange,
+    nameFields,
+    objects: 0,
+    fields: new Map(),
+    ids: new Map(),
+    negativeWeights: createIssue(),
+    implausibleYears: createIssue(),
+    validation: createValidationReport()
+  };
+};
+
+const fieldState = (state, name) => {
+  let field = state.fields.get(name);
+  if (!field) {
+    // 之前的记录都没有这个字段，计入缺失
+    field = { present: 0, missing: state.objects, empty: 0, types: {}, distinct: new Set(), numbers: [] };
+    state.fields.set(name, field);
+  }
+  return field;
+};
+
+// 统计原始记录的字段概况
+const profileFields = (state, item) => {
+  for (const [name, value] of Object.entries(item)) {
+    const field = fieldState(state, name);
+    if (value === null || value === undefined) {
+      field.missing++;
+      continue;
+    }
+    field.present++;
+    if (isBlank(value)) field.empty++;
+    const type = valueType(value);
+    field.types[type] = (field.types[type] || 0) + 1;
+    field.distinct.add(type === 'object' || type === 'array' ? JSON.stringify(value) : value);
+    const number = toNumeric(value);
+    if (number !== null) field.numbers.push(number);
+  }
+  state.objects++;
+  for (const [name, field] of state.fields) {
+    if (!Object.prototype.hasOwnProperty.call(item, name)) field.missing++;
+  }
+};
+
+// 检查通过校验的记录
+const checkRecord = (state, record, index) => {
+  const { idField, weight, yearField, yearRange, nameFields } = state;
+  const id = record[idField];
+
+  const weightValue = toNumeric(record[weight]);
+  if (weightValue !== null && weightValue < 0) {
+    addIssueSample(state.negativeWeights, { index, id, value: weightValue });
+  }
+
+  const year = toNumeric(record[yearField]);
+  if (year !== null && (year < yearRange[0] || year > yearRange[1])) {
+    addIssueSample(state.implausibleYears, { index, id, value: year });
+  }
+
+  if (id === undefined || id === null) return;
+  const key = String(id);
+  let entry = state.ids.get(key);
+  if (!entry) {
+    entry = { id, count: 0, indexes: [], names: nameFields.map(() => new Set()) };
+    state.ids.set(key, entry);
+  }
+  entry.count++;
+  if (entry.indexes.length < MAX_PROFILE_SAMPLES) entry.indexes.push(index);
+  nameFields.forEach((name, i) => {
+    if (record[name] !== undefined && record[name] !== null) entry.names[i].add(record[name]);
+  });
+};
+
+// 累加一批记录（修改并返回 state）
+const profileRecords = (state, records) => {
+  const offset = state.validation.total;
+
+  records.forEach(item => {
+    if (item !== null && typeof item === 'object' && !Array.isArray(item)) profileFields(state, item);
+  });
+
+  // 复用数据校验：只有通过校验的记录参与重复和可疑值检查
+  const rejected = new Set();
+  const validRecords = validateAndCleanData(records, {
+    offset,
+    report: state.validation,
+    schema: state.schema,
+    onReject: (reason, item, index) => rejected.add(index)
+  });
+  const validIndexes = records.map((_, i) => offset + i).filter(index => !rejected.has(index));
+
+  validRecords.forEach((record, i) => checkRecord(state, record, validIndexes[i]));
+  return state;
+};
+
+const rate = (count, total) => total === 0 ? 0 : count / total;
+
+// 数值范围，复用 statsCalculators
+const numericRange = (numbers) => numbers.length === 0 ? null : {
+  count: numbers.length,
+  min: statsCalculators.min(numbers),
+  max: statsCalculators.max(numbers),
+  mean: statsCalculators.mean(numbers),
+  median: statsCalculators.median(numbers)
+};
+
+// 生成概况报告
+const finalizeProfile = (state) => {
+  const { objects } = state;
+  const fields = [...state.fields].map(([name, field]) => ({
+    name,
+    present: field.present,
+    missing: field.missing,
+    missingRate: rate(field.missing, objects),
+    empty: field.empty,
+    emptyRate: rate(field.empty, objects),
+    types: field.types,
+    distinct: field.distinct.size,
+    numeric: numericRange(field.numbers)
+  }));
+
+  const duplicateIds = createIssue();
+  duplicateIds.records = 0;
+  const nameMismatches = createIssue();
+  for (const entry of state.ids.values()) {
+    if (entry.count > 1) {
+      addIssueSample(duplicateIds, { id: entry.id, occurrences: entry.count, indexes: entry.indexes });
+      duplicateIds.records += entry.count;
+    }
+    if (entry.names.some(values => values.size > 1)) {
+      addIssueSample(nameMismatches, {
+        id: entry.id,
+        ...Object.fromEntries(state.nameFields.map((name, i) => [name, [...entry.names[i]]]))
+      });
+    }
+  }
+
+  return {
+    totalRecords: state.validation.total,
+    validation: state.validation,
+    fields,
+    duplicateIds,
+    suspicious: {
+      negativeWeights: { field: state.weight, ...state.negativeWeights },
+      implausibleYears: { field: state.yearField, range: state.yearRange, ...state.implausibleYears },
+      nameMismatches: { fields: state.nameFields, ...nameMismatches }
+    }
+  };
+};
+
+// 一次性生成整个数据集的概况
+const profileData = (data, options = {}) => {
+  if (!Array.isArray(data)) {
+    throw new Error('数据必须是数组格式');
+  }
+  return finalizeProfile(profileRecords(createProfileState(options), data));
+};
+
+export {
+  DEFAULT_YEAR_RANGE,
+  createProfileState,
+  profileRecords,
+  finalizeProfile,
+  profileData
+};
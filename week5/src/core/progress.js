@@ -0,0 +1,51 @@
+/**
+ * 计算进度事件
+ * calculateStatistics / calculateStatisticsStream / calculateStatisticsParallel 通过 options.onProgress(event) 报告进度：
+ * - { type: 'stage', stage, status: 'start', percent }: 阶段开始，stage 为阶段名称（如 "数据清洗"）
+ * - { type: 'stage', stage, status: 'end', duration, percent }: 阶段结束，duration 为耗时毫秒
+ * - { type: 'records', processed, valid, rejected, matched, percent }: 已处理记录数，matched 为通过过滤的记录数
+ * percent 为整体完成百分比（0-100），总步数未知（如流式计算）时为 null
+ *
+ * 阶段耗时同时输出到控制台；每个报告器用 performance.now() 单独计时，并发的计算互不影响
+ */
+
+import { performance } from 'perf_hooks';
+
+// 创建进度报告器，totalSteps 为计算的总步数
+const createProgress = (onProgress, totalSteps = null) => {
+  const started = new Map();
+  let completed = 0;
+
+  const percent = () => totalSteps ? Math.min(100, Math.round(completed / totalSteps * 100)) : null;
+
+  const emit = (event) => {
+    if (onProgress) onProgress({ ...event, percent: percent() });
+  };
+
+  // 阶段开始
+  const start = (stage) => {
+    started.set(stage, performance.now());
+    emit({ type: 'stage', stage, status: 'start' });
+  };
+
+  // 阶段结束，steps 为该阶段计入的步数
+  const end = (stage, steps = 1) => {
+    const duration = performance.now() - started.get(stage);
+    console.log(`${stage}: ${duration.toFixed(3)}ms`);
+    completed += steps;
+    emit({ type: 'stage', stage, status: 'end', duration });
+    started.delete(stage);
+  };
+
+  // 报告已处理的记录数，steps 为同时完成的步数
+  const records = (counts, steps = 0) => {
+    completed += steps;
+    emit({ type: 'records', ...counts });
+  };
+
+  return { start, end, records };
+};
+
+export {
+  createProgress
+};
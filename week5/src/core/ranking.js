@@ -0,0 +1,123 @@
+/**
+ * 排名与占比分析
+ * 按任意统计指标对分组排名，给出前 N / 后 N 名、各分组占全部分组合计的比例、
+ * 按降序累计的占比（帕累托分析）以及相邻两年之间的排名变化
+ */
+
+import { statsCalculators } from './statistics.js';
+
+// 排名分析默认选项
+// by: 排名使用的统计指标；top: 前 N / 后 N 名的 N；yearField: 年份字段；fields: 分别排名的分组字段
+const DEFAULT_RANKING_OPTIONS = {
+  by: 'sum',
+  top: 5,
+  yearField: 'year',
+  fields: ['region', 'resource']
+};
+
+// 规范化排名选项：true 使用默认值，对象与默认值合并，假值表示不做排名分析
+const normalizeRankingOptions = (ranking) => {
+  if (!ranking) return null;
+  const overrides = ranking === true ? {} : ranking;
+  const options = { ...DEFAULT_RANKING_OPTIONS };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) options[key] = value;
+  }
+  const fields = [].concat(options.fields).flatMap(field => String(field).split(',')).map(field => field.trim()).filter(Boolean);
+
+  if (!Number.isInteger(options.top) || options.top < 1) {
+    throw new Error(`无效的排名数量: ${options.top}`);
+  }
+  if (fields.length === 0) {
+    throw new Error('排名分析至少需要一个分组字段');
+  }
+  return { ...options, fields };
+};
+
+// 竞赛排名：按值降序，值相同的分组名次相同（1, 2, 2, 4），同值按分组名排列
+// entries 为 [[分组, 值], ...]，非数值的值会被忽略
+const rankValues = (entries) => {
+  const sorted = entries
+    .filter(([, value]) => Number.isFinite(value))
+    .sort((a, b) => b[1] - a[1] || (String(a[0]) < String(b[0]) ? -1 : String(a[0]) > String(b[0]) ? 1 : 0));
+  let rank = 0;
+  return sorted.map(([group, value], i) => {
+    if (i === 0 || value !== sorted[i - 1][1]) rank = i + 1;
+    return { group, value, rank };
+  });
+};
+
+// 对单层分组结果排名
+// groups: { 分组: 统计摘要 }；options.by: 排名指标；options.top: 前 N / 后 N 名的 N
+// 返回 { by, total, groups, top, bottom }，groups 为按值降序的全部分组
+// { group, value, rank, share, cumulativeShare }，合计为 0 时占比为 null
+const rankGroups = (groups, options = {}) => {
+  const { by = DEFAULT_RANKING_OPTIONS.by, top = DEFAULT_RANKING_OPTIONS.top } = options;
+  const ranked = rankValues(Object.entries(groups).map(([group, stats]) => [group, stats[by]]));
+  const total = statsCalculators.sum(ranked.map(({ value }) => value));
+
+  let cumulative = 0;
+  const entries = ranked.map(entry => {
+    cumulative += entry.value;
+    return {
+      ...entry,
+      share: total === 0 ? null : entry.value / total,
+      cumulativeShare: total === 0 ? null : cumulative / total
+    };
+  });
+
+  return {
+    by,
+    total,
+    groups: entries,
+    top: entries.slice(0, top),
+    bottom: entries.slice(-top).reverse()
+  };
+};
+
+// 按年份排名：nested 为按 (分组, 年份) 嵌套的统计结果
+// 返回 { years, ranks: { 年份: { 分组: 名次 } } }
+const rankByYear = (nested, options = {}) => {
+  const { by = DEFAULT_RANKING_OPTIONS.by } = options;
+  const valuesByYear = new Map();
+  for (const [group, years] of Object.entries(nested)) {
+    for (const [year, stats] of Object.entries(years)) {
+      if (!valuesByYear.has(year)) valuesByYear.set(year, []);
+      valuesByYear.get(year).push([group, stats[by]]);
+    }
+  }
+
+  const years = [...valuesByYear.keys()].sort((a, b) => Number(a) - Number(b) || (a < b ? -1 : a > b ? 1 : 0));
+  const ranks = Object.create(null);
+  for (const year of years) {
+    ranks[year] = Object.fromEntries(rankValues(valuesByYear.get(year)).map(({ group, rank }) => [group, rank]));
+  }
+  return { years, ranks };
+};
+
+// 排名并附加最近两年之间的排名变化
+// rankChange = 上一年名次 - 最近一年名次，正数表示上升；任一年份没有该分组时为 null
+const analyzeRanking = (groups, nested, options = {}) => {
+  const ranking = rankGroups(groups, options);
+  const { years, ranks } = rankByYear(nested, options);
+  ranking.yearRanks = ranks;
+  ranking.rankChange = null;
+  if (years.length < 2) return ranking;
+
+  const [previous, latest] = years.slice(-2);
+  ranking.rankChange = { from: Number(previous), to: Number(latest) };
+  for (const entry of ranking.groups) {
+    const before = ranks[previous][entry.group];
+    const after = ranks[latest][entry.group];
+    entry.rankChange = before === undefined || after === undefined ? null : before - after;
+  }
+  return ranking;
+};
+
+export {
+  DEFAULT_RANKING_OPTIONS,
+  normalizeRankingOptions,
+  rankGroups,
+  rankByYear,
+  analyzeRanking
+};
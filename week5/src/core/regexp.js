@@ -0,0 +1,259 @@
+/**
+ * 用户提供的正则表达式的安全检查
+ * 过滤表达式的 MATCHES 和 schema 的 pattern 可能来自 API 请求，并对每条记录执行。
+ * JavaScript 的正则引擎是回溯型的，嵌套量词（如 (a+)+）在不匹配的输入上会指数级回溯，
+ * 多个能匹配同一段文本的无界量词（如 .*.*.*x）会多项式级回溯（ReDoS），都会阻塞事件循环，
+ * 因此编译前限制长度并拒绝这类写法
+ */
+
+// 正则源码的最大长度
+const MAX_PATTERN_LENGTH = 200;
+
+const QUANTIFIER = /\{(\d+)(,(\d*))?\}/y;
+const ESCAPE = /\\(?:x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|u\{[0-9a-fA-F]+\}|[pP]\{[^}]*\}|c[A-Za-z]|[\s\S])/y;
+const GROUP_PREFIX = /\?(?:[:=!]|<[=!]|<[A-Za-z_$][\w$]*>)/y;
+
+// position 处的量词 { min, max, length }，不是量词时为 null；length 含惰性量词的 ?
+const readQuantifier = (source, position) => {
+  const char = source[position];
+  let quantifier = null;
+  if (char === '*') quantifier = { min: 0, max: Infinity, length: 1 };
+  if (char === '+') quantifier = { min: 1, max: Infinity, length: 1 };
+  if (char === '?') quantifier = { min: 0, max: 1, length: 1 };
+  if (char === '{') {
+    QUANTIFIER.lastIndex = position;
+    const match = QUANTIFIER.exec(source);
+    if (match) {
+      const min = Number(match[1]);
+      const max = match[2] === undefined ? min : match[3] === '' ? Infinity : Number(match[3]);
+      quantifier = { min, max, length: match[0].length };
+    }
+  }
+  if (quantifier && source[position + quantifier.length] === '?') quantifier.length++;
+  return quantifier;
+};
+
+// 解析为语法树：atom（单个字符、转义、字符类、.）、seq、alt、group、repeat、look（环视）、empty（^ $ \b \B）、backreference
+// 只用于安全检查，调用前源码已通过 RegExp 的语法检查
+const parsePattern = (source) => {
+  let i = 0;
+
+  const parseTerm = () => {
+    const start = i;
+    const char = source[i];
+    if (char === '\\') {
+      ESCAPE.lastIndex = i;
+      const [escape] = ESCAPE.exec(source) || ['\\'];
+      i += escape.length;
+      if (/^\\[1-9k]/.test(escape)) return { type: 'backreference' };
+      if (escape === '\\b' || escape === '\\B') return { type: 'empty' };
+      return { type: 'atom', source: escape };
+    }
+    if (char === '[') {
+      // JS 中紧跟 [ 或 [^ 的 ] 结束字符类（[] 与 [^]）
+      i += source[i + 1] === '^' ? 2 : 1;
+      while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+      i++;
+      return { type: 'atom', source: source.slice(start, i) };
+    }
+    if (char === '(') {
+      GROUP_PREFIX.lastIndex = i + 1;
+      const prefix = GROUP_PREFIX.exec(source);
+      i += 1 + (prefix ? prefix[0].length : 0);
+      const node = parseAlternation();
+      i++;
+      return prefix && /^\?<?[=!]/.test(prefix[0]) ? { type: 'look', node } : { type: 'group', node };
+    }
+    if (char === '^' || char === '$') {
+      i++;
+      return { type: 'empty' };
+    }
+    i += source.codePointAt(i) > 0xffff ? 2 : 1;
+    return { type: 'atom', source: source.slice(start, i) };
+  };
+
+  const parseSequence = () => {
+    const items = [];
+    while (i < source.length && source[i] !== '|' && source[i] !== ')') {
+      const start = i;
+      const node = parseTerm();
+      const quantifier = readQuantifier(source, i);
+      if (quantifier) {
+        i += quantifier.length;
+        items.push({ type: 'repeat', node, min: quantifier.min, max: quantifier.max, start, end: i });
+      } else {
+        items.push(node);
+      }
+    }
+    return { type: 'seq', items };
+  };
+
+  const parseAlternation = () => {
+    const options = [parseSequence()];
+    while (source[i] === '|') {
+      i++;
+      options.push(parseSequence());
+    }
+    return options.length === 1 ? options[0] : { type: 'alt', options };
+  };
+
+  return parseAlternation();
+};
+
+const children = (node) => node.type === 'seq' ? node.items
+  : node.type === 'alt' ? node.options
+  : node.node ? [node.node]
+  : [];
+
+// 子树（不含环视）中是否有满足条件的节点
+const containsNode = (node, predicate) => children(node)
+  .some(child => child.type !== 'look' && (predicate(child) || containsNode(child, predicate)));
+
+const collectNodes = (node, type, found = []) => {
+  for (const child of children(node)) {
+    if (child.type === type) found.push(child);
+    collectNodes(child, type, found);
+  }
+  return found;
+};
+
+// 位置自动机（Glushkov）：返回 { nullable, first, last }，并在 follow 中记录每个字符位置之后可能匹配的位置
+// 无界重复（* + {n,}）内的位置记录所属的重复节点
+const analyzePositions = (node, follow, repeat = null) => {
+  switch (node.type) {
+    case 'atom':
+      node.repeat = repeat;
+      follow.set(node, new Set());
+      return { nullable: false, first: [node], last: [node] };
+    case 'group':
+      return analyzePositions(node.node, follow, repeat);
+    case 'seq':
+      return node.items.reduce((left, item) => {
+        const right = analyzePositions(item, follow, repeat);
+        left.last.forEach(position => right.first.forEach(next => follow.get(position).add(next)));
+        return {
+          nullable: left.nullable && right.nullable,
+          first: left.nullable ? [...left.first, ...right.first] : left.first,
+          last: right.nullable ? [...left.last, ...right.last] : right.last
+        };
+      }, { nullable: true, first: [], last: [] });
+    case 'alt': {
+      const options = node.options.map(option => analyzePositions(option, follow, repeat));
+      return {
+        nullable: options.some(option => option.nullable),
+        first: options.flatMap(option => option.first),
+        last: options.flatMap(option => option.last)
+      };
+    }
+    case 'repeat': {
+      const inner = analyzePositions(node.node, follow, node.max === Infinity ? node : repeat);
+      if (node.max > 1) {
+        inner.last.forEach(position => inner.first.forEach(next => follow.get(position).add(next)));
+      }
+      return { nullable: inner.nullable || node.min === 0, first: inner.first, last: inner.last };
+    }
+    default:
+      return { nullable: true, first: [], last: [] };
+  }
+};
+
+// 判断字符位置能否匹配同一字符的样本：ASCII、源码中出现的字符（含字符类的端点）和几个常见的非 ASCII 字符
+const createOverlapTest = (source, flags) => {
+  const samples = new Set(['\u00a0', '\u2028', '\u00e9', '\u00df', '\u212a', '中', '\u{1f600}']);
+  for (let code = 0; code < 128; code++) samples.add(String.fromCharCode(code));
+  for (const char of source) samples.add(char);
+  for (let i = 0; i < source.length; i++) samples.add(source[i]);
+  const list = [...samples];
+  const atomFlags = flags.replace(/[gy]/g, '');
+  const masks = new Map();
+
+  const maskOf = (atom) => {
+    if (!masks.has(atom)) {
+      let mask = 0n;
+      try {
+        const regex = new RegExp(`^(?:${atom.source})$`, atomFlags);
+        list.forEach((sample, i) => {
+          if (regex.test(sample)) mask |= 1n << BigInt(i);
+        });
+      } catch {
+        // 无法单独编译的片段视为可以匹配任意字符
+        mask = -1n;
+      }
+      masks.set(atom, mask);
+    }
+    return masks.get(atom);
+  };
+
+  return (a, b) => (maskOf(a) & maskOf(b)) !== 0n;
+};
+
+// 从某个无界重复的字符位置出发，经过它也能匹配的位置，能否到达另一个无界重复：
+// 这时两个重复可以瓜分同一段文本，匹配失败前要尝试所有分法，如 .*.*x、\w+\s*\w+、.*a.*a
+const findOverlappingRepeats = (tree, overlaps) => {
+  const follow = new Map();
+  analyzePositions(tree, follow);
+  for (const [position] of follow) {
+    if (!position.repeat) continue;
+    const visited = new Set([position]);
+    const pending = [...follow.get(position)];
+    while (pending.length > 0) {
+      const next = pending.pop();
+      if (visited.has(next) || !overlaps(position, next)) continue;
+      visited.add(next);
+      if (next.repeat && next.repeat !== position.repeat) return [position.repeat, next.repeat];
+      pending.push(...follow.get(next));
+    }
+  }
+  return null;
+};
+
+// 查找可能导致大量回溯的写法，返回问题描述，没有问题时返回 null：
+// 反向引用；本身重复、内部又含有量词或分支（|）的分组，如 (a+)+、(a|ab)*、(\d*){2,}；
+// 能匹配同一段文本的多个无界量词，如 .*.*x
+const findUnsafeConstruct = (source, flags = '') => {
+  const tree = parsePattern(source);
+  if (containsNode(tree, node => node.type === 'backreference')) return '反向引用';
+
+  for (const repeat of collectNodes(tree, 'repeat')) {
+    if (repeat.max <= 1) continue;
+    const quantified = containsNode(repeat, node => node.type === 'repeat');
+    if (quantified || containsNode(repeat, node => node.type === 'alt')) {
+      return `重复的分组内含有${quantified ? '量词' : '分支'}: ${source.slice(0, repeat.end)}`;
+    }
+  }
+
+  // 环视内的表达式单独匹配，分别检查
+  const overlaps = createOverlapTest(source, flags);
+  for (const part of [tree, ...collectNodes(tree, 'look').map(look => look.node)]) {
+    const pair = findOverlappingRepeats(part, overlaps);
+    if (pair) {
+      const [first, second] = pair;
+      const start = Math.min(first.start, second.start);
+      const end = Math.max(first.end, second.end);
+      return `多个无界量词可能匹配同一段文本: ${source.slice(start, end)}`;
+    }
+  }
+  return null;
+};
+
+// 编译用户提供的正则表达式：过长、有语法错误或可能导致大量回溯时抛出错误
+const compileSafeRegExp = (source, flags = '') => {
+  if (typeof source !== 'string') {
+    throw new Error('正则表达式必须是字符串');
+  }
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`正则表达式过长: 最多 ${MAX_PATTERN_LENGTH} 个字符`);
+  }
+  const regex = new RegExp(source, flags);
+  const problem = findUnsafeConstruct(source, flags);
+  if (problem) {
+    throw new Error(`正则表达式可能导致大量回溯，请改写: ${problem}`);
+  }
+  return regex;
+};
+
+export {
+  MAX_PATTERN_LENGTH,
+  findUnsafeConstruct,
+  compileSafeRegExp
+};
@@ -0,0 +1,286 @@
+/**
+ * 记录校验 schema
+ * 描述每个字段的类型、是否必需、枚举值、数值范围、正则、自定义校验器、默认值和类型转换，
+ * 可写成 JSON 文件通过 CLI --schema 加载，也可直接传给 calculateStatistics / API
+ *
+ * {
+ *   "fields": {
+ *     "region": { "type": "string", "required": true, "from": ["country_group"] },
+ *     "year":   { "type": "integer", "required": true, "min": 1900, "max": 2100 },
+ *     "value":  { "type": "number", "required": true },
+ *     "weight": { "type": "number", "default": 1, "validate": "positive" }
+ *   }
+ * }
+ */
+
+import { compileSafeRegExp } from './regexp.js';
+
+// 字段类型
+const FIELD_TYPES = ['any', 'string', 'number', 'integer', 'boolean'];
+
+// 字段规格允许的属性
+const FIELD_PROPERTIES = ['type', 'required', 'enum', 'min', 'max', 'pattern', 'validate', 'default', 'from', 'coerce'];
+
+// 按名称引用的自定义校验器，JSON schema 中通过 "validate": "名称" 使用
+// 校验器签名 (value, record) => true | false | 错误信息字符串
+const BUILTIN_VALIDATORS = new Map([
+  ['nonEmpty', (value) => String(value).trim() !== '' || '不能为空'],
+  ['positive', (value) => value > 0 || '必须大于 0'],
+  ['nonNegative', (value) => value >= 0 || '不能为负数']
+]);
+
+const namedValidators = new Map(BUILTIN_VALIDATORS);
+
+// 注册具名校验器
+const registerValidator = (name, validator) => {
+  if (typeof validator !== 'function') {
+    throw new Error(`校验器 ${name} 必须是函数`);
+  }
+  namedValidators.set(name, validator);
+};
+
+const isMissing = (value) => value === undefined || value === null;
+
+const BOOLEAN_STRINGS = { true: true, false: false, yes: true, no: false, '1': true, '0': false };
+
+// 类型转换：返回转换后的值；空字符串视为缺失（返回 null），无法转换时原样返回交给类型检查
+const coerceValue = (value, type) => {
+  switch (type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'string') return value;
+      if (value.trim() === '') return null;
+      return Number.isFinite(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      if (typeof value === 'string') {
+        const key = value.trim().toLowerCase();
+        if (key === '') return null;
+        return BOOLEAN_STRINGS.hasOwnProperty(key) ? BOOLEAN_STRINGS[key] : value;
+      }
+      return value === 1 || value === 0 ? value === 1 : value;
+    case 'string':
+      return typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+    default:
+      return value;
+  }
+};
+
+// 类型检查，不通过时返回拒绝原因
+const checkType = (name, type, value) => {
+  switch (type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+        ? null
+        : { code: 'NON_NUMERIC', field: name, message: `字段 ${name} 不是有效数值` };
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { code: 'NON_NUMERIC', field: name, message: `字段 ${name} 不是有效数值` };
+      }
+      return Number.isInteger(value)
+        ? null
+        : { code: 'INVALID_TYPE', field: name, message: `字段 ${name} 不是整数` };
+    case 'string':
+    case 'boolean':
+      return typeof value === type
+        ? null
+        : { code: 'INVALID_TYPE', field: name, message: `字段 ${name} 不是${type === 'string' ? '字符串' : '布尔值'}` };
+    default:
+      return null;
+  }
+};
+
+// 规范化单个字段规格，规格有误时抛出错误
+const compileField = (name, spec) => {
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`无效的 schema: 字段 ${name} 的规格必须是对象`);
+  }
+  const unknown = Object.keys(spec).find(key => !FIELD_PROPERTIES.includes(key));
+  if (unknown) {
+    throw new Error(`无效的 schema: 字段 ${name} 包含未知属性 ${unknown}`);
+  }
+
+  const { type = 'any', required = false, coerce = true } = spec;
+  if (!FIELD_TYPES.includes(type)) {
+    throw new Error(`无效的 schema: 字段 ${name} 的类型 ${type} 不受支持，可选 ${FIELD_TYPES.join('|')}`);
+  }
+  if (spec.enum !== undefined && (!Array.isArray(spec.enum) || spec.enum.length === 0)) {
+    throw new Error(`无效的 schema: 字段 ${name} 的 enum 必须是非空数组`);
+  }
+  for (const bound of ['min', 'max']) {
+    if (spec[bound] !== undefined && !Number.isFinite(spec[bound])) {
+      throw new Error(`无效的 schema: 字段 ${name} 的 ${bound} 必须是数值`);
+    }
+  }
+  if (spec.min !== undefined && spec.max !== undefined && spec.min > spec.max) {
+    throw new Error(`无效的 schema: 字段 ${name} 的 min 大于 max`);
+  }
+
+  // schema 可能来自 API 请求体，正则经 compileSafeRegExp 检查长度和回溯风险
+  let pattern = null;
+  if (spec.pattern !== undefined) {
+    try {
+      pattern = spec.pattern instanceof RegExp
+        ? compileSafeRegExp(spec.pattern.source, spec.pattern.flags)
+        : compileSafeRegExp(String(spec.pattern));
+    } catch (error) {
+      throw new Error(`无效的 schema: 字段 ${name} 的正则 ${spec.pattern} 有误: ${error.message}`);
+    }
+  }
+
+  let validate = null;
+  if (typeof spec.validate === 'function') {
+    validate = spec.validate;
+  } else if (spec.validate !== undefined) {
+    validate = namedValidators.get(spec.validate);
+    if (!validate) {
+      throw new Error(`无效的 schema: 字段 ${name} 引用了未注册的校验器 ${spec.validate}`);
+    }
+  }
+
+  return {
+    name,
+    type,
+    required: Boolean(required),
+    coerce: Boolean(coerce),
+    enum: spec.enum ? new Set(spec.enum) : null,
+    enumText: spec.enum ? spec.enum.join(', ') : '',
+    min: spec.min,
+    max: spec.max,
+    pattern,
+    validate,
+    hasDefault: spec.default !== undefined,
+    default: spec.default,
+    from: spec.from === undefined ? [] : [].concat(spec.from)
+  };
+};
+
+// 校验字段值，不通过时返回拒绝原因
+const checkValue = (field, value, record) => {
+  const { name } = field;
+  const typeError = checkType(name, field.type, value);
+  if (typeError) return typeError;
+
+  if (field.enum && !field.enum.has(value)) {
+    return { code: 'NOT_IN_ENUM', field: name, message: `字段 ${name} 不在允许的取值中 (${field.enumText})` };
+  }
+  if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+    return {
+      code: 'OUT_OF_RANGE',
+      field: name,
+      message: `字段 ${name} 超出范围 [${field.min ?? '-∞'}, ${field.max ?? '+∞'}]`
+    };
+  }
+  if (field.pattern) {
+    // JS 中传入的 RegExp 可能带 g / y 标志，test 会从上次的 lastIndex 继续匹配
+    field.pattern.lastIndex = 0;
+  }
+  if (field.pattern && !field.pattern.test(String(value))) {
+    return { code: 'PATTERN_MISMATCH', field: name, message: `字段 ${name} 不匹配 ${field.pattern}` };
+  }
+  if (field.validate) {
+    let outcome;
+    try {
+      outcome = field.validate(value, record);
+    } catch (error) {
+      outcome = error.message;
+    }
+    if (outcome === false || typeof outcome === 'string') {
+      return {
+        code: 'CUSTOM_VALIDATION',
+        field: name,
+        message: typeof outcome === 'string' ? `字段 ${name} ${outcome}` : `字段 ${name} 未通过自定义校验`
+      };
+    }
+  }
+  return null;
+};
+
+// 编译 schema 定义
+// 返回 { fields, check(item), definition }，check 返回 { record }，不通过时另有 reason
+// 需要补默认值、重命名或类型转换时 record 是输入记录的浅拷贝，否则就是输入记录本身
+const compileSchema = (definition) => {
+  if (definition && typeof definition.check === 'function') return definition;
+  if (definition === null || typeof definition !== 'object' || Array.isArray(definition)
+    || definition.fields === null || typeof definition.fields !== 'object' || Array.isArray(definition.fields)) {
+    throw new Error('无效的 schema: 需要 { fields: { 字段名: 规格 } } 格式的对象');
+  }
+
+  const fields = Object.entries(definition.fields).map(([name, spec]) => compileField(name, spec));
+
+  const check = (item) => {
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+      return { reason: { code: 'NOT_OBJECT', message: '记录不是对象' } };
+    }
+
+    let record = item;
+    const set = (name, value) => {
+      if (record === item) record = { ...item };
+      record[name] = value;
+    };
+
+    // 先处理别名、默认值并检查必需字段，再逐个校验字段值
+    for (const field of fields) {
+      let value = record[field.name];
+      if (isMissing(value)) {
+        const alias = field.from.find(source => !isMissing(record[source]));
+        if (alias !== undefined) {
+          value = record[alias];
+          set(field.name, value);
+        }
+      }
+      if (field.coerce && !isMissing(value)) {
+        const coerced = coerceValue(value, field.type);
+        if (coerced !== value) {
+          value = coerced;
+          set(field.name, value);
+        }
+      }
+      if (isMissing(value) && field.hasDefault) {
+        set(field.name, field.default);
+      } else if (isMissing(value) && field.required) {
+        return { record, reason: { code: 'MISSING_FIELD', field: field.name, message: `缺少字段 ${field.name}` } };
+      }
+    }
+
+    for (const field of fields) {
+      const value = record[field.name];
+      if (isMissing(value)) continue;
+      const reason = checkValue(field, value, record);
+      if (reason) return { record, reason };
+    }
+
+    return { record };
+  };
+
+  return { fields, check, definition };
+};
+
+// schema 能否按定义在工作线程中重新编译为相同的校验规则：
+// 函数校验器无法复制到线程，registerValidator 注册的校验器只存在于注册它的线程，只允许内置的具名校验器
+const isPortableSchema = (schema) => {
+  const builtins = [...BUILTIN_VALIDATORS.values()];
+  return compileSchema(schema).fields.every(field => field.validate === null || builtins.includes(field.validate));
+};
+
+// 默认 schema：与示例数据（demo.json）的记录结构一致
+const DEFAULT_SCHEMA_DEFINITION = {
+  fields: {
+    id: { required: true },
+    region: { required: true },
+    resource: { required: true },
+    year: { type: 'number', required: true },
+    value: { type: 'number', required: true },
+    weight: { type: 'number', required: true }
+  }
+};
+
+const DEFAULT_SCHEMA = compileSchema(DEFAULT_SCHEMA_DEFINITION);
+
+export {
+  FIELD_TYPES,
+  compileSchema,
+  registerValidator,
+  isPortableSchema,
+  DEFAULT_SCHEMA,
+  DEFAULT_SCHEMA_DEFINITION
+};
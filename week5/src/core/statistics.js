@@ -1,9 +1,30 @@
+import {
+  createAccumulator,
+  accumulate,
+  mergeAccumulators,
+  accumulatorSum,
+  accumulatorMean,
+  accumulatorWeightedSum,
+  accumulatorWeightedMean,
+  sketchQuantile,
+  DEFAULT_ERROR_BOUND
+} from './accumulators.js';
+import { resolveArithmetic } from './arithmetic.js';
+import { compileSchema, DEFAULT_SCHEMA } from './schema.js';
+import { compileFilter } from './filter.js';
+import { createProgress } from './progress.js';
+import { normalizeTrendOptions, analyzeTrendGroups } from './trends.js';
+import { normalizeRankingOptions, analyzeRanking } from './ranking.js';
+import { normalizeOutlierOptions, detectOutliers } from './outliers.js';
+import { normalizeCorrelationOptions, analyzeCorrelation } from './correlation.js';
 
-
+// 舍入工具，用于输出格式化阶段；统计计算本身不做舍入，求和精度由精度模式决定（见 arithmetic.js）
 const precisionHelper = {
+  // 按十进制保留 precision 位小数（toFixed 不经过 num × 10^precision，大数不会丢失精度）
+  // |num| ≥ 1e21 时双精度已没有小数部分，原样返回
   round: (num, precision = 6) => {
     if (typeof num !== 'number' || !Number.isFinite(num)) return 0;
-    return Math.round(num * Math.pow(10, precision)) / Math.pow(10, precision);
+    return Math.abs(num) >= 1e21 ? num : Number(num.toFixed(precision));
   },
   
   add: (a, b) => {
@@ -18,6 +39,19 @@ const precisionHelper = {
   }
 };
 
+// 递归舍入结果中的全部有限数值，在输出前调用一次
+const roundResults = (value, precision = 6) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? precisionHelper.round(value, precision) : value;
+  if (Array.isArray(value)) return value.map(item => roundResults(item, precision));
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, roundResults(item, precision)]));
+  }
+  return value;
+};
+
+// 除数为 0 时返回 0
+const safeDivide = (a, b) => b === 0 ? 0 : a / b;
+
 const fp = {};
 
 fp.curry = (fn) => (...args) => 
@@ -46,68 +80,355 @@ fp.sortBy = fp.curry((keyFn, array) => [...array].sort((a, b) => {
   return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
 }));
 
+// 组合数值和权重，丢弃非有限值和负权重
+const toWeightedPairs = (values, weights) => {
+  const pairs = [];
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    const weight = weights[i];
+    if (Number.isFinite(value) && Number.isFinite(weight) && weight >= 0) {
+      pairs.push([value, weight]);
+    }
+  }
+  return pairs;
+};
+
+const finiteValues = (values) => values.filter(Number.isFinite);
+
+// 过滤非有限值并升序排序
+const sortFinite = (values) => finiteValues(values).sort((a, b) => a - b);
+
+// 已排序数组的中位数
+const medianOfSorted = (sorted) => {
+  if (sorted.length === 0) return 0;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+};
+
+// 已排序数组的百分位数，位置 (n - 1) × p / 100 处线性插值
+const percentileOfSorted = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const rank = (Math.min(Math.max(p, 0), 100) / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// 默认精度模式（Neumaier 补偿求和）
+const defaultArithmetic = resolveArithmetic();
+
+// k 阶中心矩 Σ(x - μ)^k / n（调用方保证均为有限值）
+const centralMoment = (finite, k, arithmetic = defaultArithmetic) => {
+  if (finite.length === 0) return 0;
+  if (k === 2) return arithmetic.squaredDeviations(finite) / finite.length;
+  const mean = arithmetic.mean(finite);
+  return arithmetic.sum(finite.map(val => Math.pow(val - mean, k))) / finite.length;
+};
+
 // 统计计算函数
+// 最后一个参数 arithmetic 为精度模式的运算实现（见 arithmetic.js），默认补偿求和
 const statsCalculators = {
   // 计算总和
-  sum: (values) => values.reduce((acc, val) => precisionHelper.add(acc, val), 0),
+  sum: (values, arithmetic = defaultArithmetic) => arithmetic.sum(finiteValues(values)),
   
   // 计算平均值
-  mean: (values) => {
+  mean: (values, arithmetic = defaultArithmetic) => {
     if (values.length === 0) return 0;
-    return precisionHelper.divide(statsCalculators.sum(values), values.length);
+    return arithmetic.mean(finiteValues(values), values.length);
   },
   
   // 计算最大值
-  max: (values) => values.length === 0 ? 0 : Math.max(...values.filter(Number.isFinite)),
+  max: (values) => {
+    const finite = finiteValues(values);
+    return finite.length === 0 ? 0 : Math.max(...finite);
+  },
   
   // 计算最小值
-  min: (values) => values.length === 0 ? 0 : Math.min(...values.filter(Number.isFinite)),
+  min: (values) => {
+    const finite = finiteValues(values);
+    return finite.length === 0 ? 0 : Math.min(...finite);
+  },
   
   // 计算中位数
   median: (values) => {
     if (values.length === 0) return 0;
-    const sorted = [...values].filter(Number.isFinite).sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    return sorted.length % 2 === 0 
-      ? precisionHelper.divide(precisionHelper.add(sorted[mid - 1], sorted[mid]), 2)
-      : sorted[mid];
+    return medianOfSorted(sortFinite(values));
+  },
+  
+  // 总体方差 Σ(x - μ)² / n
+  variance: (values, arithmetic = defaultArithmetic) => centralMoment(finiteValues(values), 2, arithmetic),
+  
+  // 样本方差 Σ(x - x̄)² / (n - 1)
+  sampleVariance: (values, arithmetic = defaultArithmetic) => {
+    const finite = finiteValues(values);
+    if (finite.length < 2) return 0;
+    return arithmetic.squaredDeviations(finite) / (finite.length - 1);
+  },
+  
+  // 总体标准差
+  stddev: (values, arithmetic) => Math.sqrt(statsCalculators.variance(values, arithmetic)),
+  
+  // 样本标准差
+  sampleStddev: (values, arithmetic) => Math.sqrt(statsCalculators.sampleVariance(values, arithmetic)),
+  
+  // 百分位数（线性插值），p 取 0-100
+  percentile: (values, p) => percentileOfSorted(sortFinite(values), p),
+  
+  // 四分位距 P75 - P25
+  iqr: (values) => {
+    const sorted = sortFinite(values);
+    return percentileOfSorted(sorted, 75) - percentileOfSorted(sorted, 25);
+  },
+  
+  // 偏度（总体矩估计）m3 / m2^1.5
+  skewness: (values, arithmetic = defaultArithmetic) => {
+    const finite = finiteValues(values);
+    const m2 = centralMoment(finite, 2, arithmetic);
+    if (m2 === 0) return 0;
+    return centralMoment(finite, 3, arithmetic) / Math.pow(m2, 1.5);
+  },
+  
+  // 超额峰度 m4 / m2² - 3，正态分布为 0
+  kurtosis: (values, arithmetic = defaultArithmetic) => {
+    const finite = finiteValues(values);
+    const m2 = centralMoment(finite, 2, arithmetic);
+    if (m2 === 0) return 0;
+    return centralMoment(finite, 4, arithmetic) / (m2 * m2) - 3;
+  },
+  
+  // 变异系数 总体标准差 / 平均值
+  cv: (values, arithmetic) => safeDivide(
+    Math.sqrt(statsCalculators.variance(values, arithmetic)),
+    statsCalculators.mean(finiteValues(values), arithmetic)
+  ),
+  
+  // 众数，出现次数相同时取最小值
+  mode: (values) => {
+    const counts = new Map();
+    let mode = 0;
+    let maxCount = 0;
+    for (const value of values) {
+      if (!Number.isFinite(value)) continue;
+      const count = (counts.get(value) || 0) + 1;
+      counts.set(value, count);
+      if (count > maxCount || (count === maxCount && value < mode)) {
+        mode = value;
+        maxCount = count;
+      }
+    }
+    return mode;
+  },
+  
+  // 加权总和 Σ(value × weight)
+  weightedSum: (values, weights, arithmetic = defaultArithmetic) => arithmetic.dot(toWeightedPairs(values, weights)),
+  
+  // 加权平均值 Σ(value × weight) / Σweight
+  weightedMean: (values, weights, arithmetic = defaultArithmetic) => arithmetic.weightedMean(toWeightedPairs(values, weights)),
+  
+  // 加权中位数：累计权重首次达到总权重一半时的值，恰好等于一半时取与下一个值的平均
+  weightedMedian: (values, weights) => {
+    const pairs = toWeightedPairs(values, weights)
+      .filter(([, weight]) => weight > 0)
+      .sort((a, b) => a[0] - b[0]);
+    if (pairs.length === 0) return 0;
+    
+    const half = pairs.reduce((acc, [, weight]) => acc + weight, 0) / 2;
+    let cumulative = 0;
+    for (let i = 0; i < pairs.length; i++) {
+      cumulative += pairs[i][1];
+      if (cumulative === half && i + 1 < pairs.length) {
+        return (pairs[i][0] + pairs[i + 1][0]) / 2;
+      }
+      if (cumulative >= half) return pairs[i][0];
+    }
+    return pairs[pairs.length - 1][0];
+  },
+  
+  // 加权方差（总体）Σweight × (value - 加权平均)² / Σweight
+  weightedVariance: (values, weights, arithmetic = defaultArithmetic) => {
+    const pairs = toWeightedPairs(values, weights);
+    const totalWeight = arithmetic.sum(pairs.map(([, weight]) => weight));
+    if (totalWeight === 0) return 0;
+    return arithmetic.weightedSquaredDeviations(pairs) / totalWeight;
+  }
+};
+
+// 统计指标注册表：指标名 -> (上下文) => 值
+// 上下文缓存排序结果，同一组内多个分位类指标只排序一次；arithmetic 为精度模式的运算实现
+const metricCalculators = {
+  sum: ({ values, arithmetic }) => statsCalculators.sum(values, arithmetic),
+  mean: ({ values, arithmetic }) => statsCalculators.mean(values, arithmetic),
+  max: ({ values }) => statsCalculators.max(values),
+  min: ({ values }) => statsCalculators.min(values),
+  median: ({ values, sorted }) => values.length === 0 ? 0 : medianOfSorted(sorted()),
+  count: ({ values }) => values.length,
+  variance: ({ values, arithmetic }) => statsCalculators.variance(values, arithmetic),
+  sampleVariance: ({ values, arithmetic }) => statsCalculators.sampleVariance(values, arithmetic),
+  stddev: ({ values, arithmetic }) => statsCalculators.stddev(values, arithmetic),
+  sampleStddev: ({ values, arithmetic }) => statsCalculators.sampleStddev(values, arithmetic),
+  iqr: ({ sorted }) => percentileOfSorted(sorted(), 75) - percentileOfSorted(sorted(), 25),
+  skewness: ({ values, arithmetic }) => statsCalculators.skewness(values, arithmetic),
+  kurtosis: ({ values, arithmetic }) => statsCalculators.kurtosis(values, arithmetic),
+  cv: ({ values, arithmetic }) => statsCalculators.cv(values, arithmetic),
+  mode: ({ values }) => statsCalculators.mode(values),
+  weightedSum: ({ values, weights, arithmetic }) => statsCalculators.weightedSum(values, weights, arithmetic),
+  weightedMean: ({ values, weights, arithmetic }) => statsCalculators.weightedMean(values, weights, arithmetic),
+  weightedMedian: ({ values, weights }) => statsCalculators.weightedMedian(values, weights),
+  weightedVariance: ({ values, weights, arithmetic }) => statsCalculators.weightedVariance(values, weights, arithmetic)
+};
+
+// 默认指标（保持原有输出）
+const DEFAULT_STATS = [
+  'sum', 'mean', 'max', 'min', 'median', 'count',
+  'weightedSum', 'weightedMean', 'weightedMedian', 'weightedVariance'
+];
+
+// 全部指标
+const ALL_STATS = [
+  ...DEFAULT_STATS,
+  'variance', 'sampleVariance', 'stddev', 'sampleStddev',
+  'p5', 'p25', 'p75', 'p95', 'p99',
+  'iqr', 'skewness', 'kurtosis', 'cv', 'mode'
+];
+
+const PERCENTILE_PATTERN = /^p(\d+(?:\.\d+)?)$/;
+
+// 根据指标名获取计算函数，支持任意百分位 pN (0 ≤ N ≤ 100)
+const resolveMetric = (name) => {
+  if (metricCalculators.hasOwnProperty(name)) return metricCalculators[name];
+  
+  const match = PERCENTILE_PATTERN.exec(name);
+  if (match && Number(match[1]) <= 100) {
+    const p = Number(match[1]);
+    return ({ sorted }) => percentileOfSorted(sorted(), p);
   }
+  
+  throw new Error(`未知的统计指标: ${name}`);
+};
+
+const STATS_PRESETS = { default: DEFAULT_STATS, all: ALL_STATS };
+
+// 规范化指标列表，支持数组或逗号分隔字符串
+// 'default' 和 'all' 分别展开为默认指标和全部指标
+const normalizeStatsList = (stats = DEFAULT_STATS) => {
+  const names = [].concat(stats)
+    .flatMap(name => String(name).split(','))
+    .map(name => name.trim())
+    .filter(Boolean)
+    .flatMap(name => STATS_PRESETS.hasOwnProperty(name) ? STATS_PRESETS[name] : [name]);
+  
+  const unique = [...new Set(names)];
+  unique.forEach(resolveMetric);
+  return unique;
 };
 
 // 创建统计摘要
-const createStatsSummary = (values) => ({
-  sum: statsCalculators.sum(values),
-  mean: statsCalculators.mean(values),
-  max: statsCalculators.max(values),
-  min: statsCalculators.min(values),
-  median: statsCalculators.median(values),
-  count: values.length
+// weights: 可选，与 values 一一对应；未提供时跳过加权指标
+// stats: 要计算的指标列表，默认 DEFAULT_STATS
+// precision: 精度模式 (compensated|decimal)，默认 compensated
+const createStatsSummary = (values, weights, stats = DEFAULT_STATS, precision) => {
+  let sorted = null;
+  const context = {
+    values,
+    weights,
+    arithmetic: resolveArithmetic(precision),
+    sorted: () => sorted || (sorted = sortFinite(values))
+  };
+  
+  const summary = {};
+  for (const name of stats) {
+    if (!weights && name.startsWith('weighted')) continue;
+    summary[name] = resolveMetric(name)(context);
+  }
+  return summary;
+};
+
+// 每种拒绝原因保留的样例数
+const MAX_REJECTION_SAMPLES = 5;
+
+// 创建数据校验报告
+// reasons 以 "原因代码:字段" 为键，记录次数和样例 { index, id }
+const createValidationReport = () => ({
+  total: 0,
+  valid: 0,
+  rejected: 0,
+  reasons: {}
 });
 
-// 数据验证和清洗
-const validateAndCleanData = (data) => {
+const addRejectionSamples = (entry, samples) => {
+  entry.samples = [...entry.samples, ...samples]
+    .sort((a, b) => a.index - b.index)
+    .slice(0, MAX_REJECTION_SAMPLES);
+};
+
+// 合并校验报告（修改并返回 target）
+const mergeValidationReports = (target, source) => {
+  target.total += source.total;
+  target.valid += source.valid;
+  target.rejected += source.rejected;
+  for (const [key, entry] of Object.entries(source.reasons)) {
+    if (!target.reasons[key]) {
+      target.reasons[key] = { ...entry, samples: [...entry.samples] };
+    } else {
+      target.reasons[key].count += entry.count;
+      addRejectionSamples(target.reasons[key], entry.samples);
+    }
+  }
+  return target;
+};
+
+// 数据验证，返回有效记录和校验报告
+// options.offset: 本批数据第一条记录的行号（分块处理时使用）
+// options.report: 累加到已有的校验报告
+// options.onReject(reason, item, index): 每丢弃一条记录回调一次
+// options.schema: 记录校验 schema（定义或 compileSchema 的结果），默认 DEFAULT_SCHEMA
+const validateRecords = (data, options = {}) => {
   if (!Array.isArray(data)) {
     throw new Error('数据必须是数组格式');
   }
   
-  return data.filter(item => {
-    // 检查必需字段
-    const requiredFields = ['id', 'region', 'resource', 'year', 'value', 'weight'];
-    const hasAllFields = requiredFields.every(field => 
-      item.hasOwnProperty(field) && item[field] !== null && item[field] !== undefined
-    );
-    
-    if (!hasAllFields) return false;
+  const { offset = 0, report = createValidationReport(), onReject } = options;
+  const schema = options.schema === undefined ? DEFAULT_SCHEMA : compileSchema(options.schema);
+  const records = [];
+  
+  for (let i = 0; i < data.length; i++) {
+    const item = data[i];
+    const { record, reason } = schema.check(item);
     
-    // 验证数值字段
-    const numericFields = ['year', 'value', 'weight'];
-    const hasValidNumbers = numericFields.every(field => {
-      const val = Number(item[field]);
-      return Number.isFinite(val) && !isNaN(val);
-    });
+    if (!reason) {
+      records.push(record);
+      continue;
+    }
     
-    return hasValidNumbers;
-  });
+    const index = offset + i;
+    const key = reason.field ? `${reason.code}:${reason.field}` : reason.code;
+    if (!report.reasons[key]) {
+      report.reasons[key] = { ...reason, count: 0, samples: [] };
+    }
+    const entry = report.reasons[key];
+    entry.count++;
+    if (entry.samples.length < MAX_REJECTION_SAMPLES) {
+      entry.samples.push({ index, id: record ? record.id : undefined });
+    }
+    if (onReject) onReject(reason, item, index);
+  }
+  
+  report.total += data.length;
+  report.valid += records.length;
+  report.rejected += data.length - records.length;
+  return { records, report };
+};
+
+// 数据验证和清洗，只返回有效记录
+const validateAndCleanData = (data, options) => validateRecords(data, options).records;
+
+// 没有有效记录时的错误，附带校验报告
+const noValidRecordsError = (report) => {
+  const error = new Error('没有有效的数据记录');
+  error.validation = report;
+  return error;
 };
 
 // 性能优化的分组函数
@@ -127,138 +448,842 @@ const performantGroupBy = (data, keyExtractor) => {
   return groups;
 };
 
-// 主要统计函数
-export const calculateStatistics = (rawData) => {
-  console.time('数据清洗');
-  const cleanData = validateAndCleanData(rawData);
-  console.timeEnd('数据清洗');
+// 字段名转驼峰: sim_name -> SimName
+const toPascalCase = (field) => String(field)
+  .replace(/[_\-\s]+(\w)/g, (_, char) => char.toUpperCase())
+  .replace(/^\w/, char => char.toUpperCase());
+
+// 默认统计维度（与早期固定输出的 byRegion / byRegionAndYear / byResource 保持一致）
+const DEFAULT_DIMENSIONS = [['region'], ['region', 'year'], ['resource']];
+
+// 规范化维度规格
+// 支持 'region'、'resource,year'、['resource', 'year'] 或 { name, fields }
+const normalizeDimension = (spec) => {
+  let fields;
+  if (typeof spec === 'string') {
+    fields = spec.split(',');
+  } else if (Array.isArray(spec)) {
+    fields = spec;
+  } else if (spec && Array.isArray(spec.fields)) {
+    fields = spec.fields;
+  } else {
+    throw new Error(`无效的维度规格: ${JSON.stringify(spec)}`);
+  }
   
-  if (cleanData.length === 0) {
-    throw new Error('没有有效的数据记录');
+  fields = fields.map(field => String(field).trim()).filter(Boolean);
+  if (fields.length === 0) {
+    throw new Error(`维度规格至少需要一个字段: ${JSON.stringify(spec)}`);
   }
   
-  console.log(`处理 ${cleanData.length} 条有效记录`);
+  const name = (spec && spec.name) || `by${fields.map(toPascalCase).join('And')}`;
+  return { name, fields };
+};
+
+// 多字段分组键
+const groupKey = (item, fields) => fields.map(field => item[field]).join('\u0000');
+
+// 按键路径写入嵌套对象
+// 键来自记录数据，节点使用无原型对象，__proto__ 等键只作为普通属性写入，不会污染 Object.prototype
+const setNested = (target, keys, value) => {
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!node[key]) node[key] = Object.create(null);
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+};
+
+// 按维度分组统计，多字段维度返回嵌套结果: { [字段1的值]: { [字段2的值]: 统计摘要 } }
+// options: { metric, weight, stats, precision } 含义同 calculateStatistics
+const groupStatistics = (data, dimension, options = {}) => {
+  const { metric = 'value', weight = 'weight', stats = DEFAULT_STATS, precision } = options;
+  const { fields } = normalizeDimension(dimension);
+  const groups = performantGroupBy(data, item => groupKey(item, fields));
+  const result = Object.create(null);
   
-  const results = {};
+  for (const items of groups.values()) {
+    setNested(result, fields.map(field => items[0][field]), createStatsSummary(
+      items.map(item => Number(item[metric])),
+      items.map(item => Number(item[weight])),
+      stats,
+      precision
+    ));
+  }
+  
+  return result;
+};
+
+// 将嵌套的分组结果展开为 [[键路径], 统计摘要] 列表
+const flattenGroups = (nested, depth) => {
+  if (depth <= 1) {
+    return Object.entries(nested).map(([key, stats]) => [[key], stats]);
+  }
+  return Object.entries(nested).flatMap(([key, child]) =>
+    flattenGroups(child, depth - 1).map(([keys, stats]) => [[key, ...keys], stats])
+  );
+};
+
+// 过滤结果摘要：表达式、匹配和排除的有效记录数
+const filterSummary = (where, matched, valid) => ({
+  where: typeof where === 'string' ? where : null,
+  matched,
+  excluded: valid - matched
+});
+
+// 趋势分析使用的 (分组字段, 年份) 维度
+const trendDimensions = (trendOptions) => trendOptions
+  ? trendOptions.by.map(field => normalizeDimension([field, trendOptions.yearField]))
+  : [];
+
+// 由各趋势维度的嵌套统计结果生成 trends 部分
+const buildTrends = (trendOptions, nestedGroups) => {
+  const { stat, window, yearField, by } = trendOptions;
+  const trends = { stat, window, yearField };
+  by.forEach((field, i) => {
+    trends[normalizeDimension([field]).name] = analyzeTrendGroups(nestedGroups[i], { stat, window });
+  });
+  return trends;
+};
+
+// 排名分析使用的维度：每个分组字段各有 (字段) 和 (字段, 年份) 两个维度
+const rankingDimensions = (rankingOptions) => rankingOptions
+  ? rankingOptions.fields.flatMap(field => [
+    normalizeDimension([field]),
+    normalizeDimension([field, rankingOptions.yearField])
+  ])
+  : [];
+
+// 由各排名维度的统计结果生成 ranking 部分
+const buildRanking = (rankingOptions, nestedGroups) => {
+  const { by, top, yearField, fields } = rankingOptions;
+  const ranking = { by, top, yearField };
+  fields.forEach((field, i) => {
+    ranking[normalizeDimension([field]).name] = analyzeRanking(nestedGroups[2 * i], nestedGroups[2 * i + 1], { by, top });
+  });
+  return ranking;
+};
+
+// 分组键比较：均为数值时按数值比较，否则按码点比较（与运行环境的语言设置无关）
+const compareKeys = (a, b) => {
+  const numA = Number(a);
+  const numB = Number(b);
+  if (a !== '' && b !== '' && Number.isFinite(numA) && Number.isFinite(numB)) {
+    return numA - numB;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// 键路径逐级比较
+const compareKeyPaths = (a, b) => {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    const diff = compareKeys(String(a[i]), String(b[i]));
+    if (diff !== 0) return diff;
+  }
+  return a.length - b.length;
+};
+
+// 交叉表默认选项
+// rows / columns: 行、列字段；stat: 单元格的统计指标
+// totals: 是否计算行合计、列合计和总计；subtotals: 多字段行维度是否在每个上级分组后插入小计行
+const DEFAULT_PIVOT_OPTIONS = {
+  rows: ['region'],
+  columns: ['resource'],
+  stat: 'sum',
+  totals: true,
+  subtotals: false
+};
+
+const splitFields = (fields) => [].concat(fields)
+  .flatMap(field => String(field).split(','))
+  .map(field => field.trim())
+  .filter(Boolean);
+
+// 规范化交叉表选项：true 使用默认值，对象与默认值合并，假值表示不生成交叉表
+const normalizePivotOptions = (pivot) => {
+  if (!pivot) return null;
+  const overrides = pivot === true ? {} : pivot;
+  const options = { ...DEFAULT_PIVOT_OPTIONS };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) options[key] = value;
+  }
+  const rows = splitFields(options.rows);
+  const columns = splitFields(options.columns);
+  
+  if (rows.length === 0 || columns.length === 0) {
+    throw new Error('交叉表至少需要一个行字段和一个列字段');
+  }
+  const shared = rows.find(field => columns.includes(field));
+  if (shared) {
+    throw new Error(`交叉表的行和列不能使用同一字段: ${shared}`);
+  }
+  return { rows, columns, stat: options.stat, totals: Boolean(options.totals), subtotals: Boolean(options.subtotals) };
+};
+
+// 交叉表需要分别统计的字段组合
+// 合计和小计直接按对应字段组合从原始记录计算，因此 mean、median 等指标的合计同样准确
+const pivotGroupings = (pivotOptions) => {
+  const { rows, columns, totals, subtotals } = pivotOptions;
+  // 第一项为单元格本身（全部行字段 + 列字段）
+  const levels = subtotals ? rows.map((_, i) => rows.length - i) : [rows.length];
+  const groupings = levels.map(level => [...rows.slice(0, level), ...columns]);
+  if (totals || subtotals) {
+    groupings.push(...levels.map(level => rows.slice(0, level)));
+  }
+  if (totals) {
+    groupings.push(columns, []);
+  }
+  return groupings.map(fields => ({ fields }));
+};
+
+// 由各字段组合的统计值生成交叉表
+// tables 与 pivotGroupings 一一对应，每项为 Map(分组键 -> { keys, value })
+const buildPivot = (pivotOptions, tables) => {
+  const { rows, columns, stat, totals, subtotals } = pivotOptions;
+  const groupings = pivotGroupings(pivotOptions);
+  const lookup = (fields, keys) => {
+    const i = groupings.findIndex(grouping => grouping.fields.join('\u0000') === fields.join('\u0000'));
+    const entry = tables[i].get(keys.join('\u0000'));
+    return entry ? entry.value : null;
+  };
   
-  // 1. 按 region 分组统计
-  console.time('按region分组统计');
-  const regionGroups = performantGroupBy(cleanData, item => item.region);
-  results.byRegion = {};
+  const cellEntries = [...tables[0].values()];
+  const uniquePaths = (paths) => [...new Map(paths.map(keys => [keys.join('\u0000'), keys])).values()]
+    .sort(compareKeyPaths);
+  const rowKeys = uniquePaths(cellEntries.map(({ keys }) => keys.slice(0, rows.length)));
+  const columnKeys = uniquePaths(cellEntries.map(({ keys }) => keys.slice(rows.length)));
   
-  for (const [region, items] of regionGroups) {
-    const values = items.map(item => Number(item.value));
-    results.byRegion[region] = createStatsSummary(values);
+  const pivotRow = (keys, subtotal) => {
+    const rowFields = rows.slice(0, keys.length);
+    const row = { keys, cells: columnKeys.map(column => lookup([...rowFields, ...columns], [...keys, ...column])) };
+    if (subtotal) row.subtotal = true;
+    if (totals || subtotal) row.total = lookup(rowFields, keys);
+    return row;
+  };
+  
+  const pivotRows = [];
+  rowKeys.forEach((keys, i) => {
+    pivotRows.push(pivotRow(keys, false));
+    if (!subtotals) return;
+    // 下一行的上级分组变化时，从内到外依次插入小计行
+    const next = rowKeys[i + 1];
+    for (let level = rows.length - 1; level >= 1; level--) {
+      if (!next || compareKeyPaths(keys.slice(0, level), next.slice(0, level)) !== 0) {
+        pivotRows.push(pivotRow(keys.slice(0, level), true));
+      }
+    }
+  });
+  
+  return {
+    rowFields: rows,
+    columnFields: columns,
+    stat,
+    columns: columnKeys,
+    rows: pivotRows,
+    totals: totals
+      ? { cells: columnKeys.map(column => lookup(columns, column)), total: lookup([], []) }
+      : null
+  };
+};
+
+// 交叉表（透视表）：行字段 × 列字段，单元格为指定统计指标
+// data 为已校验的记录；options 为 normalizePivotOptions 接受的选项，另有 metric、weight、precision
+// 返回 { rowFields, columnFields, stat, columns: [列键路径], rows: [{ keys, cells, total, subtotal }], totals }
+// 没有记录的单元格为 null
+const pivotTable = (data, options = {}) => {
+  const { metric = 'value', weight = 'weight', precision, ...rest } = options;
+  const pivotOptions = normalizePivotOptions(rest);
+  resolveMetric(pivotOptions.stat);
+  
+  return buildPivot(pivotOptions, pivotGroupings(pivotOptions).map(({ fields }) => {
+    const table = new Map();
+    for (const [key, items] of performantGroupBy(data, item => groupKey(item, fields))) {
+      table.set(key, {
+        keys: fields.map(field => items[0][field]),
+        value: createStatsSummary(
+          items.map(item => Number(item[metric])),
+          items.map(item => Number(item[weight])),
+          [pivotOptions.stat],
+          precision
+        )[pivotOptions.stat]
+      });
+    }
+    return table;
+  }));
+};
+
+// 分箱方法
+// width: 固定宽度（需 width）；count: 固定箱数；fd: Freedman–Diaconis 规则，箱宽 2 × IQR / ∛n；
+// quantile: 等频分箱，边界取分位数；log: 对数等距分箱，只统计正数
+const BIN_METHODS = ['width', 'count', 'fd', 'quantile', 'log'];
+
+// 分箱数上限，避免箱宽过小时生成过多箱
+const MAX_BINS = 200;
+
+// 直方图默认选项
+// method / bins / width: 分箱方法、箱数和箱宽；fields: 做直方图的字段，默认为统计字段和权重字段；
+// by: 另外按这些字段分组做直方图
+const DEFAULT_HISTOGRAM_OPTIONS = {
+  method: 'count',
+  bins: 10,
+  width: undefined,
+  fields: undefined,
+  by: ['region', 'resource']
+};
+
+// 规范化直方图选项：true、方法名或对象，假值表示不做直方图
+const normalizeHistogramOptions = (histogram) => {
+  if (!histogram) return null;
+  const overrides = histogram === true ? {} : typeof histogram === 'string' ? { method: histogram } : histogram;
+  const options = { ...DEFAULT_HISTOGRAM_OPTIONS };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) options[key] = value;
   }
-  console.timeEnd('按region分组统计');
   
-  // 2. 按 region 和年份分组统计
-  console.time('按region和年份分组统计');
-  const regionYearGroups = performantGroupBy(
-    cleanData, 
-    item => `${item.region}|${item.year}`
-  );
-  results.byRegionAndYear = {};
+  if (!BIN_METHODS.includes(options.method)) {
+    throw new Error(`未知的分箱方法: ${options.method}，可选 ${BIN_METHODS.join('|')}`);
+  }
+  const bins = Number(options.bins);
+  if (!Number.isInteger(bins) || bins < 1 || bins > MAX_BINS) {
+    throw new Error(`无效的分箱数: ${options.bins}，应为 1-${MAX_BINS} 的整数`);
+  }
+  const width = options.width === undefined ? undefined : Number(options.width);
+  if (options.method === 'width' && !(width > 0)) {
+    throw new Error('固定宽度分箱需要大于 0 的 width');
+  }
+  return {
+    ...options,
+    bins,
+    width,
+    fields: options.fields === undefined ? undefined : splitFields(options.fields),
+    by: splitFields(options.by)
+  };
+};
+
+// 在 [min, max] 上等距切分的边界
+const evenEdges = (min, max, bins) => Array.from({ length: bins + 1 }, (_, i) =>
+  i === bins ? max : min + (max - min) * i / bins
+);
+
+// 计算分箱边界（升序、不重复），sorted 为升序排列的有限值
+const binEdges = (sorted, options) => {
+  const { method, bins } = options;
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) return [min, max];
   
-  for (const [key, items] of regionYearGroups) {
-    const [region, year] = key.split('|');
-    if (!results.byRegionAndYear[region]) {
-      results.byRegionAndYear[region] = {};
+  switch (method) {
+    case 'width': {
+      const start = Math.floor(min / options.width) * options.width;
+      const count = Math.min(MAX_BINS, Math.max(1, Math.ceil((max - start) / options.width)));
+      const edges = Array.from({ length: count + 1 }, (_, i) => start + i * options.width);
+      // 达到上限时最后一箱延伸到最大值
+      if (edges[count] < max) edges[count] = max;
+      return edges;
     }
-    const values = items.map(item => Number(item.value));
-    results.byRegionAndYear[region][year] = createStatsSummary(values);
+    case 'fd': {
+      const iqr = percentileOfSorted(sorted, 75) - percentileOfSorted(sorted, 25);
+      const width = 2 * iqr / Math.cbrt(sorted.length);
+      // IQR 为 0 时退回固定箱数
+      const count = width > 0 ? Math.min(MAX_BINS, Math.max(1, Math.ceil((max - min) / width))) : bins;
+      return evenEdges(min, max, count);
+    }
+    case 'quantile': {
+      const edges = Array.from({ length: bins + 1 }, (_, i) => percentileOfSorted(sorted, i / bins * 100));
+      edges[0] = min;
+      edges[bins] = max;
+      return [...new Set(edges)];
+    }
+    case 'log': {
+      const logMin = Math.log10(min);
+      const logMax = Math.log10(max);
+      return evenEdges(logMin, logMax, bins).map((edge, i) => i === 0 ? min : i === bins ? max : Math.pow(10, edge));
+    }
+    case 'count':
+    default:
+      return evenEdges(min, max, bins);
+  }
+};
+
+// 分箱统计
+// values: 数值数组（非有限值忽略）；options: normalizeHistogramOptions 接受的选项
+// 返回 { edges, counts, total, excluded }：counts[i] 为落在 [edges[i], edges[i + 1]) 的个数，最后一箱含右边界；
+// excluded 为未参与分箱的值的个数（对数分箱时的非正数）
+const binValues = (values, options = {}) => {
+  const binOptions = normalizeHistogramOptions(options) || normalizeHistogramOptions(true);
+  const finite = sortFinite(values);
+  const sorted = binOptions.method === 'log' ? finite.filter(value => value > 0) : finite;
+  const excluded = finite.length - sorted.length;
+  if (sorted.length === 0) {
+    return { edges: [], counts: [], total: 0, excluded };
+  }
+  
+  const edges = binEdges(sorted, binOptions);
+  const counts = new Array(Math.max(1, edges.length - 1)).fill(0);
+  // 值已排序，按顺序推进箱号即可
+  let bin = 0;
+  for (const value of sorted) {
+    while (bin < counts.length - 1 && value >= edges[bin + 1]) bin++;
+    counts[bin]++;
+  }
+  
+  return {
+    edges,
+    counts,
+    total: sorted.length,
+    excluded
+  };
+};
+
+// 直方图：各字段整体以及按分组的分箱结果
+// data 为已校验的记录；options 为 normalizeHistogramOptions 接受的选项
+// 返回 { method, fields, [字段]: { overall, byRegion: { 分组: 分箱结果 }, ... } }
+const histogram = (data, options = {}) => {
+  const histogramOptions = normalizeHistogramOptions(options) || normalizeHistogramOptions(true);
+  const fields = histogramOptions.fields || ['value', 'weight'];
+  const result = { method: histogramOptions.method, fields };
+  
+  for (const field of fields) {
+    const values = (items) => items.map(item => Number(item[field]));
+    const entry = { overall: binValues(values(data), histogramOptions) };
+    for (const by of histogramOptions.by) {
+      const groups = Object.create(null);
+      for (const [key, items] of performantGroupBy(data, item => item[by])) {
+        groups[key] = binValues(values(items), histogramOptions);
+      }
+      entry[normalizeDimension([by]).name] = groups;
+    }
+    result[field] = entry;
+  }
+  return result;
+};
+
+// 主要统计函数
+// options.dimensions: 维度规格列表，默认 DEFAULT_DIMENSIONS
+// options.metric: 统计的数值字段，默认 'value'
+// options.weight: 加权统计使用的权重字段，默认 'weight'
+// options.stats: 每组计算的统计指标，默认 DEFAULT_STATS，可传 'all' 或如 ['mean', 'p95']
+// options.precision: 精度模式，compensated（默认，补偿求和）或 decimal（精确小数），见 arithmetic.js；
+//   结果不做舍入，输出时再用 roundResults 舍入
+// options.schema: 记录校验 schema，默认 DEFAULT_SCHEMA（见 schema.js）
+// options.where: 过滤表达式（见 filter.js）或谓词函数，在校验之后、分组之前筛选记录
+// options.trends: true 或 { stat, window, yearField, by }，按地区和资源类型做时间序列分析（见 trends.js）
+// options.pivot: true 或 { rows, columns, stat, totals, subtotals }，生成交叉表（见 pivotTable）
+// options.ranking: true 或 { by, top, yearField, fields }，按地区和资源类型排名并计算占比（见 ranking.js）
+// options.outliers: 方法名 (zscore|mad|iqr)、true 或 { method, threshold, by }，按分组检测异常值（见 outliers.js）
+// options.histogram: 分箱方法名、true 或 { method, bins, width, fields, by }，统计字段和权重字段的分布（见 histogram）
+// options.correlation: true 或 { x, y, fields, by, residuals, sample }，统计字段与权重字段的相关性和回归（见 correlation.js）
+// options.onProgress: 进度回调，依次收到各阶段的开始/结束和记录数事件（见 progress.js）
+export const calculateStatistics = (rawData, options = {}) => {
+  const { dimensions = DEFAULT_DIMENSIONS, metric = 'value', weight = 'weight', schema, where, precision } = options;
+  const normalizedDimensions = dimensions.map(normalizeDimension);
+  const stats = normalizeStatsList(options.stats);
+  resolveArithmetic(precision);
+  const predicate = where === undefined ? null : compileFilter(where);
+  const trendOptions = normalizeTrendOptions(options.trends);
+  if (trendOptions) resolveMetric(trendOptions.stat);
+  const pivotOptions = normalizePivotOptions(options.pivot);
+  if (pivotOptions) resolveMetric(pivotOptions.stat);
+  const rankingOptions = normalizeRankingOptions(options.ranking);
+  if (rankingOptions) resolveMetric(rankingOptions.by);
+  const outlierOptions = normalizeOutlierOptions(options.outliers);
+  const histogramOptions = normalizeHistogramOptions(options.histogram);
+  const correlationOptions = normalizeCorrelationOptions(options.correlation);
+  const analyses = [trendOptions, pivotOptions, rankingOptions, outlierOptions, histogramOptions, correlationOptions];
+  const progress = createProgress(
+    options.onProgress,
+    2 + normalizedDimensions.length + analyses.filter(Boolean).length
+  );
+  
+  progress.start('数据清洗');
+  const { records: cleanData, report } = validateRecords(rawData, { schema });
+  progress.end('数据清洗');
+  
+  if (cleanData.length === 0) {
+    throw noValidRecordsError(report);
   }
-  console.timeEnd('按region和年份分组统计');
   
-  // 3. 按 resource 分组统计
-  console.time('按resource分组统计');
-  const resourceGroups = performantGroupBy(cleanData, item => item.resource);
-  results.byResource = {};
+  console.log(`处理 ${cleanData.length} 条有效记录`);
+  if (report.rejected > 0) {
+    console.log(`丢弃 ${report.rejected} 条无效记录`);
+  }
+  
+  const data = predicate ? fp.filter(predicate, cleanData) : cleanData;
+  if (predicate) {
+    console.log(`过滤后剩余 ${data.length} 条记录`);
+  }
+  progress.records({ processed: report.total, valid: report.valid, rejected: report.rejected, matched: data.length });
   
-  for (const [resource, items] of resourceGroups) {
-    const values = items.map(item => Number(item.value));
-    results.byResource[resource] = createStatsSummary(values);
+  const results = {};
+  
+  // 1. 按各维度分组统计
+  for (const dimension of normalizedDimensions) {
+    const label = `按${dimension.fields.join('和')}分组统计`;
+    progress.start(label);
+    results[dimension.name] = groupStatistics(data, dimension, { metric, weight, stats, precision });
+    progress.end(label);
   }
-  console.timeEnd('按resource分组统计');
   
-  // 4. 全局 weight 统计
-  console.time('全局weight统计');
-  const allWeights = cleanData.map(item => Number(item.weight));
+  // 2. 全局 weight 统计
+  progress.start('全局weight统计');
+  const allWeights = data.map(item => Number(item[weight]));
   results.globalWeight = {
     max: statsCalculators.max(allWeights),
     min: statsCalculators.min(allWeights),
     median: statsCalculators.median(allWeights)
   };
-  console.timeEnd('全局weight统计');
+  progress.end('全局weight统计');
+  
+  // 3. 时间序列分析
+  if (trendOptions) {
+    progress.start('趋势分析');
+    results.trends = buildTrends(trendOptions, trendDimensions(trendOptions).map(dimension =>
+      groupStatistics(data, dimension, { metric, weight, stats: [trendOptions.stat], precision })
+    ));
+    progress.end('趋势分析');
+  }
+  
+  // 4. 交叉表
+  if (pivotOptions) {
+    progress.start('交叉表');
+    results.pivot = pivotTable(data, { ...pivotOptions, metric, weight, precision });
+    progress.end('交叉表');
+  }
+  
+  // 5. 排名与占比
+  if (rankingOptions) {
+    progress.start('排名分析');
+    results.ranking = buildRanking(rankingOptions, rankingDimensions(rankingOptions).map(dimension =>
+      groupStatistics(data, dimension, { metric, weight, stats: [rankingOptions.by], precision })
+    ));
+    progress.end('排名分析');
+  }
+  
+  // 6. 异常值检测
+  if (outlierOptions) {
+    progress.start('异常值检测');
+    results.outliers = detectOutliers(data, { ...outlierOptions, metric });
+    progress.end('异常值检测');
+  }
+  
+  // 7. 分布直方图
+  if (histogramOptions) {
+    progress.start('直方图');
+    results.histogram = histogram(data, { ...histogramOptions, fields: histogramOptions.fields || [metric, weight] });
+    progress.end('直方图');
+  }
+  
+  // 8. 相关性与回归
+  if (correlationOptions) {
+    progress.start('相关性分析');
+    results.correlation = analyzeCorrelation(data, {
+      ...correlationOptions,
+      x: correlationOptions.x || weight,
+      y: correlationOptions.y || metric
+    });
+    progress.end('相关性分析');
+  }
+  
+  results.validation = report;
+  if (predicate) {
+    results.filter = filterSummary(where, data.length, cleanData.length);
+  }
   
   return results;
 };
 
-// 流式处理大数据集
-export const calculateStatisticsStream = async (dataStream, chunkSize = 10000) => {
-  const stats = {
-    byRegion: new Map(),
-    byRegionAndYear: new Map(),
-    byResource: new Map(),
-    weights: []
-  };
+// 流式模式下的统计指标：基于可合并累加器计算
+// mode 和 weightedMedian 需要完整数据，流式模式不支持
+const streamMetricCalculators = {
+  sum: (acc) => accumulatorSum(acc),
+  mean: (acc) => accumulatorMean(acc),
+  max: (acc) => acc.count === 0 ? 0 : acc.max,
+  min: (acc) => acc.count === 0 ? 0 : acc.min,
+  median: (acc) => sketchQuantile(acc.sketch, 0.5),
+  count: (acc) => acc.count,
+  variance: (acc) => acc.count === 0 ? 0 : acc.m2 / acc.count,
+  sampleVariance: (acc) => acc.count < 2 ? 0 : acc.m2 / (acc.count - 1),
+  stddev: (acc) => acc.count === 0 ? 0 : Math.sqrt(acc.m2 / acc.count),
+  sampleStddev: (acc) => acc.count < 2 ? 0 : Math.sqrt(acc.m2 / (acc.count - 1)),
+  iqr: (acc) => sketchQuantile(acc.sketch, 0.75) - sketchQuantile(acc.sketch, 0.25),
+  skewness: (acc) => acc.m2 === 0 ? 0 : Math.sqrt(acc.count) * acc.m3 / Math.pow(acc.m2, 1.5),
+  kurtosis: (acc) => acc.m2 === 0 ? 0 : acc.count * acc.m4 / (acc.m2 * acc.m2) - 3,
+  cv: (acc) => acc.count === 0 ? 0 : safeDivide(Math.sqrt(acc.m2 / acc.count), acc.mean),
+  weightedSum: (acc) => accumulatorWeightedSum(acc),
+  weightedMean: (acc) => accumulatorWeightedMean(acc),
+  weightedVariance: (acc) => acc.weighted.totalWeight === 0 ? 0 : acc.weighted.s / acc.weighted.totalWeight
+};
+
+const STREAM_DEFAULT_STATS = DEFAULT_STATS.filter(name => streamMetricCalculators.hasOwnProperty(name));
+
+const resolveStreamMetric = (name) => {
+  if (streamMetricCalculators.hasOwnProperty(name)) return streamMetricCalculators[name];
   
-  let processedCount = 0;
+  const match = PERCENTILE_PATTERN.exec(name);
+  if (match && Number(match[1]) <= 100) {
+    const q = Number(match[1]) / 100;
+    return (acc) => sketchQuantile(acc.sketch, q);
+  }
   
-  for await (const chunk of dataStream) {
-    const cleanChunk = validateAndCleanData(chunk);
+  resolveMetric(name);
+  throw new Error(`流式模式不支持统计指标: ${name}`);
+};
+
+// 从累加器生成统计摘要
+const summarizeAccumulator = (acc, stats = STREAM_DEFAULT_STATS) => {
+  const summary = {};
+  for (const name of stats) {
+    summary[name] = resolveStreamMetric(name)(acc);
+  }
+  return summary;
+};
+
+// 创建增量聚合状态（仅含 Map 和普通对象，可通过 structuredClone / postMessage 传递）
+// options 同 calculateStatisticsStream
+const createAggregationState = (options = {}) => {
+  const {
+    dimensions = DEFAULT_DIMENSIONS,
+    metric = 'value',
+    weight = 'weight',
+    errorBound = DEFAULT_ERROR_BOUND,
+    precision
+  } = options;
+  resolveArithmetic(precision);
+  const normalizedDimensions = dimensions.map(normalizeDimension);
+  const trends = normalizeTrendOptions(options.trends);
+  if (trends) resolveStreamMetric(trends.stat);
+  const extraDimensions = trendDimensions(trends);
+  const pivot = normalizePivotOptions(options.pivot);
+  if (pivot) resolveStreamMetric(pivot.stat);
+  const pivotDimensions = pivot ? pivotGroupings(pivot) : [];
+  const ranking = normalizeRankingOptions(options.ranking);
+  if (ranking) resolveStreamMetric(ranking.by);
+  // 异常值检测需要先得到每组的分布再逐条判定，无法单遍累加
+  if (normalizeOutlierOptions(options.outliers)) {
+    throw new Error('流式模式不支持异常值检测');
+  }
+  // 分箱边界要在看到全部数据后才能确定
+  if (normalizeHistogramOptions(options.histogram)) {
+    throw new Error('流式模式不支持直方图');
+  }
+  // Spearman 相关系数和回归残差需要全部记录
+  if (normalizeCorrelationOptions(options.correlation)) {
+    throw new Error('流式模式不支持相关性分析');
+  }
+  
+  return {
+    dimensions: normalizedDimensions,
+    metric,
+    weight,
+    errorBound,
+    precision,
+    // 趋势维度只参与累加，不出现在结果的分组中
+    trends,
+    trendDimensions: extraDimensions,
+    // 交叉表和排名分析的维度同样只参与累加
+    pivot,
+    pivotDimensions,
+    ranking,
+    rankingDimensions: rankingDimensions(ranking),
+    groups: [
+      ...normalizedDimensions,
+      ...extraDimensions,
+      ...pivotDimensions,
+      ...rankingDimensions(ranking)
+    ].map(() => new Map()),
+    globalWeight: createAccumulator(errorBound, precision),
+    count: 0,
+    // 谓词函数无法序列化，只记录表达式字符串
+    where: typeof options.where === 'function' ? null : options.where,
+    validation: createValidationReport()
+  };
+};
+
+// 将已清洗的记录累加进聚合状态
+const aggregateRecords = (state, cleanRecords) => {
+  const { groups, metric, weight, errorBound, precision } = state;
+  const dimensions = [...state.dimensions, ...state.trendDimensions, ...state.pivotDimensions, ...state.rankingDimensions];
+  
+  for (const item of cleanRecords) {
+    const value = Number(item[metric]);
+    const itemWeight = Number(item[weight]);
     
-    // 增量更新统计
-    for (const item of cleanChunk) {
-      const value = Number(item.value);
-      const weight = Number(item.weight);
-      
-      // 更新region统计
-      if (!stats.byRegion.has(item.region)) {
-        stats.byRegion.set(item.region, []);
-      }
-      stats.byRegion.get(item.region).push(value);
-      
-      // 更新resource统计
-      if (!stats.byResource.has(item.resource)) {
-        stats.byResource.set(item.resource, []);
+    for (let i = 0; i < dimensions.length; i++) {
+      const { fields } = dimensions[i];
+      const key = groupKey(item, fields);
+      let group = groups[i].get(key);
+      if (!group) {
+        group = { keys: fields.map(field => item[field]), accumulator: createAccumulator(errorBound, precision) };
+        groups[i].set(key, group);
       }
-      stats.byResource.get(item.resource).push(value);
-      
-      // 收集weight
-      stats.weights.push(weight);
-      
-      processedCount++;
+      accumulate(group.accumulator, value, itemWeight);
     }
     
-    // 内存管理：定期清理权重数组
-    if (stats.weights.length > 100000) {
-      stats.weights.sort((a, b) => a - b);
-      const median = statsCalculators.median(stats.weights);
-      stats.weights = [median]; // 保留中位数，清理其他数据
+    accumulate(state.globalWeight, itemWeight);
+    state.count++;
+  }
+  
+  return state;
+};
+
+// 合并两个聚合状态（修改并返回 target），两者须由相同 options 创建
+const mergeAggregationStates = (target, source) => {
+  source.groups.forEach((sourceGroups, i) => {
+    for (const [key, group] of sourceGroups) {
+      const existing = target.groups[i].get(key);
+      if (existing) {
+        mergeAccumulators(existing.accumulator, group.accumulator);
+      } else {
+        target.groups[i].set(key, group);
+      }
     }
+  });
+  mergeAccumulators(target.globalWeight, source.globalWeight);
+  target.count += source.count;
+  mergeValidationReports(target.validation, source.validation);
+  return target;
+};
+
+// 由聚合状态生成与 calculateStatistics 相同结构的结果
+const finalizeAggregation = (state, stats = STREAM_DEFAULT_STATS) => {
+  if (state.count === 0 && state.validation.valid === 0) {
+    throw noValidRecordsError(state.validation);
   }
   
-  // 最终计算结果
-  const results = {
-    byRegion: {},
-    byResource: {},
-    globalWeight: {
-      max: statsCalculators.max(stats.weights),
-      min: statsCalculators.min(stats.weights),
-      median: statsCalculators.median(stats.weights)
+  const summarizeGroups = (groups, groupStats) => {
+    const nested = Object.create(null);
+    for (const { keys, accumulator } of groups.values()) {
+      setNested(nested, keys, summarizeAccumulator(accumulator, groupStats));
     }
+    return nested;
+  };
+  
+  const results = {};
+  state.dimensions.forEach((dimension, i) => {
+    results[dimension.name] = summarizeGroups(state.groups[i], stats);
+  });
+  
+  const { globalWeight } = state;
+  results.globalWeight = {
+    max: streamMetricCalculators.max(globalWeight),
+    min: streamMetricCalculators.min(globalWeight),
+    median: streamMetricCalculators.median(globalWeight)
   };
+  if (state.trends) {
+    results.trends = buildTrends(state.trends, state.trendDimensions.map((_, j) =>
+      summarizeGroups(state.groups[state.dimensions.length + j], [state.trends.stat])
+    ));
+  }
+  if (state.pivot) {
+    const offset = state.dimensions.length + state.trendDimensions.length;
+    results.pivot = buildPivot(state.pivot, state.pivotDimensions.map((_, j) => {
+      const table = new Map();
+      for (const [key, { keys, accumulator }] of state.groups[offset + j]) {
+        table.set(key, { keys, value: resolveStreamMetric(state.pivot.stat)(accumulator) });
+      }
+      return table;
+    }));
+  }
+  if (state.ranking) {
+    const offset = state.dimensions.length + state.trendDimensions.length + state.pivotDimensions.length;
+    results.ranking = buildRanking(state.ranking, state.rankingDimensions.map((_, j) =>
+      summarizeGroups(state.groups[offset + j], [state.ranking.by])
+    ));
+  }
+  results.validation = state.validation;
+  if (state.where !== undefined) {
+    results.filter = filterSummary(state.where, state.count, state.validation.valid);
+  }
   
-  for (const [region, values] of stats.byRegion) {
-    results.byRegion[region] = createStatsSummary(values);
+  return results;
+};
+
+// 选项能否用可合并累加器单遍计算（流式、并行计算的前提）：
+// 统计指标和各项分析都不需要完整数据；选项有误时同样返回 false，交给 calculateStatistics 报告错误
+const supportsStreaming = (options = {}) => {
+  try {
+    const stats = options.stats === undefined ? STREAM_DEFAULT_STATS : normalizeStatsList(options.stats);
+    stats.forEach(resolveStreamMetric);
+    createAggregationState(options);
+    return true;
+  } catch {
+    return false;
   }
+};
+
+// 调用方是否允许用单遍聚合代替精确计算（并行统计、流式上传等）：
+// 单遍聚合的中位数和百分位来自分位数草图，且不支持加权中位数等默认指标，
+// 因此要求 options.approximate 为 true、显式指定 stats，并且选项可单遍累加
+const allowsApproximation = (options = {}) => options.approximate === true
+  && options.stats !== undefined
+  && supportsStreaming(options);
+
+// 流式处理大数据集
+// dataStream: 产出记录数组（数据块）的同步或异步可迭代对象
+// options 同 calculateStatistics（含 onProgress），另有 options.errorBound: 中位数/百分位的秩误差上限，默认 0.01
+// 内存占用只与分组数量和 errorBound 有关，与记录总数无关；
+// 每组记录数不超过草图容量（约 2.4 / errorBound）时分位数为精确值
+export const calculateStatisticsStream = async (dataStream, options = {}) => {
+  const stats = options.stats === undefined ? STREAM_DEFAULT_STATS : normalizeStatsList(options.stats);
+  stats.forEach(resolveStreamMetric);
   
-  for (const [resource, values] of stats.byResource) {
-    results.byResource[resource] = createStatsSummary(values);
+  const schema = options.schema === undefined ? undefined : compileSchema(options.schema);
+  const predicate = options.where === undefined ? null : compileFilter(options.where);
+  const state = createAggregationState(options);
+  // 记录总数未知，不报告完成百分比
+  const progress = createProgress(options.onProgress);
+  
+  progress.start('流式统计');
+  for await (const chunk of dataStream) {
+    const { records } = validateRecords(chunk, {
+      offset: state.validation.total,
+      report: state.validation,
+      schema
+    });
+    aggregateRecords(state, predicate ? fp.filter(predicate, records) : records);
+    const { total, valid, rejected } = state.validation;
+    progress.records({ processed: total, valid, rejected, matched: state.count });
   }
+  progress.end('流式统计');
   
+  progress.start('汇总统计结果');
+  const results = finalizeAggregation(state, stats);
+  progress.end('汇总统计结果');
   return results;
 };
 
-export { fp, statsCalculators, precisionHelper, validateAndCleanData };
+export {
+  fp,
+  statsCalculators,
+  precisionHelper,
+  roundResults,
+  validateAndCleanData,
+  validateRecords,
+  createValidationReport,
+  mergeValidationReports,
+  performantGroupBy,
+  createStatsSummary,
+  normalizeDimension,
+  groupStatistics,
+  compareKeys,
+  normalizePivotOptions,
+  pivotTable,
+  DEFAULT_PIVOT_OPTIONS,
+  BIN_METHODS,
+  normalizeHistogramOptions,
+  binValues,
+  histogram,
+  flattenGroups,
+  normalizeStatsList,
+  DEFAULT_DIMENSIONS,
+  DEFAULT_STATS,
+  ALL_STATS,
+  STREAM_DEFAULT_STATS,
+  resolveStreamMetric,
+  supportsStreaming,
+  allowsApproximation,
+  summarizeAccumulator,
+  createAggregationState,
+  aggregateRecords,
+  mergeAggregationStates,
+  finalizeAggregation
+};
@@ -0,0 +1,132 @@
+/**
+ * 时间序列分析
+ * 基于按 (分组字段, 年份) 统计的结果，计算每个分组的同比变化、复合年增长率（CAGR）、
+ * 移动平均、线性趋势（斜率、截距、R²）以及首末年份之间缺失的年份
+ */
+
+// 趋势分析默认选项
+// stat: 每年取值使用的统计指标；window: 移动平均窗口（数据点个数）
+// yearField: 年份字段；by: 分别做趋势分析的分组字段
+const DEFAULT_TREND_OPTIONS = {
+  stat: 'sum',
+  window: 3,
+  yearField: 'year',
+  by: ['region', 'resource']
+};
+
+// 规范化趋势选项：true 使用默认值，对象与默认值合并，假值表示不做趋势分析
+const normalizeTrendOptions = (trends) => {
+  if (!trends) return null;
+  const overrides = trends === true ? {} : trends;
+  const options = { ...DEFAULT_TREND_OPTIONS };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) options[key] = value;
+  }
+  const by = [].concat(options.by).flatMap(field => String(field).split(',')).map(field => field.trim()).filter(Boolean);
+
+  if (!Number.isInteger(options.window) || options.window < 1) {
+    throw new Error(`无效的移动平均窗口: ${options.window}`);
+  }
+  if (by.length === 0) {
+    throw new Error('趋势分析至少需要一个分组字段');
+  }
+  return { ...options, by };
+};
+
+// 最小二乘线性回归，点数不足或 x 全部相同时返回 null
+// y 全部相同时直线完全拟合，R² 记为 1
+const linearRegression = (xs, ys) => {
+  const n = xs.length;
+  if (n < 2) return null;
+
+  const meanX = xs.reduce((acc, x) => acc + x, 0) / n;
+  const meanY = ys.reduce((acc, y) => acc + y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    sxx += dx * dx;
+    sxy += dx * dy;
+    syy += dy * dy;
+  }
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy)
+  };
+};
+
+// 复合年增长率 (末值 / 首值)^(1 / 年数) - 1，首值非正或末值为负时无意义
+const compoundAnnualGrowthRate = (first, last) => {
+  const years = last.year - first.year;
+  if (years <= 0 || first.value <= 0 || last.value < 0) return null;
+  return Math.pow(last.value / first.value, 1 / years) - 1;
+};
+
+// 分析单个序列，points 为 [[年份, 值], ...]，非数值的年份或值会被忽略
+// 同比变化只在上一年有数据时计算；移动平均按已有数据点计算，不足 window 个点时为 null
+const analyzeSeries = (points, options = {}) => {
+  const { window = DEFAULT_TREND_OPTIONS.window } = options;
+  const sorted = points
+    .map(([year, value]) => [Number(year), value])
+    .filter(([year, value]) => Number.isFinite(year) && Number.isFinite(value))
+    .sort((a, b) => a[0] - b[0]);
+  if (sorted.length === 0) return null;
+
+  const valueByYear = new Map(sorted);
+  const series = sorted.map(([year, value], i) => {
+    const previous = valueByYear.get(year - 1);
+    const windowValues = sorted.slice(Math.max(0, i - window + 1), i + 1).map(([, v]) => v);
+    return {
+      year,
+      value,
+      change: previous === undefined ? null : value - previous,
+      changePercent: previous === undefined || previous === 0
+        ? null
+        : (value - previous) / Math.abs(previous) * 100,
+      movingAverage: windowValues.length < window
+        ? null
+        : windowValues.reduce((acc, v) => acc + v, 0) / window
+    };
+  });
+
+  const first = series[0];
+  const last = series[series.length - 1];
+  const gaps = [];
+  for (let year = first.year + 1; year < last.year; year++) {
+    if (!valueByYear.has(year)) gaps.push(year);
+  }
+
+  return {
+    from: first.year,
+    to: last.year,
+    points: series,
+    cagr: compoundAnnualGrowthRate(first, last),
+    trend: linearRegression(sorted.map(([year]) => year), sorted.map(([, value]) => value)),
+    gaps
+  };
+};
+
+// 分析按 (分组, 年份) 嵌套的统计结果，返回 { 分组: 序列分析 }
+const analyzeTrendGroups = (nested, options = {}) => {
+  const { stat = DEFAULT_TREND_OPTIONS.stat } = options;
+  const trends = Object.create(null);
+  for (const [group, years] of Object.entries(nested)) {
+    const series = analyzeSeries(Object.entries(years).map(([year, stats]) => [year, stats[stat]]), options);
+    if (series) trends[group] = series;
+  }
+  return trends;
+};
+
+export {
+  DEFAULT_TREND_OPTIONS,
+  normalizeTrendOptions,
+  linearRegression,
+  analyzeSeries,
+  analyzeTrendGroups
+};
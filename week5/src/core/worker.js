@@ -0,0 +1,26 @@
+/**
+ * 统计工作线程（见 parallel.js）
+ * workerData 为 { task, options, records }：
+ * - task 为 'aggregate' 时 records 是已清洗的记录分片，options 为聚合选项，返回分片的聚合状态
+ * - task 为 'calculate' 时 records 是原始记录，在线程内用 calculateStatistics 完整统计，
+ *   计算期间把进度事件发回主线程
+ * 向主线程发送 { type: 'progress', event }，最后发送 { type: 'result', value } 或
+ * { type: 'error', message, validation } 后退出（错误对象跨线程复制时会丢失校验报告）
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { calculateStatistics, createAggregationState, aggregateRecords } from './statistics.js';
+
+const { task, options, records } = workerData;
+
+try {
+  const value = task === 'calculate'
+    ? calculateStatistics(records, {
+      ...options,
+      onProgress: (event) => parentPort.postMessage({ type: 'progress', event })
+    })
+    : aggregateRecords(createAggregationState(options), records);
+  parentPort.postMessage({ type: 'result', value });
+} catch (error) {
+  parentPort.postMessage({ type: 'error', message: error.message, validation: error.validation });
+}
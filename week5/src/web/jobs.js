@@ -0,0 +1,176 @@
+/**
+ * 异步计算任务
+ * 任务进入有界队列，按并发上限依次执行；完成、失败或取消的任务保留 ttl 毫秒后清理
+ * 状态: queued → running → completed | failed，排队或运行中可取消为 cancelled
+ */
+
+import { randomUUID } from 'crypto';
+
+const DEFAULT_JOB_OPTIONS = {
+  // 同时运行的任务数
+  concurrency: 2,
+  // 排队任务数上限，队列已满时拒绝新任务
+  maxQueued: 20,
+  // 结束的任务（含结果）保留时长
+  ttl: 10 * 60 * 1000
+};
+
+const isFinished = (job) => job.finishedAt !== null;
+
+// 创建任务队列，options 同 DEFAULT_JOB_OPTIONS（值为 undefined 的项使用默认值）
+// run(input, { signal, onProgress }): 执行任务，返回结果（可为 Promise）；
+// signal 在任务被取消时中止，onProgress 接收计算进度事件（见 core/progress.js），更新任务的进度、阶段和记录数；
+// 计算应在工作线程中进行（见 core/parallel.js），在主线程同步计算时，运行期间无法查询状态或取消任务
+// 订阅者依次收到进度事件（附带任务的 progress）和 { type: 'status', ...任务状态 } 状态变化事件
+const createJobQueue = (run, options = {}) => {
+  const settings = { ...DEFAULT_JOB_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) settings[key] = value;
+  }
+  const { concurrency, maxQueued, ttl } = settings;
+  const jobs = new Map();
+  const queue = [];
+  let running = 0;
+
+  const notify = (job, event) => {
+    for (const listener of job.listeners) listener(event);
+  };
+
+  const notifyStatus = (job) => notify(job, { type: 'status', ...describe(job) });
+
+  const finish = (job, status, fields = {}) => {
+    Object.assign(job, { status, finishedAt: new Date(), ...fields });
+    // 输入数据可能很大，结束后不再保留
+    job.input = null;
+    notifyStatus(job);
+    job.listeners.clear();
+  };
+
+  // 记录计算进度事件：百分比只增不减，阶段开始时更新当前阶段
+  const report = (job, event) => {
+    if (job.status !== 'running') return;
+    if (event.percent !== null && event.percent !== undefined) {
+      job.progress = Math.min(100, Math.max(job.progress, event.percent));
+    }
+    if (event.type === 'stage' && event.status === 'start') job.stage = event.stage;
+    if (event.type === 'records') {
+      const { processed, valid, rejected, matched } = event;
+      job.records = { processed, valid, rejected, matched };
+    }
+    notify(job, { ...event, progress: job.progress });
+  };
+
+  const start = async (job) => {
+    running++;
+    Object.assign(job, { status: 'running', startedAt: new Date() });
+    notifyStatus(job);
+    try {
+      const result = await run(job.input, {
+        signal: job.controller.signal,
+        onProgress: (event) => report(job, event)
+      });
+      // 取消后才算完的任务丢弃结果
+      if (job.status === 'running') finish(job, 'completed', { progress: 100, result });
+    } catch (error) {
+      if (job.status === 'running') finish(job, 'failed', { error });
+    } finally {
+      running--;
+      schedule();
+    }
+  };
+
+  // 在下一轮事件循环启动任务，避免同步计算阻塞提交任务的请求
+  const schedule = () => {
+    while (running < concurrency && queue.length > 0) {
+      const job = queue.shift();
+      // 先占用并发名额，启动前被取消的任务释放名额
+      running++;
+      setImmediate(() => {
+        running--;
+        if (job.status === 'queued') {
+          start(job);
+        } else {
+          schedule();
+        }
+      });
+    }
+  };
+
+  // 提交任务，队列已满时返回 null
+  const submit = (input) => {
+    if (queue.length >= maxQueued) return null;
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      progress: 0,
+      stage: null,
+      records: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      input,
+      result: null,
+      error: null,
+      controller: new AbortController(),
+      listeners: new Set()
+    };
+    jobs.set(job.id, job);
+    queue.push(job);
+    schedule();
+    return job;
+  };
+
+  const get = (id) => jobs.get(id) || null;
+
+  // 订阅任务的进度和状态事件，返回取消订阅函数；任务结束后自动取消所有订阅
+  const subscribe = (job, listener) => {
+    job.listeners.add(listener);
+    return () => job.listeners.delete(listener);
+  };
+
+  // 取消排队或运行中的任务；已结束的任务直接删除。返回任务，不存在时返回 null
+  const cancel = (id) => {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (isFinished(job)) {
+      jobs.delete(id);
+      return job;
+    }
+    const index = queue.indexOf(job);
+    if (index !== -1) queue.splice(index, 1);
+    job.controller.abort();
+    finish(job, 'cancelled');
+    return job;
+  };
+
+  // 任务状态，不含输入和结果；queuePosition 为排队位置（从 1 开始，0 表示即将开始）
+  const describe = (job) => ({
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    stage: job.stage,
+    records: job.records,
+    queuePosition: job.status === 'queued' ? queue.indexOf(job) + 1 : undefined,
+    createdAt: job.createdAt.toISOString(),
+    startedAt: job.startedAt ? job.startedAt.toISOString() : null,
+    finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null,
+    expiresAt: job.finishedAt ? new Date(job.finishedAt.getTime() + ttl).toISOString() : null,
+    error: job.error ? job.error.message : undefined
+  });
+
+  // 定期清理过期任务，不阻止进程退出
+  const cleanup = () => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (isFinished(job) && now - job.finishedAt.getTime() >= ttl) jobs.delete(id);
+    }
+  };
+  setInterval(cleanup, Math.min(ttl, 60 * 1000)).unref();
+
+  return { submit, get, subscribe, cancel, describe, cleanup, isFinished };
+};
+
+export {
+  DEFAULT_JOB_OPTIONS,
+  createJobQueue
+};
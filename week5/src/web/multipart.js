@@ -0,0 +1,107 @@
+/**
+ * multipart/form-data 请求体的流式读取
+ * 只取出第一个文件字段，文件内容按块产出，不在内存中缓存整个文件
+ */
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const DASH = 0x2d;
+
+// 从 Content-Type 中取出 boundary，不是 multipart 请求时返回 null
+const multipartBoundary = (contentType = '') => {
+  if (!/^multipart\/form-data\b/i.test(contentType)) return null;
+  const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  return match ? match[1] || match[2] : null;
+};
+
+// 解析分段头，返回 { name, filename, contentType }，没有 filename 的分段为普通字段
+const parsePartHeaders = (text) => {
+  const headers = {};
+  for (const line of text.split('\r\n')) {
+    const index = line.indexOf(':');
+    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+  }
+  const disposition = headers['content-disposition'] || '';
+  const param = (key) => {
+    const match = new RegExp(`(?:^|;)\\s*${key}="([^"]*)"`, 'i').exec(disposition);
+    return match ? match[1] : null;
+  };
+  return { name: param('name'), filename: param('filename'), contentType: headers['content-type'] || null };
+};
+
+// 打开请求体中的第一个文件字段
+// 返回 { name, filename, contentType, fields, body }：fields 为文件之前的普通字段，
+// body 为文件内容的异步可迭代对象（Buffer 块）；请求体不完整或没有文件字段时抛出错误
+// 出错或提前停止读取文件内容时不销毁 readable，调用方仍可返回响应，并用 resume() 丢弃剩余的请求体
+const openMultipartFile = async (readable, boundary) => {
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  const iterator = readable.iterator({ destroyOnReturn: false });
+  // 补上第一条分隔线之前的换行，使所有分隔线形式一致
+  let buffer = CRLF;
+
+  const pull = async () => {
+    const { value, done } = await iterator.next();
+    if (done) throw new Error('multipart 请求体不完整');
+    buffer = Buffer.concat([buffer, value]);
+  };
+
+  // 读到 pattern 出现为止，返回其位置
+  const find = async (pattern) => {
+    let index;
+    while ((index = buffer.indexOf(pattern)) === -1) await pull();
+    return index;
+  };
+
+  // 产出文件内容直到下一条分隔线；保留可能是分隔线开头的尾部字节
+  const readBody = async function* () {
+    try {
+      for (;;) {
+        const index = buffer.indexOf(delimiter);
+        if (index !== -1) {
+          if (index > 0) yield buffer.subarray(0, index);
+          // 文件之后的分段不再需要，读完请求体即可
+          while (!(await iterator.next()).done);
+          return;
+        }
+        const keep = Math.min(buffer.length, delimiter.length - 1);
+        if (buffer.length > keep) {
+          yield buffer.subarray(0, buffer.length - keep);
+          buffer = buffer.subarray(buffer.length - keep);
+        }
+        await pull();
+      }
+    } finally {
+      await iterator.return();
+    }
+  };
+
+  try {
+    const fields = {};
+    const start = await find(delimiter);
+    buffer = buffer.subarray(start + delimiter.length);
+    for (;;) {
+      while (buffer.length < 2) await pull();
+      // 结束分隔线 "--boundary--"
+      if (buffer[0] === DASH && buffer[1] === DASH) {
+        throw new Error('请求中没有上传文件');
+      }
+      const headerEnd = await find(HEADER_END);
+      const part = parsePartHeaders(buffer.subarray(CRLF.length, headerEnd).toString('utf8'));
+      buffer = buffer.subarray(headerEnd + HEADER_END.length);
+      if (part.filename !== null) {
+        return { ...part, fields, body: readBody() };
+      }
+      const end = await find(delimiter);
+      if (part.name) fields[part.name] = buffer.subarray(0, end).toString('utf8');
+      buffer = buffer.subarray(end + delimiter.length);
+    }
+  } catch (error) {
+    await iterator.return();
+    throw error;
+  }
+};
+
+export {
+  multipartBoundary,
+  openMultipartFile
+};
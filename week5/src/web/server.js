@@ -3,64 +3,892 @@ import cors from 'cors';
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { calculateStatistics } from '../core/statistics.js';
+import { performance } from 'perf_hooks';
+import {
+  calculateStatisticsStream,
+  normalizePivotOptions,
+  normalizeHistogramOptions,
+  roundResults,
+  allowsApproximation
+} from '../core/statistics.js';
+import { resolveArithmetic } from '../core/arithmetic.js';
+import { calculateStatisticsParallel, chooseEngine, cancelledError } from '../core/parallel.js';
+import { INPUT_FORMATS, detectInputFormat, parseRecords, readRecords } from '../core/parsers.js';
+import { compileSchema } from '../core/schema.js';
+import { parseFilter } from '../core/filter.js';
+import { normalizeRankingOptions } from '../core/ranking.js';
+import { normalizeOutlierOptions } from '../core/outliers.js';
+import { normalizeCorrelationOptions } from '../core/correlation.js';
+import { createDatasetStore } from '../core/datasets.js';
+import { compareDatasets, normalizeCompareOptions } from '../core/compare.js';
+import { cacheKey, createCacheKey, createResultCache } from '../core/cache.js';
+import { createJobQueue } from './jobs.js';
+import { multipartBoundary, openMultipartFile } from './multipart.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// 请求体大小上限（字节）：JSON 和文本请求体，以及需要全部读入内存精确计算的上传文件
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES) || 100 * 1024 * 1024;
+
+// 文本请求体的 Content-Type 与输入格式对应关系
+const TEXT_FORMATS = {
+  'text/csv': 'csv',
+  'text/tab-separated-values': 'tsv',
+  'application/x-ndjson': 'ndjson'
+};
+
+// 查询参数可能是单个字符串或数组
+const toList = (value) => value === undefined ? undefined : [].concat(value);
+
+// 查询参数中的 schema 为 JSON 字符串
+const parseSchemaParam = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`schema 参数不是有效的 JSON: ${error.message}`);
+  }
+};
+
+// 过滤表达式：空字符串视为不过滤，语法错误在此抛出
+const parseWhere = (where) => {
+  if (where === undefined || where === null || (typeof where === 'string' && where.trim() === '')) {
+    return undefined;
+  }
+  if (typeof where !== 'string') {
+    throw new Error('where 必须是过滤表达式字符串');
+  }
+  parseFilter(where);
+  return where;
+};
+
+// 查询参数中的趋势分析选项：?trends 或 ?trends=true 使用默认指标，?trends=mean 指定每年取值的指标
+const parseTrendsParam = (value) => {
+  if (value === undefined || value === 'false' || value === '0') return undefined;
+  return value === '' || value === 'true' || value === '1' ? true : { stat: value };
+};
+
+// 查询参数中的交叉表选项：?pivot 或 ?pivot=true 使用默认行字段，?pivot=region,year 指定行字段，
+// 另有 pivotColumns、pivotStat、subtotals、totals=false
+const parsePivotQuery = (query) => {
+  const { pivot, pivotColumns, pivotStat, subtotals, totals } = query;
+  if (pivot === undefined || pivot === 'false' || pivot === '0') return undefined;
+  const flag = (value) => value === undefined ? undefined : !(value === 'false' || value === '0');
+  return {
+    rows: pivot === '' || pivot === 'true' || pivot === '1' ? undefined : pivot,
+    columns: pivotColumns,
+    stat: pivotStat,
+    subtotals: flag(subtotals),
+    totals: flag(totals)
+  };
+};
+
+// 规范化交叉表选项，行列字段有误时抛出错误
+const parsePivot = (pivot) => normalizePivotOptions(pivot) || undefined;
+
+// 排名选项：查询参数为 ?top=5&by=mean，排名数量有误时抛出错误
+const parseRanking = (ranking) => normalizeRankingOptions(ranking) || undefined;
+
+const parseRankingQuery = ({ top, by }) => top === undefined ? undefined : { top: Number(top), by };
+
+// 异常值选项：查询参数为 ?outliers=mad&outlierThreshold=3，方法或阈值有误时抛出错误
+const parseOutliers = (outliers) => normalizeOutlierOptions(outliers) || undefined;
+
+const parseOutliersQuery = ({ outliers, outlierThreshold }) => outliers === undefined
+  ? undefined
+  : { method: outliers, threshold: outlierThreshold };
+
+// 直方图选项：查询参数为 ?histogram=fd&bins=20&binWidth=100，分箱方法或箱数有误时抛出错误
+const parseHistogram = (histogram) => normalizeHistogramOptions(histogram) || undefined;
+
+const parseHistogramQuery = ({ histogram, bins, binWidth }) => {
+  if (histogram === undefined || histogram === 'false' || histogram === '0') return undefined;
+  return {
+    method: histogram === '' || histogram === 'true' || histogram === '1' ? undefined : histogram,
+    bins,
+    width: binWidth
+  };
+};
+
+// 精度模式：compensated 或 decimal，未知的模式抛出错误
+const parsePrecision = (precision) => {
+  if (precision === undefined) return undefined;
+  resolveArithmetic(precision);
+  return precision;
+};
+
+// 并行线程数：非负整数，0 表示不分片并行，未指定时使用默认线程数
+const parseWorkers = (workers) => {
+  if (workers === undefined) return undefined;
+  const count = Number(workers);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`无效的线程数: ${workers}`);
+  }
+  return count;
+};
+
+// 近似计算：JSON 请求体为布尔值，查询参数为 ?approximate 或 ?approximate=true
+const parseApproximate = (approximate) => {
+  if (approximate === undefined || approximate === false || approximate === 'false' || approximate === '0') return undefined;
+  if (approximate === true || approximate === '' || approximate === 'true' || approximate === '1') return true;
+  throw new Error(`无效的 approximate 参数: ${approximate}`);
+};
+
+// 相关性选项：查询参数为 ?correlation&x=weight&y=value&sample=500，选项有误时抛出错误
+const parseCorrelation = (correlation) => normalizeCorrelationOptions(correlation) || undefined;
+
+const parseCorrelationQuery = ({ correlation, x, y, sample }) => {
+  if (correlation === undefined || correlation === 'false' || correlation === '0') return undefined;
+  return { x, y, sample: sample === undefined ? undefined : Number(sample) };
+};
+
+// 查询参数形式的计算选项（文本请求体和文件上传使用）
+const parseQueryOptions = (query) => {
+  const { dimensions, metric, weight, stats, precision, approximate, workers, schema, where, trends } = query;
+  return {
+    dimensions: toList(dimensions),
+    metric,
+    weight,
+    stats: toList(stats),
+    precision: parsePrecision(precision),
+    approximate: parseApproximate(approximate),
+    workers: parseWorkers(workers),
+    schema: schema === undefined ? undefined : compileSchema(parseSchemaParam(schema)),
+    where: parseWhere(where),
+    trends: parseTrendsParam(trends),
+    pivot: parsePivot(parsePivotQuery(query)),
+    ranking: parseRanking(parseRankingQuery(query)),
+    outliers: parseOutliers(parseOutliersQuery(query)),
+    histogram: parseHistogram(parseHistogramQuery(query)),
+    correlation: parseCorrelation(parseCorrelationQuery(query))
+  };
+};
+
+// JSON 请求体中的计算选项
+const parseBodyOptions = (body) => {
+  const {
+    dimensions, metric, weight, stats, precision, approximate, workers, schema, where, trends, pivot, ranking, outliers, histogram, correlation
+  } = body;
+  if (dimensions !== undefined && !Array.isArray(dimensions)) {
+    throw new Error('dimensions 必须是维度规格数组');
+  }
+  return {
+    dimensions,
+    metric,
+    weight,
+    stats,
+    precision: parsePrecision(precision),
+    approximate: parseApproximate(approximate),
+    workers: parseWorkers(workers),
+    schema: schema === undefined ? undefined : compileSchema(schema),
+    where: parseWhere(where),
+    trends,
+    pivot: parsePivot(pivot),
+    ranking: parseRanking(ranking),
+    outliers: parseOutliers(outliers),
+    histogram: parseHistogram(histogram),
+    correlation: parseCorrelation(correlation)
+  };
+};
+
+// 解析计算请求：JSON 请求体为
+// { data, dimensions, metric, weight, stats, precision, workers, schema, where, trends, pivot, ranking, outliers, histogram, correlation }
+// CSV/TSV/NDJSON 请求体为原始文本，选项通过查询参数传递（?dimensions=region&dimensions=resource,year&delimiter=;）
+// 精度模式、线程数、schema、过滤表达式以及交叉表、排名、异常值、直方图、相关性选项在这里编译和校验，有误时按请求错误处理
+const parseCalculateRequest = (req) => {
+  const format = TEXT_FORMATS[req.get('Content-Type')?.split(';')[0].trim()];
+  if (!format) {
+    const body = req.body || {};
+    return { data: body.data, options: parseBodyOptions(body) };
+  }
+  
+  return {
+    data: parseRecords(typeof req.body === 'string' ? req.body : '', format, { delimiter: req.query.delimiter }),
+    options: parseQueryOptions(req.query)
+  };
+};
+
+// 读取并校验计算请求，返回 { data, options, key }，key 为结果缓存键；有误时抛出错误（按请求错误处理）
+const readCalculateRequest = (req) => {
+  const request = parseCalculateRequest(req);
+  if (!request.data || !Array.isArray(request.data)) {
+    throw new Error('无效的数据格式，需要数组类型');
+  }
+  return { ...request, key: cacheKey(request.data, request.options) };
+};
+
+// 执行统计计算，返回响应体的 data 和 meta，meta.engine 为实际使用的计算方式
+// 默认在一个工作线程中精确计算；请求 approximate 并指定 stats 时，大数据集在多个工作线程中近似聚合，
+// 两种方式都不阻塞事件循环
+const runCalculation = async (data, options) => {
+  console.log(`接收到 ${data.length} 条数据记录`);
+  const engine = chooseEngine(data, options);
+  const { validation, filter, ...results } = await calculateStatisticsParallel(data, options);
+  
+  // 统计结果不做舍入，响应前统一舍入一次
+  return {
+    data: roundResults(results),
+    meta: {
+      totalRecords: data.length,
+      engine,
+      validation,
+      filter,
+      processedAt: new Date().toISOString()
+    }
+  };
+};
+
+// 打开上传的文件：multipart/form-data 取第一个文件字段，application/octet-stream 为整个请求体
+// 返回 { fileName, format, body }，不支持的请求体类型返回 null；
+// 输入格式取查询参数 format，否则按文件名（multipart 的 filename 或查询参数 filename）的扩展名判断
+const openUpload = async (req) => {
+  const boundary = multipartBoundary(req.get('Content-Type'));
+  let upload;
+  if (boundary) {
+    const file = await openMultipartFile(req, boundary);
+    upload = { fileName: file.filename, body: file.body };
+  } else if (req.is('application/octet-stream')) {
+    // 读取中途出错时不销毁请求，仍能返回错误响应
+    upload = { fileName: req.query.filename, body: req.iterator({ destroyOnReturn: false }) };
+  } else {
+    return null;
+  }
+  const format = req.query.format || detectInputFormat(upload.fileName);
+  if (!INPUT_FORMATS.includes(format)) {
+    throw new Error(`不支持的输入格式: ${format}，可选 ${INPUT_FORMATS.join('|')}`);
+  }
+  return { ...upload, format };
+};
+
+const uploadTooLargeError = () => {
+  const error = new Error(
+    `上传文件超过 ${MAX_BODY_BYTES} 字节：精确计算需要读入全部记录，可请求 approximate 并指定 stats 改为流式统计`
+  );
+  error.status = 413;
+  return error;
+};
+
+// 按块读取上传文件的记录，返回 { chunks, progress }，progress.bytesRead 为已读入的字节数
+// 每读入一段数据检查一次：signal 已中止（客户端断开）时抛出取消错误，超过 maxBytes 时抛出 413 错误
+const readUpload = ({ format, body }, { delimiter, signal, maxBytes = Infinity }) => {
+  const progress = { bytesRead: 0 };
+  const chunks = readRecords(body, {
+    format,
+    delimiter,
+    onProgress: ({ bytesRead }) => {
+      progress.bytesRead = bytesRead;
+      if (signal?.aborted) throw cancelledError();
+      if (bytesRead > maxBytes) throw uploadTooLargeError();
+    }
+  });
+  return { chunks, progress };
+};
+
+const collectRecords = async (chunks) => {
+  const records = [];
+  for await (const chunk of chunks) {
+    for (const record of chunk) records.push(record);
+  }
+  return records;
+};
+
+// 边接收边解析上传的文件，统计结果与 /api/calculate 相同：默认读入全部记录（至多 MAX_BODY_BYTES）后在工作线程中精确计算；
+// 请求 approximate 并指定可单遍累加的 stats 时直接交给流式引擎，不在内存中保留记录，大小不受限制（中位数、百分位为近似值）
+// options.signal 中止时停止读取和计算
+const runUpload = async (upload, options, delimiter) => {
+  const { fileName, format } = upload;
+  const streaming = allowsApproximation(options);
+  const { chunks, progress } = readUpload(upload, {
+    delimiter,
+    signal: options.signal,
+    maxBytes: streaming ? Infinity : MAX_BODY_BYTES
+  });
+  
+  let engine = 'stream';
+  let results;
+  if (streaming) {
+    results = await calculateStatisticsStream(chunks, options);
+  } else {
+    const records = await collectRecords(chunks);
+    engine = chooseEngine(records, options);
+    results = await calculateStatisticsParallel(records, options);
+  }
+  
+  const { validation, filter, ...rest } = results;
+  const { bytesRead } = progress;
+  console.log(`上传文件 ${fileName || '(未命名)'}: ${bytesRead} 字节，${validation.total} 条记录`);
+  return {
+    data: roundResults(rest),
+    meta: {
+      totalRecords: validation.total,
+      fileName,
+      format,
+      bytesRead,
+      engine,
+      validation,
+      filter,
+      processedAt: new Date().toISOString()
+    }
+  };
+};
+
+// 请求体是上传的文件（multipart/form-data 或 application/octet-stream）
+const isUpload = (req) => multipartBoundary(req.get('Content-Type')) !== null || Boolean(req.is('application/octet-stream'));
+
+// 读取上传文件形式的任务请求，返回 { data, options, key }（同 readCalculateRequest）：
+// 任务在文件上传完成后才开始计算，记录全部读入内存（至多 MAX_BODY_BYTES），选项通过查询参数传递
+const readUploadRequest = async (req, signal) => {
+  const options = parseQueryOptions(req.query);
+  const upload = await openUpload(req);
+  const { chunks } = readUpload(upload, { delimiter: req.query.delimiter, signal, maxBytes: MAX_BODY_BYTES });
+  const data = await collectRecords(chunks);
+  return { data, options, key: cacheKey(data, options) };
+};
+
+// 客户端断开（如取消上传）时中止的 signal
+const abortOnClose = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+};
+
+// 统计结果缓存：内存 LRU（RESULT_CACHE_SIZE 条），RESULT_CACHE_DIR 指定时另有磁盘缓存
+const resultCache = createResultCache({
+  maxEntries: Number(process.env.RESULT_CACHE_SIZE) || undefined,
+  dir: process.env.RESULT_CACHE_DIR || undefined
+});
+
+// 带缓存的计算：compute() 返回响应体的 data 和 meta，命中时不再计算；
+// meta.cache 报告本次是否命中（status、tier）以及累计的命中数和未命中数
+const runCached = async (key, compute) => {
+  const { value, cache } = await resultCache.wrap(key, compute);
+  return { data: value.data, meta: { ...value.meta, cache } };
+};
+
+// 缓存键作为强 ETag：输入和选项相同时结果相同
+const etagOf = (key) => `"${key}"`;
+
+// 请求带有匹配的 If-None-Match 时，客户端已有的结果仍然有效
+const isNotModified = (req, key) => {
+  const header = req.get('If-None-Match');
+  if (!header) return false;
+  return header.split(',').some(tag => {
+    const value = tag.trim().replace(/^W\//, '');
+    return value === '*' || value === etagOf(key);
+  });
+};
+
+// 计算失败的响应：数据全部未通过校验属于请求数据问题，附带校验报告返回 400；error.status 指定其他状态码（如 413）
+const sendCalculationError = (res, error) => {
+  res.status(error.status || (error.validation ? 400 : 500)).json({
+    success: false,
+    error: error.message,
+    meta: error.validation ? { validation: error.validation } : undefined
+  });
+};
+
+// Server-Sent Events：每个事件为 "event: 类型" 加一行 JSON 数据
+const openEventStream = (res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+};
+
+// 客户端已断开时不再写入
+const sendEvent = (res, event, data) => {
+  if (res.destroyed || res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// 异步计算任务：请求体与 /api/calculate 相同，提交后立即返回任务 id
+// 计算在工作线程中进行（见 runCalculation），运行期间仍能查询任务状态、推送进度事件，取消时结束工作线程
+const jobs = createJobQueue(async ({ data, options, key }, { signal, onProgress }) => {
+  try {
+    return await runCached(key, () => runCalculation(data, { ...options, signal, onProgress }));
+  } catch (error) {
+    console.error('任务计算错误:', error.message);
+    throw error;
+  }
+}, {
+  concurrency: Number(process.env.JOB_CONCURRENCY) || undefined,
+  maxQueued: Number(process.env.JOB_QUEUE_SIZE) || undefined,
+  ttl: Number(process.env.JOB_TTL_MS) || undefined
+});
+
+// 数据集存储，与 CLI 共用同一目录（环境变量 DATA_STATS_STORE 可指定）
+const datasets = createDatasetStore();
+
+// 统计已保存的数据集，返回响应体的 data 和 meta
+const runDatasetCalculation = async (id, options) => {
+  const { dataset, results, engine } = await datasets.calculate(id, options);
+  const { validation, filter, ...rest } = results;
+  return {
+    data: roundResults(rest),
+    meta: {
+      dataset: { id: dataset.id, name: dataset.name },
+      totalRecords: validation.total,
+      engine,
+      validation,
+      filter,
+      processedAt: new Date().toISOString()
+    }
+  };
+};
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(cors());
-app.use(express.json({ limit: '100mb' }));
+app.use(express.json({ limit: MAX_BODY_BYTES }));
+app.use(express.text({ type: Object.keys(TEXT_FORMATS), limit: MAX_BODY_BYTES }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// 请求处理计时：并发的请求各自计时（console.time 的同名计时器会互相覆盖）
+const startTimer = (label) => {
+  const started = performance.now();
+  return () => console.log(`${label}: ${(performance.now() - started).toFixed(3)}ms`);
+};
+
+// 客户端要求 SSE 响应（Accept: text/event-stream）
+const wantsEvents = (req) => req.accepts(['json', 'text/event-stream']) === 'text/event-stream';
+
+// 以 SSE 逐个发送进度事件（stage、records），最后发送 result 事件，数据与普通 JSON 响应体相同
+// compute(onProgress) 执行计算并返回响应体的 data 和 meta
+const respondWithEvents = async (res, compute) => {
+  openEventStream(res);
+  try {
+    const body = await compute((event) => sendEvent(res, event.type, event));
+    sendEvent(res, 'result', { success: true, ...body });
+  } catch (error) {
+    console.error('计算错误:', error);
+    sendEvent(res, 'result', {
+      success: false,
+      error: error.message,
+      meta: error.validation ? { validation: error.validation } : undefined
+    });
+  }
+  res.end();
+};
+
 app.post('/api/calculate', async (req, res) => {
+  const endTimer = startTimer('API处理时间');
   try {
-    console.time('API处理时间');
-    
-    const { data } = req.body;
-    
-    if (!data || !Array.isArray(data)) {
+    let request;
+    try {
+      request = readCalculateRequest(req);
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        error: '无效的数据格式，需要数组类型'
+        error: error.message
       });
     }
     
-    console.log(`接收到 ${data.length} 条数据记录`);
+    // 输入和选项未变，客户端缓存的结果仍然有效，无需计算
+    if (isNotModified(req, request.key)) {
+      endTimer();
+      return res.status(304).set('ETag', etagOf(request.key)).end();
+    }
     
-    const results = calculateStatistics(data);
+    const compute = (onProgress) => runCached(request.key, () => runCalculation(request.data, { ...request.options, onProgress }));
+    if (wantsEvents(req)) {
+      await respondWithEvents(res, compute);
+      endTimer();
+      return;
+    }
     
-    console.timeEnd('API处理时间');
+    const { data, meta } = await compute();
     
-    res.json({
-      success: true,
-      data: results,
-      meta: {
-        totalRecords: data.length,
-        processedAt: new Date().toISOString()
+    endTimer();
+    
+    res.set('ETag', etagOf(request.key)).json({ success: true, data, meta });
+    
+  } catch (error) {
+    console.error('计算错误:', error);
+    sendCalculationError(res, error);
+  }
+});
+
+// 文件上传统计：multipart/form-data（文件字段）或 application/octet-stream 请求体，
+// 计算选项通过查询参数传递（同文本请求体），请求体边接收边解析，支持 Accept: text/event-stream
+app.post('/api/upload', async (req, res) => {
+  const endTimer = startTimer('上传处理时间');
+  
+  let upload;
+  let options;
+  try {
+    options = parseQueryOptions(req.query);
+    upload = await openUpload(req);
+  } catch (error) {
+    req.resume();
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  if (!upload) {
+    req.resume();
+    return res.status(415).json({
+      success: false,
+      error: '上传文件需要 multipart/form-data 或 application/octet-stream 请求体'
+    });
+  }
+  
+  // 客户端中途断开（如页面取消上传）时停止读取请求体并结束计算线程
+  const signal = abortOnClose(res);
+  const compute = (onProgress) => runUpload(upload, { ...options, signal, onProgress }, req.query.delimiter);
+  if (wantsEvents(req)) {
+    await respondWithEvents(res, compute);
+  } else {
+    try {
+      res.json({ success: true, ...await compute() });
+    } catch (error) {
+      console.error('上传计算错误:', error);
+      sendCalculationError(res, error);
+    }
+  }
+  // 出错时丢弃未读完的请求体
+  req.resume();
+  endTimer();
+});
+
+// 提交计算任务：请求体同 /api/calculate，也可以上传文件（同 /api/upload），文件读完后任务才进入队列
+app.post('/api/jobs', async (req, res) => {
+  let request;
+  try {
+    request = isUpload(req) ? await readUploadRequest(req, abortOnClose(res)) : readCalculateRequest(req);
+  } catch (error) {
+    req.resume();
+    return res.status(error.status || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  const job = jobs.submit(request);
+  if (!job) {
+    return res.status(503).json({
+      success: false,
+      error: '任务队列已满，请稍后重试'
+    });
+  }
+  
+  res.status(202).location(`/api/jobs/${job.id}`).json({
+    success: true,
+    data: jobs.describe(job)
+  });
+});
+
+// 查找任务，不存在（或已过期清理）时返回 404
+const findJob = (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: `任务不存在或已过期: ${req.params.id}`
+    });
+  }
+  return job;
+};
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  res.json({ success: true, data: jobs.describe(job) });
+});
+
+// 任务进度事件流：先发送当前状态，之后转发 stage、records 进度事件和 status 状态事件，任务结束后关闭
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  
+  openEventStream(res);
+  sendEvent(res, 'status', { type: 'status', ...jobs.describe(job) });
+  if (jobs.isFinished(job)) {
+    return res.end();
+  }
+  
+  const unsubscribe = jobs.subscribe(job, (event) => {
+    sendEvent(res, event.type, event);
+    if (event.type === 'status' && event.finishedAt) {
+      res.end();
+    }
+  });
+  req.on('close', unsubscribe);
+});
+
+app.get('/api/jobs/:id/result', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  
+  switch (job.status) {
+    case 'completed':
+      return res.json({ success: true, ...job.result });
+    case 'failed':
+      return sendCalculationError(res, job.error);
+    case 'cancelled':
+      return res.status(410).json({ success: false, error: '任务已取消', status: job.status });
+    default:
+      return res.status(409).json({ success: false, error: '任务尚未完成', status: job.status, progress: job.progress });
+  }
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobs.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `任务不存在或已过期: ${req.params.id}`
+    });
+  }
+  res.json({ success: true, data: jobs.describe(job) });
+});
+
+// 导入数据集：上传文件（multipart/form-data 或 application/octet-stream，同 /api/upload）
+// 或 JSON 请求体 { name, data, schema }；查询参数 name 为数据集名称（上传时默认取文件名），
+// schema 为记录校验 schema（JSON 字符串），导入后保存通过校验的记录
+app.post('/api/datasets', async (req, res) => {
+  let name;
+  let schema;
+  let chunks;
+  let source;
+  try {
+    const upload = await openUpload(req);
+    if (upload) {
+      name = req.query.name || (upload.fileName && path.parse(upload.fileName).name);
+      schema = req.query.schema === undefined ? undefined : parseSchemaParam(req.query.schema);
+      chunks = readRecords(upload.body, { format: upload.format, delimiter: req.query.delimiter });
+      source = { fileName: upload.fileName, format: upload.format };
+    } else if (req.is('json')) {
+      const body = req.body || {};
+      if (!Array.isArray(body.data)) {
+        throw new Error('无效的数据格式，需要数组类型');
       }
+      name = body.name ?? req.query.name;
+      schema = body.schema;
+      chunks = [body.data];
+      source = { format: 'json' };
+    } else {
+      req.resume();
+      return res.status(415).json({
+        success: false,
+        error: '导入数据集需要上传文件或 JSON 请求体'
+      });
+    }
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('缺少数据集名称（name）');
+    }
+    if (schema !== undefined) compileSchema(schema);
+  } catch (error) {
+    req.resume();
+    return res.status(400).json({
+      success: false,
+      error: error.message
     });
+  }
+  
+  try {
+    if (await datasets.get(name.trim())) {
+      req.resume();
+      return res.status(409).json({
+        success: false,
+        error: `数据集名称已存在: ${name.trim()}`
+      });
+    }
     
+    const dataset = await datasets.importDataset(chunks, { name, schema, source });
+    console.log(`导入数据集 ${dataset.name} (${dataset.id}): ${dataset.records} 条记录`);
+    res.status(201).location(`/api/datasets/${dataset.id}`).json({ success: true, data: dataset });
   } catch (error) {
-    console.error('计算错误:', error);
-    res.status(500).json({
+    console.error('导入数据集错误:', error);
+    sendCalculationError(res, error);
+  }
+});
+
+// 数据集存储读写失败
+const sendStoreError = (res, error) => {
+  console.error('数据集存储错误:', error);
+  res.status(500).json({
+    success: false,
+    error: error.message
+  });
+};
+
+// 数据集不存在时返回 404
+const datasetNotFound = (res, id) => res.status(404).json({
+  success: false,
+  error: `数据集不存在: ${id}`
+});
+
+app.get('/api/datasets', async (req, res) => {
+  try {
+    res.json({ success: true, data: await datasets.list() });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+// 数据集元信息和前几条记录
+app.get('/api/datasets/:id', async (req, res) => {
+  try {
+    const dataset = await datasets.inspect(req.params.id);
+    if (!dataset) return datasetNotFound(res, req.params.id);
+    res.json({ success: true, data: dataset });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+app.delete('/api/datasets/:id', async (req, res) => {
+  try {
+    const dataset = await datasets.remove(req.params.id);
+    if (!dataset) return datasetNotFound(res, req.params.id);
+    res.json({ success: true, data: dataset });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+// 统计数据集：请求体为 /api/calculate 的计算选项（不含 data），支持 Accept: text/event-stream
+app.post('/api/datasets/:id/calculate', async (req, res) => {
+  let options;
+  try {
+    options = parseBodyOptions(req.body || {});
+  } catch (error) {
+    return res.status(400).json({
       success: false,
       error: error.message
     });
   }
+  
+  let dataset;
+  try {
+    dataset = await datasets.get(req.params.id);
+  } catch (error) {
+    return sendStoreError(res, error);
+  }
+  if (!dataset) return datasetNotFound(res, req.params.id);
+  
+  // 数据集导入后不再变化，以 id 和导入时间代替记录内容计算缓存键
+  let key;
+  try {
+    key = createCacheKey().update([{ dataset: dataset.id, createdAt: dataset.createdAt }]).digest(options);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  if (isNotModified(req, key)) {
+    return res.status(304).set('ETag', etagOf(key)).end();
+  }
+  
+  const compute = (onProgress) => runCached(key, () => runDatasetCalculation(dataset.id, { ...options, onProgress }));
+  if (wantsEvents(req)) {
+    return respondWithEvents(res, compute);
+  }
+  try {
+    const body = await compute();
+    res.set('ETag', etagOf(key)).json({ success: true, ...body });
+  } catch (error) {
+    console.error('数据集计算错误:', error);
+    sendCalculationError(res, error);
+  }
+});
+
+// 解析对比选项，有误时抛出错误（按请求错误处理）
+const parseCompareOptions = (body) => {
+  const { key, years, dimensions, metric, weight, stats, fields, limit, precision, schema, where } = body;
+  if (dimensions !== undefined && !Array.isArray(dimensions)) {
+    throw new Error('dimensions 必须是维度规格数组');
+  }
+  const options = {
+    key,
+    years,
+    dimensions,
+    metric,
+    weight,
+    stats,
+    fields,
+    limit,
+    precision: parsePrecision(precision),
+    schema: schema === undefined ? undefined : compileSchema(schema),
+    where: parseWhere(where)
+  };
+  normalizeCompareOptions(options);
+  return options;
+};
+
+// 对比的一侧为记录数组，或数据集存储中的数据集 id / 名称
+// 返回 { data, dataset }，dataset 为数据集的 { id, name }（记录数组时为 null），数据集不存在时返回 null
+const loadCompareSide = async (value) => {
+  if (Array.isArray(value)) return { data: value, dataset: null };
+  const dataset = await datasets.get(value);
+  if (!dataset) return null;
+  return { data: await datasets.loadRecords(dataset.id), dataset: { id: dataset.id, name: dataset.name } };
+};
+
+// 对比两份数据：请求体为 { old, new, key, years, dimensions, metric, weight, stats, fields, limit, precision, schema, where }
+// old / new 为记录数组或已保存数据集的 id / 名称，返回新增、删除、变化的记录和各分组的指标变化
+app.post('/api/compare', async (req, res) => {
+  const body = req.body || {};
+  let options;
+  try {
+    for (const side of ['old', 'new']) {
+      const value = body[side];
+      if (!Array.isArray(value) && (typeof value !== 'string' || value === '')) {
+        throw new Error(`${side} 需要记录数组或数据集 id`);
+      }
+    }
+    options = parseCompareOptions(body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  let sides;
+  try {
+    sides = await Promise.all([loadCompareSide(body.old), loadCompareSide(body.new)]);
+  } catch (error) {
+    return sendStoreError(res, error);
+  }
+  const missing = sides.findIndex(side => side === null);
+  if (missing !== -1) return datasetNotFound(res, missing === 0 ? body.old : body.new);
+  
+  try {
+    const [before, after] = sides;
+    const { validation, ...comparison } = compareDatasets(before.data, after.data, options);
+    res.json({
+      success: true,
+      data: roundResults(comparison),
+      meta: {
+        old: { dataset: before.dataset, totalRecords: before.data.length, validation: validation.old },
+        new: { dataset: after.dataset, totalRecords: after.data.length, validation: validation.new },
+        processedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('数据对比错误:', error);
+    sendCalculationError(res, error);
+  }
 });
 
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    memory: process.memoryUsage()
+    memory: process.memoryUsage(),
+    cache: resultCache.stats()
   });
 });
 
@@ -2,13 +2,107 @@
  * 测试模块 - 验证统计算法的正确性
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
 import { 
   calculateStatistics, 
+  calculateStatisticsStream,
   fp, 
   statsCalculators, 
   precisionHelper,
-  validateAndCleanData 
+  roundResults,
+  validateAndCleanData,
+  normalizeDimension,
+  normalizeStatsList,
+  createStatsSummary,
+  validateRecords,
+  flattenGroups,
+  pivotTable,
+  normalizePivotOptions,
+  binValues,
+  histogram,
+  supportsStreaming,
+  allowsApproximation,
+  DEFAULT_DIMENSIONS,
+  DEFAULT_STATS,
+  STREAM_DEFAULT_STATS
 } from '../src/core/statistics.js';
+import {
+  createAccumulator,
+  accumulate,
+  mergeAccumulators,
+  createQuantileSketch,
+  sketchAdd,
+  sketchQuantile
+} from '../src/core/accumulators.js';
+import {
+  neumaierSum,
+  toDecimal,
+  decimalAdd,
+  decimalToNumber,
+  decimalRatio,
+  resolveArithmetic
+} from '../src/core/arithmetic.js';
+import { calculateStatisticsParallel, chooseEngine } from '../src/core/parallel.js';
+import { createProgress } from '../src/core/progress.js';
+import { createDatasetStore } from '../src/core/datasets.js';
+import { stableStringify, cacheKey, createCacheKey, createResultCache } from '../src/core/cache.js';
+import { normalizeCompareOptions, compareDatasets } from '../src/core/compare.js';
+
+import {
+  createJsonRecordParser,
+  readJsonRecords,
+  readRecords,
+  parseRecords,
+  detectInputFormat
+} from '../src/core/parsers.js';
+import { compileSchema, registerValidator } from '../src/core/schema.js';
+import { parseFilter, compileFilter } from '../src/core/filter.js';
+import { findUnsafeConstruct } from '../src/core/regexp.js';
+import { createProfileState, profileRecords, finalizeProfile, profileData } from '../src/core/profile.js';
+import { normalizeTrendOptions, linearRegression, analyzeSeries } from '../src/core/trends.js';
+import { normalizeRankingOptions, rankGroups, rankByYear } from '../src/core/ranking.js';
+import { normalizeOutlierOptions, detectOutliers } from '../src/core/outliers.js';
+import { normalizeCorrelationOptions, pearson, spearman, covarianceMatrix, analyzeCorrelation } from '../src/core/correlation.js';
+import {
+  formatCsv,
+  formatMarkdown,
+  formatHtml,
+  formatProfileCsv,
+  formatProfileMarkdown,
+  formatPivotCsv,
+  rankingSections,
+  outlierSections,
+  histogramSections,
+  sparkline,
+  correlationSections,
+  covarianceTable,
+  compareGroupSections,
+  formatCompareMarkdown
+} from '../src/cli/formatters.js';
+import { createJobQueue } from '../src/web/jobs.js';
+import { multipartBoundary, openMultipartFile } from '../src/web/multipart.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// 浮点结果比较
+const closeTo = (actual, expected, tolerance = 1e-9) => Math.abs(actual - expected) <= tolerance;
+
+// 读取 demo.json 中的记录
+const loadDemoData = () => {
+  const content = JSON.parse(fs.readFileSync(path.join(__dirname, '../demo.json'), 'utf-8'));
+  return content.nodes || content;
+};
+
+// 将数组切分为数据块的生成器
+function* toChunks(data, size) {
+  for (let i = 0; i < data.length; i += size) {
+    yield data.slice(i, i + size);
+  }
+}
 
 // 测试用例
 const testCases = {
@@ -67,6 +161,69 @@ const testCases = {
         console.assert(result === 1, `最小值失败: 期望 1, 实际 ${result}`);
         console.log('✓ 最小值测试通过');
       }
+    },
+    {
+      name: '加权平均值测试',
+      fn: () => {
+        const result = statsCalculators.weightedMean([10, 20, 30], [1, 1, 2]);
+        console.assert(result === 22.5, `加权平均值失败: 期望 22.5, 实际 ${result}`);
+        const sum = statsCalculators.weightedSum([10, 20, 30], [1, 1, 2]);
+        console.assert(sum === 90, `加权总和失败: 期望 90, 实际 ${sum}`);
+        console.log('✓ 加权平均值测试通过');
+      }
+    },
+    {
+      name: '加权中位数测试',
+      fn: () => {
+        const skewed = statsCalculators.weightedMedian([1, 2, 3], [1, 1, 10]);
+        console.assert(skewed === 3, `加权中位数失败: 期望 3, 实际 ${skewed}`);
+        const even = statsCalculators.weightedMedian([1, 2, 3, 4], [1, 1, 1, 1]);
+        console.assert(even === 2.5, `等权中位数失败: 期望 2.5, 实际 ${even}`);
+        console.log('✓ 加权中位数测试通过');
+      }
+    },
+    {
+      name: '加权方差测试',
+      fn: () => {
+        const result = statsCalculators.weightedVariance([0, 10], [3, 1]);
+        console.assert(result === 18.75, `加权方差失败: 期望 18.75, 实际 ${result}`);
+        const zero = statsCalculators.weightedVariance([5, 6], [0, 0]);
+        console.assert(zero === 0, '总权重为0时应返回0');
+        console.log('✓ 加权方差测试通过');
+      }
+    },
+    {
+      name: '方差与标准差测试',
+      fn: () => {
+        const values = [2, 4, 4, 4, 5, 5, 7, 9];
+        console.assert(statsCalculators.variance(values) === 4, '总体方差失败: 期望 4');
+        console.assert(statsCalculators.stddev(values) === 2, '总体标准差失败: 期望 2');
+        const sample = statsCalculators.sampleVariance(values);
+        console.assert(Math.abs(sample - 32 / 7) < 1e-6, `样本方差失败: 实际 ${sample}`);
+        console.assert(statsCalculators.cv(values) === 0.4, '变异系数失败: 期望 0.4');
+        console.log('✓ 方差与标准差测试通过');
+      }
+    },
+    {
+      name: '百分位数与四分位距测试',
+      fn: () => {
+        const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+        console.assert(statsCalculators.percentile(values, 25) === 3.5, '25百分位失败: 期望 3.5');
+        console.assert(statsCalculators.percentile(values, 95) === 10.5, '95百分位失败: 期望 10.5');
+        console.assert(statsCalculators.iqr(values) === 5, '四分位距失败: 期望 5');
+        console.assert(statsCalculators.mode([3, 1, 3, 1, 2]) === 1, '众数失败: 并列时应取最小值');
+        console.log('✓ 百分位数与四分位距测试通过');
+      }
+    },
+    {
+      name: '偏度与峰度测试',
+      fn: () => {
+        const symmetric = [1, 2, 3, 4, 5];
+        console.assert(statsCalculators.skewness(symmetric) === 0, '对称分布偏度应为 0');
+        console.assert(statsCalculators.skewness([1, 1, 1, 10]) > 0, '右偏分布偏度应为正');
+        console.assert(statsCalculators.kurtosis(symmetric) === -1.3, '均匀分布超额峰度失败: 期望 -1.3');
+        console.log('✓ 偏度与峰度测试通过');
+      }
     }
   ],
 
@@ -87,6 +244,45 @@ const testCases = {
         console.assert(typeof result === 'number' && isFinite(result), `除法失败: ${result}`);
         console.log('✓ 除法精度测试通过');
       }
+    },
+    {
+      name: '补偿求和与精确小数测试',
+      fn: () => {
+        console.assert(neumaierSum([1e16, 1, -1e16]) === 1, '补偿求和应保留被大数吞掉的小数');
+        const tenths = Array(10).fill(0.1);
+        console.assert(resolveArithmetic('decimal').sum(tenths) === 1, '精确小数求和 10 个 0.1 应为 1');
+        console.assert(decimalToNumber(decimalAdd(toDecimal(0.1), toDecimal(0.2))) === 0.3, '精确小数 0.1 + 0.2 应为 0.3');
+        console.assert(decimalRatio(toDecimal(1), toDecimal(3)) === 1 / 3, '精确小数除法应得到最接近的浮点数');
+        console.assert(precisionHelper.round(1e21 + 0.5) === 1e21, '超大数舍入应原样返回');
+        console.assert(roundResults({ a: [0.1 + 0.2], b: 'x', c: null }).a[0] === 0.3, '输出舍入应递归处理嵌套结果');
+        try {
+          resolveArithmetic('exact');
+          console.assert(false, '未知的精度模式应该抛出错误');
+        } catch (error) {
+          console.assert(error.message.includes('未知的精度模式'), `错误信息不正确: ${error.message}`);
+        }
+        console.log('✓ 补偿求和与精确小数测试通过');
+      }
+    },
+    {
+      name: '精度模式统计测试',
+      fn: async () => {
+        const data = [0.1, 0.2, 0.3].map((value, i) => ({
+          id: String(i), region: 'A', resource: 'R', year: 2020, value, weight: 1
+        }));
+        const options = { dimensions: ['region'], stats: ['sum', 'mean', 'weightedMean'], precision: 'decimal' };
+        const batch = calculateStatistics(data, options).byRegion.A;
+        console.assert(batch.sum === 0.6 && batch.mean === 0.2 && batch.weightedMean === 0.2, `精确小数模式结果不正确: ${JSON.stringify(batch)}`);
+        const streamed = (await calculateStatisticsStream(toChunks(data, 2), options)).byRegion.A;
+        console.assert(streamed.sum === 0.6 && streamed.mean === 0.2 && streamed.weightedMean === 0.2, `流式精确小数模式结果不正确: ${JSON.stringify(streamed)}`);
+        try {
+          calculateStatistics(data, { precision: 'exact' });
+          console.assert(false, '未知的精度模式应该抛出错误');
+        } catch (error) {
+          console.assert(error.message.includes('未知的精度模式'), `错误信息不正确: ${error.message}`);
+        }
+        console.log('✓ 精度模式统计测试通过');
+      }
     }
   ],
 
@@ -171,11 +367,174 @@ const testCases = {
         const cleaned = validateAndCleanData(invalidData);
         console.assert(cleaned.length === 1, '只有1条有效数据应该保留');
         console.log('✓ 无效数据过滤测试通过');
+      }},
+    {
+      name: '数据校验报告测试',
+      fn: () => {
+        const valid = { id: "1", region: "Asia", resource: "Cereals", year: 2020, value: 1, weight: 2 };
+        const data = [
+          valid,
+          { ...valid, id: "2", region: null },
+          { ...valid, id: "3", value: "abc" },
+          { ...valid, id: "4", region: undefined },
+          null
+        ];
+        const { records, report } = validateRecords(data, { offset: 100 });
+        console.assert(records.length === 1, '只有1条有效数据应该保留');
+        console.assert(report.total === 5 && report.valid === 1 && report.rejected === 4, '报告计数错误');
+        const missing = report.reasons['MISSING_FIELD:region'];
+        console.assert(missing.count === 2, `缺少字段计数错误: ${missing.count}`);
+        console.assert(
+          JSON.stringify(missing.samples) === JSON.stringify([{ index: 101, id: "2" }, { index: 103, id: "4" }]),
+          '样例行号应包含偏移量'
+        );
+        console.assert(report.reasons['NON_NUMERIC:value'].count === 1, '非数值计数错误');
+        console.assert(report.reasons.NOT_OBJECT.count === 1, '非对象记录计数错误');
+        console.log('✓ 数据校验报告测试通过');
+      }
+    },
+    {
+      name: '统计结果附带校验报告测试',
+      fn: async () => {
+        const valid = { id: "1", region: "Asia", resource: "Cereals", year: 2020, value: 1, weight: 2 };
+        const data = [valid, { ...valid, id: "2", year: "x" }, valid, { id: "9" }];
+        
+        const results = calculateStatistics(data);
+        console.assert(results.validation.rejected === 2, '批量统计应附带校验报告');
+        
+        const streamed = await calculateStatisticsStream(toChunks(data, 2));
+        console.assert(
+          JSON.stringify(streamed.validation) === JSON.stringify(results.validation),
+          '流式统计的校验报告应与批量一致'
+        );
+        
+        try {
+          calculateStatistics([{ id: "1" }]);
+          console.assert(false, '没有有效数据时应该抛出错误');
+        } catch (error) {
+          console.assert(error.validation && error.validation.rejected === 1, '错误应附带校验报告');
+        }
+        console.log('✓ 统计结果附带校验报告测试通过');
       }
     }
   ],
 
   // 完整统计测试
+  schema: [
+    {
+      name: '自定义schema字段映射测试',
+      fn: () => {
+        const schema = {
+          fields: {
+            id: { type: 'string', required: true, from: 'code' },
+            region: { type: 'string', required: true, from: ['country', 'area'] },
+            resource: { type: 'string', default: 'Unknown' },
+            year: { type: 'integer', required: true, min: 1900, max: 2100 },
+            value: { type: 'number', required: true, from: 'amount' },
+            weight: { type: 'number', default: 1 }
+          }
+        };
+        const input = { code: 7, area: 'Asia', year: '2020', amount: ' 12.5 ' };
+        const { records, report } = validateRecords([input], { schema });
+        console.assert(report.valid === 1, '映射后的记录应通过校验');
+        const [record] = records;
+        console.assert(record.id === '7' && record.region === 'Asia', '别名字段应映射到规范字段名');
+        console.assert(record.year === 2020 && record.value === 12.5, '数值字段应完成类型转换');
+        console.assert(record.resource === 'Unknown' && record.weight === 1, '缺失字段应使用默认值');
+        console.assert(input.region === undefined && input.year === '2020', '不应修改输入记录');
+        
+        const results = calculateStatistics([input, { ...input, code: 8, amount: 7.5 }], { schema });
+        console.assert(results.byRegion.Asia.sum === 20, `映射后统计错误: ${results.byRegion.Asia.sum}`);
+        console.log('✓ 自定义schema字段映射测试通过');
+      }
+    },
+    {
+      name: 'schema校验规则测试',
+      fn: () => {
+        registerValidator('even', (value) => value % 2 === 0 || '必须是偶数');
+        const schema = compileSchema({
+          fields: {
+            id: { required: true, pattern: '^R\\d+$' },
+            region: { enum: ['Asia', 'Europe'] },
+            year: { type: 'integer', min: 2000, max: 2030 },
+            value: { type: 'number', validate: 'even' },
+            weight: { type: 'number', validate: (weight, record) => weight <= record.value }
+          }
+        });
+        const valid = { id: 'R1', region: 'Asia', year: 2020, value: 4, weight: 2 };
+        const data = [
+          valid,
+          { ...valid, id: 'X1' },
+          { ...valid, region: 'Mars' },
+          { ...valid, year: 1999 },
+          { ...valid, year: 2020.5 },
+          { ...valid, value: 3 },
+          { ...valid, weight: 10 },
+          { ...valid, region: undefined }
+        ];
+        const { report } = validateRecords(data, { schema });
+        const codes = Object.keys(report.reasons).sort();
+        const expected = [
+          'CUSTOM_VALIDATION:value',
+          'CUSTOM_VALIDATION:weight',
+          'INVALID_TYPE:year',
+          'NOT_IN_ENUM:region',
+          'OUT_OF_RANGE:year',
+          'PATTERN_MISMATCH:id'
+        ];
+        console.assert(JSON.stringify(codes) === JSON.stringify(expected), `拒绝原因错误: ${codes}`);
+        console.assert(report.valid === 2, '可选字段缺失时记录应通过校验');
+        console.assert(report.reasons['CUSTOM_VALIDATION:value'].message === '字段 value 必须是偶数', '自定义校验信息错误');
+        
+        // 带 g / y 标志的 RegExp 对相同的值应给出相同的结果
+        for (const pattern of [/^R\d+$/g, /R\d+$/y]) {
+          const sticky = validateRecords([valid, valid, valid, { ...valid, id: 'XR1' }], { schema: { fields: { id: { pattern } } } });
+          console.assert(sticky.report.valid === 3 && sticky.report.rejected === 1, `正则 ${pattern} 的 lastIndex 应每次重置`);
+        }
+        console.log('✓ schema校验规则测试通过');
+      }
+    },
+    {
+      name: '无效schema定义测试',
+      fn: () => {
+        const invalidSchemas = [
+          null,
+          { fields: [] },
+          { fields: { year: { type: 'date' } } },
+          { fields: { year: { minimum: 1 } } },
+          { fields: { year: { min: 5, max: 1 } } },
+          { fields: { id: { pattern: '(' } } },
+          { fields: { id: { pattern: '^(\\d+)*$' } } },
+          { fields: { id: { pattern: 'x'.repeat(201) } } },
+          { fields: { id: { pattern: '^.*.*.*.*x$' } } },
+          { fields: { id: { validate: 'unregistered' } } }
+        ];
+        for (const schema of invalidSchemas) {
+          let message = '';
+          try {
+            compileSchema(schema);
+          } catch (error) {
+            message = error.message;
+          }
+          console.assert(message.startsWith('无效的 schema'), `应拒绝 schema: ${JSON.stringify(schema)}`);
+        }
+        console.log('✓ 无效schema定义测试通过');
+      }
+    },
+    {
+      name: '流式统计使用schema测试',
+      fn: async () => {
+        const schema = { fields: { region: { required: true, from: 'country' }, value: { type: 'number', required: true } } };
+        const data = Array.from({ length: 10 }, (_, i) => ({ country: i % 2 ? 'A' : 'B', value: String(i), weight: 1 }));
+        const streamed = await calculateStatisticsStream(toChunks(data, 3), { schema, dimensions: ['region'] });
+        const batch = calculateStatistics(data, { schema, dimensions: ['region'], stats: ['sum', 'count'] });
+        console.assert(streamed.byRegion.A.sum === 25 && streamed.byRegion.B.sum === 20, '流式统计应使用 schema 映射字段');
+        console.assert(batch.byRegion.A.sum === streamed.byRegion.A.sum, '流式与批量结果应一致');
+        console.log('✓ 流式统计使用schema测试通过');
+      }
+    }
+  ],
+  
   fullStatistics: [
     {
       name: '完整统计计算测试',
@@ -218,6 +577,10 @@ const testCases = {
         // 验证地区统计
         console.assert(results.byRegion.Asia, '缺少Asia地区统计');
         console.assert(results.byRegion.Asia.mean === 150, `Asia地区平均值错误: 期望150, 实际${results.byRegion.Asia.mean}`);
+        console.assert(
+          Math.abs(results.byRegion.Asia.weightedMean - 500 / 3) < 1e-6,
+          `Asia地区加权平均值错误: 实际${results.byRegion.Asia.weightedMean}`
+        );
         
         // 验证资源统计
         console.assert(results.byResource.Cereals, '缺少Cereals资源统计');
@@ -232,6 +595,1554 @@ const testCases = {
     }
   ],
 
+  // 自定义分组维度测试
+  dimensions: [
+    {
+      name: '维度规格规范化测试',
+      fn: () => {
+        const single = normalizeDimension('sim_name');
+        console.assert(single.name === 'bySimName', `维度名称错误: ${single.name}`);
+        const multi = normalizeDimension('resource, year');
+        console.assert(JSON.stringify(multi.fields) === JSON.stringify(['resource', 'year']), '多字段解析失败');
+        console.assert(multi.name === 'byResourceAndYear', `多字段维度名称错误: ${multi.name}`);
+        const named = normalizeDimension({ name: 'custom', fields: ['region'] });
+        console.assert(named.name === 'custom', '自定义维度名称未生效');
+        console.log('✓ 维度规格规范化测试通过');
+      }
+    },
+    {
+      name: '自定义维度统计测试',
+      fn: () => {
+        const testData = [
+          { id: "1", sim_name: "CHN", region: "Asia", resource: "Cereals", year: 2020, value: 100, weight: 50 },
+          { id: "2", sim_name: "CHN", region: "Asia", resource: "Cereals", year: 2021, value: 200, weight: 100 },
+          { id: "3", sim_name: "FRA", region: "Europe", resource: "Fruits", year: 2020, value: 150, weight: 75 }
+        ];
+        
+        const results = calculateStatistics(testData, {
+          dimensions: [['resource', 'year'], 'sim_name'],
+          metric: 'weight'
+        });
+        
+        console.assert(!results.byRegion, '指定维度后不应输出默认维度');
+        console.assert(results.byResourceAndYear.Cereals['2021'].sum === 100, '嵌套维度统计错误');
+        console.assert(results.bySimName.CHN.mean === 75, `按 weight 统计错误: ${results.bySimName.CHN.mean}`);
+        console.assert(results.globalWeight, '缺少全局权重统计');
+        console.log('✓ 自定义维度统计测试通过');
+      }
+    },
+    {
+      name: '分组键原型污染测试',
+      fn: async () => {
+        const testData = [
+          { id: "1", region: "__proto__", resource: "constructor", year: 2020, value: 100, weight: 1 },
+          { id: "2", region: "Asia", resource: "__proto__", year: 2020, value: 50, weight: 1 }
+        ];
+        const options = { dimensions: ['region', ['resource', 'region'], ['region', 'resource']] };
+
+        for (const results of [calculateStatistics(testData, options), await calculateStatisticsStream([testData], options)]) {
+          console.assert(!('Asia' in {}) && ({}).constructor === Object, '分组键不应污染 Object.prototype');
+          console.assert(Object.keys(results.byRegion).sort().join() === 'Asia,__proto__', '__proto__ 应作为普通分组键');
+          console.assert(results.byRegion.__proto__.sum === 100, '__proto__ 分组统计错误');
+          console.assert(JSON.stringify(Object.keys(results.byResourceAndRegion)) === '["constructor","__proto__"]', '嵌套分组的 __proto__ 键错误');
+          console.assert(results.byRegionAndResource.__proto__.constructor.count === 1, '嵌套分组的 constructor 键错误');
+        }
+        console.log('✓ 分组键原型污染测试通过');
+      }
+    }
+  ],
+
+  // 统计指标选择测试
+  statsSelection: [
+    {
+      name: '指标列表规范化测试',
+      fn: () => {
+        const stats = normalizeStatsList('mean, p90,mean');
+        console.assert(JSON.stringify(stats) === JSON.stringify(['mean', 'p90']), `指标列表解析失败: ${stats}`);
+        console.assert(normalizeStatsList('all').includes('kurtosis'), 'all 应包含全部指标');
+        try {
+          normalizeStatsList(['unknown']);
+          console.assert(false, '未知指标应该抛出错误');
+        } catch (error) {
+          console.assert(error.message.includes('未知的统计指标'), '错误信息不正确');
+        }
+        console.log('✓ 指标列表规范化测试通过');
+      }
+    },
+    {
+      name: '按需计算指标测试',
+      fn: () => {
+        const summary = createStatsSummary([1, 2, 3, 4], undefined, ['median', 'p75', 'weightedMean']);
+        console.assert(JSON.stringify(Object.keys(summary)) === JSON.stringify(['median', 'p75']), '应只计算所选指标且跳过加权指标');
+        console.assert(summary.p75 === 3.25, `p75 计算错误: ${summary.p75}`);
+        console.log('✓ 按需计算指标测试通过');
+      }
+    }
+  ],
+
+  // 流式统计测试
+  streaming: [
+    {
+      name: '累加器合并测试',
+      fn: () => {
+        const values = [3, 1, 4, 1, 5, 9, 2, 6, 5, 3, 5];
+        const whole = createAccumulator();
+        values.forEach(value => accumulate(whole, value, value));
+        
+        const left = createAccumulator();
+        const right = createAccumulator();
+        values.slice(0, 4).forEach(value => accumulate(left, value, value));
+        values.slice(4).forEach(value => accumulate(right, value, value));
+        const merged = mergeAccumulators(left, right);
+        
+        for (const field of ['count', 'mean', 'm2', 'm3', 'm4', 'min', 'max']) {
+          console.assert(
+            Math.abs(merged[field] - whole[field]) < 1e-9,
+            `合并后 ${field} 不一致: ${merged[field]} vs ${whole[field]}`
+          );
+        }
+        console.assert(Math.abs(merged.weighted.s - whole.weighted.s) < 1e-9, '合并后加权方差不一致');
+        console.log('✓ 累加器合并测试通过');
+      }
+    },
+    {
+      name: '分位数草图误差测试',
+      fn: () => {
+        const errorBound = 0.02;
+        const values = Array.from({ length: 50000 }, (_, i) => (i * 7919) % 50000);
+        const sketch = createQuantileSketch(errorBound);
+        values.forEach(value => sketchAdd(sketch, value));
+        
+        const retained = sketch.levels.reduce((acc, level) => acc + level.length, 0);
+        console.assert(retained < 1000, `草图保留元素过多: ${retained}`);
+        for (const q of [0.05, 0.25, 0.5, 0.75, 0.95]) {
+          // 值即秩：0..49999 的一个排列
+          const rankError = Math.abs(sketchQuantile(sketch, q) / values.length - q);
+          console.assert(rankError <= errorBound, `q=${q} 秩误差 ${rankError} 超过 ${errorBound}`);
+        }
+        console.log('✓ 分位数草图误差测试通过');
+      }
+    },
+    {
+      name: '流式与批量结果一致性测试 (demo.json)',
+      fn: async () => {
+        const data = loadDemoData();
+        const batch = calculateStatistics(data);
+        const stream = await calculateStatisticsStream(toChunks(data, 50));
+        
+        const dimensions = [['byRegion', 1], ['byRegionAndYear', 2], ['byResource', 1]];
+        for (const [name, depth] of dimensions) {
+          console.assert(stream[name], `流式结果缺少 ${name}`);
+          for (const [keys, summary] of flattenGroups(stream[name], depth)) {
+            const expected = keys.reduce((node, key) => node[key], batch[name]);
+            for (const [stat, value] of Object.entries(summary)) {
+              const tolerance = 1e-6 * Math.max(1, Math.abs(expected[stat]));
+              console.assert(
+                Math.abs(value - expected[stat]) <= tolerance,
+                `${name} ${keys.join('/')} ${stat} 不一致: ${value} vs ${expected[stat]}`
+              );
+            }
+          }
+        }
+        console.assert(
+          JSON.stringify(stream.globalWeight) === JSON.stringify(batch.globalWeight),
+          '流式全局权重统计与批量结果不一致'
+        );
+        console.log('✓ 流式与批量结果一致性测试通过');
+      }
+    },
+    {
+      name: '流式不支持的指标测试',
+      fn: async () => {
+        try {
+          await calculateStatisticsStream([[]], { stats: ['mode'] });
+          console.assert(false, '流式模式请求 mode 应该抛出错误');
+        } catch (error) {
+          console.assert(error.message.includes('流式模式不支持'), `错误信息不正确: ${error.message}`);
+        }
+        console.log('✓ 流式不支持的指标测试通过');
+      }
+    }
+  ],
+
+  // 多线程并行统计测试
+  parallel: [
+    {
+      name: '并行与批量结果一致性测试 (demo.json)',
+      fn: async () => {
+        const data = [...loadDemoData(), { id: 'bad', region: 'X' }];
+        const options = { where: 'year >= 2000', trends: true, ranking: { top: 3 } };
+        const batch = calculateStatistics(data, options);
+        const parallelOptions = { ...options, approximate: true, stats: STREAM_DEFAULT_STATS, workers: 3, threshold: 0 };
+        console.assert(chooseEngine(data, parallelOptions) === 'parallel', '显式允许近似并指定指标时应并行聚合');
+        const parallel = await calculateStatisticsParallel(data, parallelOptions);
+
+        console.assert(!('weightedMedian' in parallel.byRegion[Object.keys(parallel.byRegion)[0]]), '并行结果应只包含请求的流式指标');
+        for (const [name, depth] of [['byRegion', 1], ['byRegionAndYear', 2], ['byResource', 1]]) {
+          for (const [keys, summary] of flattenGroups(parallel[name], depth)) {
+            const expected = keys.reduce((node, key) => node[key], batch[name]);
+            for (const [stat, value] of Object.entries(summary)) {
+              console.assert(
+                closeTo(value, expected[stat], 1e-6 * Math.max(1, Math.abs(expected[stat]))),
+                `${name} ${keys.join('/')} ${stat} 不一致: ${value} vs ${expected[stat]}`
+              );
+            }
+          }
+        }
+        console.assert(JSON.stringify(parallel.validation) === JSON.stringify(batch.validation), '并行统计的校验报告应与批量一致');
+        console.assert(JSON.stringify(parallel.filter) === JSON.stringify(batch.filter), '并行统计的过滤摘要应与批量一致');
+        console.assert(JSON.stringify(parallel.ranking) === JSON.stringify(batch.ranking), '并行统计的排名应与批量一致');
+        console.assert(parallel.trends, '并行统计应包含趋势分析');
+        console.log('✓ 并行与批量结果一致性测试通过');
+      }
+    },
+    {
+      name: '并行自动回退测试',
+      fn: async () => {
+        const data = loadDemoData();
+        const small = await calculateStatisticsParallel(data, { workers: 2, approximate: true, stats: ['mean'] });
+        const region = Object.keys(small.byRegion)[0];
+        console.assert(Object.keys(small.byRegion[region]).join() === 'mean', '数据量小于阈值时应使用单线程统计');
+
+        // 默认选项即使超过阈值也应单线程精确计算，结果与 calculateStatistics 完全一致
+        const batch = calculateStatistics(data);
+        for (const options of [{ workers: 2, threshold: 0 }, { workers: 2, threshold: 0, approximate: true }, { workers: 2, threshold: 0, stats: ['median'] }]) {
+          console.assert(chooseEngine(data, options) === 'worker', `未显式允许近似时应在工作线程中精确计算: ${JSON.stringify(options)}`);
+        }
+        const exact = await calculateStatisticsParallel(data, { workers: 2, threshold: 0 });
+        console.assert(JSON.stringify(exact.byRegion) === JSON.stringify(batch.byRegion), '默认选项的结果应与单线程计算一致（含加权中位数和精确中位数）');
+
+        const withOutliers = await calculateStatisticsParallel(data, { workers: 2, threshold: 0, outliers: 'iqr' });
+        console.assert(withOutliers.outliers, '需要完整数据的选项应回退到单线程统计');
+
+        try {
+          await calculateStatisticsParallel(data, { workers: -1 });
+          console.assert(false, '无效的线程数应该抛出错误');
+        } catch (error) {
+          console.assert(error.message.includes('无效的线程数'), `错误信息不正确: ${error.message}`);
+        }
+        console.log('✓ 并行自动回退测试通过');
+      }
+    },
+    {
+      name: '工作线程精确统计测试',
+      fn: async () => {
+        const data = [...loadDemoData(), { id: 'bad', region: 'X' }];
+        const options = {
+          where: 'year >= 2000',
+          schema: { fields: { region: { required: true }, value: { type: 'number', required: true }, weight: { type: 'number', validate: 'positive' } } },
+          outliers: 'iqr',
+          histogram: true
+        };
+        console.assert(chooseEngine(data, options) === 'worker', '默认应在工作线程中精确计算');
+
+        // 计算期间主线程的事件循环不被阻塞，进度事件照常转发
+        let ticked = false;
+        setImmediate(() => { ticked = true; });
+        const events = [];
+        const results = await calculateStatisticsParallel(data, { ...options, onProgress: event => events.push(event) });
+        console.assert(ticked, '工作线程计算期间主线程应能处理其他事件');
+        console.assert(
+          JSON.stringify(results) === JSON.stringify(calculateStatistics(data, options)),
+          '工作线程的统计结果应与主线程计算完全一致'
+        );
+        console.assert(events.some(event => event.type === 'records') && events.at(-1).percent === 100, '应转发工作线程的进度事件');
+
+        // 无法复制到工作线程的选项在主线程计算
+        registerValidator('evenYear', (value) => value % 2 === 0 || '必须是偶数年');
+        console.assert(chooseEngine(data, { workers: 0, approximate: true, stats: ['mean'] }) === 'worker', 'workers 为 0 时不分片，仍在工作线程中计算');
+        const local = [
+          { where: (record) => record.year >= 2000 },
+          { schema: { fields: { year: { type: 'number', validate: 'evenYear' } } } },
+          { schema: { fields: { year: { type: 'number', validate: (value) => value > 0 } } } }
+        ];
+        for (const localOptions of local) {
+          console.assert(chooseEngine(data, localOptions) === 'serial', `应在主线程计算: ${Object.keys(localOptions)}`);
+        }
+        const evenYears = await calculateStatisticsParallel(data, local[1]);
+        console.assert(evenYears.validation.reasons['CUSTOM_VALIDATION:year'], '主线程计算应使用注册的校验器');
+
+        // 线程内的错误保留校验报告
+        try {
+          await calculateStatisticsParallel([{ id: 1 }]);
+          console.assert(false, '没有有效记录时应该抛出错误');
+        } catch (error) {
+          console.assert(error.message === '没有有效的数据记录' && error.validation.rejected === 1, `错误应附带校验报告: ${error.message}`);
+        }
+
+        // 计算中途取消：结束工作线程
+        const controller = new AbortController();
+        try {
+          await calculateStatisticsParallel(data, { signal: controller.signal, onProgress: () => controller.abort() });
+          console.assert(false, '取消的计算应该抛出错误');
+        } catch (error) {
+          console.assert(error.message === '统计已取消', `错误信息不正确: ${error.message}`);
+        }
+        console.log('✓ 工作线程精确统计测试通过');
+      }
+    }
+  ],
+
+  // 数据解析测试
+  parsers: [
+    {
+      name: '增量JSON解析分块边界测试',
+      fn: () => {
+        const text = fs.readFileSync(path.join(__dirname, '../demo.json'), 'utf-8');
+        const expected = JSON.stringify(loadDemoData());
+        for (const size of [1, 7, 4096]) {
+          const parser = createJsonRecordParser();
+          const records = [];
+          for (let i = 0; i < text.length; i += size) {
+            records.push(...parser.write(text.slice(i, i + size)));
+          }
+          parser.end();
+          console.assert(JSON.stringify(records) === expected, `分块大小 ${size} 时解析结果不一致`);
+        }
+        console.log('✓ 增量JSON解析分块边界测试通过');
+      }
+    },
+    {
+      name: '增量JSON解析结构识别测试',
+      fn: () => {
+        const parser = createJsonRecordParser();
+        const text = JSON.stringify({ meta: { nodes: [0] }, 'a"b': 'x]', nodes: [{ s: 'a,]"}' }, 2, [1, [2]]] });
+        const records = parser.write(text);
+        parser.end();
+        console.assert(
+          JSON.stringify(records) === JSON.stringify([{ s: 'a,]"}' }, 2, [1, [2]]]),
+          `应只解析顶层 nodes 数组: ${JSON.stringify(records)}`
+        );
+        
+        const incomplete = createJsonRecordParser();
+        incomplete.write('[{"id": 1}, {"id"');
+        try {
+          incomplete.end();
+          console.assert(false, '不完整的 JSON 应该抛出错误');
+        } catch (error) {
+          console.assert(error.message.includes('文件不完整'), `错误信息不正确: ${error.message}`);
+        }
+        console.log('✓ 增量JSON解析结构识别测试通过');
+      }
+    },
+    {
+      name: '流式读取与统计测试',
+      fn: async () => {
+        let progress = null;
+        const chunks = readJsonRecords(fs.createReadStream(path.join(__dirname, '../demo.json')), {
+          chunkSize: 64,
+          onProgress: info => { progress = info; }
+        });
+        const results = await calculateStatisticsStream(chunks);
+        console.assert(progress.records === 218, `已处理记录数错误: ${progress.records}`);
+        console.assert(progress.bytesRead === fs.statSync(path.join(__dirname, '../demo.json')).size, '已读取字节数错误');
+        console.assert(Object.keys(results.byRegion).length === 12, '流式读取后地区统计错误');
+        console.log('✓ 流式读取与统计测试通过');
+      }
+    },
+    {
+      name: 'CSV解析测试',
+      fn: () => {
+        const csv = 'id,region,resource,year,value,weight\r\n' +
+          '1,"Asia, East","Cer""eals",2012, 3.5 ,\n\n' +
+          '2,Europe,"multi\nline",bad,1,2\n';
+        const records = parseRecords(csv, 'csv');
+        console.assert(records.length === 2, `CSV 记录数错误: ${records.length}`);
+        console.assert(records[0].region === 'Asia, East', '引号内的分隔符应保留');
+        console.assert(records[0].resource === 'Cer"eals', '双引号转义失败');
+        console.assert(records[0].year === 2012 && records[0].value === 3.5, '数值字段应转换为数字');
+        console.assert(records[0].weight === null, '空的数值字段应视为缺失');
+        console.assert(records[1].resource === 'multi\nline', '引号内的换行应保留');
+        console.assert(records[1].year === 'bad', '无法转换的值应保留原值');
+        console.assert(validateAndCleanData(records).length === 0, '两条记录都应被数据验证过滤');
+        console.log('✓ CSV解析测试通过');
+      }
+    },
+    {
+      name: 'TSV与表头检测测试',
+      fn: () => {
+        const noHeader = parseRecords('4\tAFG\tAfghanistan\tSouth Asia\tCereals\t2012\t57.847\t73.355', 'tsv');
+        console.assert(noHeader[0].region === 'South Asia', '无表头时应使用默认列顺序');
+        console.assert(noHeader[0].weight === 73.355, '无表头时数值转换失败');
+        
+        const custom = parseRecords('a;b\n1;2', 'csv', { delimiter: ';' });
+        console.assert(custom[0].a === '1' && custom[0].b === '2', '自定义分隔符解析失败');
+        console.log('✓ TSV与表头检测测试通过');
+      }
+    },
+    {
+      name: 'NDJSON解析测试',
+      fn: async () => {
+        const lines = '{"id":"1","year":"2012","value":1}\n\n{"id":"2","year":2013,"value":"2.5"}';
+        const chunks = [];
+        for await (const chunk of readRecords([lines.slice(0, 10), lines.slice(10)], { format: 'ndjson' })) {
+          chunks.push(...chunk);
+        }
+        console.assert(chunks.length === 2, `NDJSON 记录数错误: ${chunks.length}`);
+        console.assert(chunks[0].year === 2012 && chunks[1].value === 2.5, 'NDJSON 数值字段应转换为数字');
+        
+        const mixed = parseRecords('{"id":"1","region":"A","resource":"R","year":"2012","value":"1","weight":1}\nnull\n7\n"x"', 'ndjson');
+        console.assert(mixed.length === 4 && mixed[1] === null && mixed[2] === 7, '非对象行应原样保留');
+        const { records: validMixed, report } = validateRecords(mixed);
+        console.assert(validMixed.length === 1 && report.reasons.NOT_OBJECT.count === 3, '非对象行应计为无效记录');
+        
+        try {
+          parseRecords('{"id":1}\n{bad', 'ndjson');
+          console.assert(false, '无效的 NDJSON 行应该抛出错误');
+        } catch (error) {
+          console.assert(error.message.includes('第 2 行'), `错误信息应包含行号: ${error.message}`);
+        }
+        console.log('✓ NDJSON解析测试通过');
+      }
+    },
+    {
+      name: '输入格式识别测试',
+      fn: () => {
+        console.assert(detectInputFormat('data/export.CSV') === 'csv', 'CSV 扩展名识别失败');
+        console.assert(detectInputFormat('export.jsonl') === 'ndjson', 'JSONL 扩展名识别失败');
+        console.assert(detectInputFormat('export.tsv') === 'tsv', 'TSV 扩展名识别失败');
+        console.assert(detectInputFormat('export') === 'json', '无扩展名时应按 JSON 处理');
+        console.log('✓ 输入格式识别测试通过');
+      }
+    }
+  ],
+
+  // 报告输出测试
+  filter: [
+    {
+      name: '过滤表达式语义测试',
+      fn: () => {
+        const records = [
+          { id: "1", name: "China", region: "Asia", year: 2015, value: 150 },
+          { id: "2", name: "Chad", region: "Africa", year: "2018", value: 80 },
+          { id: "3", name: "France", region: "Europe", year: 2021, value: 120, note: null },
+          { id: "4", name: "Peru", region: "America", year: 2016 }
+        ];
+        const ids = (where) => records.filter(compileFilter(where)).map(item => item.id).join(',');
+        
+        console.assert(ids('year BETWEEN 2015 AND 2020') === '1,2,4', '范围过滤错误（数值字符串应按数值比较）');
+        console.assert(ids("region = 'Asia' OR value < 100") === '1,2', 'OR 过滤错误');
+        console.assert(ids("region IN ('Asia', 'Europe') and not value > 130") === '3', 'IN/NOT 过滤错误');
+        console.assert(ids("name STARTSWITH 'Ch' && !(year >= 2016)") === '1', '符号形式的逻辑运算符错误');
+        console.assert(ids("name LIKE 'C_ina' OR name ENDSWITH 'ru'") === '1,4', 'LIKE/ENDSWITH 错误');
+        console.assert(ids('name MATCHES /^c/i') === '1,2', '正则匹配错误');
+        console.assert(ids("name LIKE '%a%' AND name LIKE 'C%'") === '1,2' && ids("name LIKE '%%e_'") === '', 'LIKE 通配符错误');
+        console.assert(ids("name CONTAINS 'a'") === '1,2,3', 'CONTAINS 应区分大小写');
+        console.assert(ids('value = null') === '4' && ids('note != null') === '', 'null 判断错误');
+        console.assert(ids('value != 150') === '2,3', '缺失字段的比较条件不应成立');
+        console.assert(ids('region NOT IN (\'Asia\') AND year NOT BETWEEN 2016 AND 2020') === '3', 'NOT IN / NOT BETWEEN 错误');
+        console.assert(ids('a = 1 OR b = 2 AND c = 3') === '', '空结果错误');
+        console.assert(ids('value NOT BETWEEN 100 AND 130') === '1,2', '字段缺失时 NOT BETWEEN 不应成立');
+        console.assert(ids('value NOT IN (150, 120)') === '2', '字段缺失时 NOT IN 不应成立');
+        console.assert(ids("note NOT CONTAINS 'x'") === '', '字段缺失时 NOT CONTAINS 不应成立');
+        console.assert(ids('NOT (value IN (150, 120))') === '2,4', '条件前的 NOT 应为逻辑取反');
+        
+        const ast = parseFilter('a = 1 OR b = 2 AND c = 3');
+        console.assert(ast.type === 'or' && ast.right.type === 'and', 'AND 优先级应高于 OR');
+        
+        // 与 fp.filter 组合
+        const filterAsia = fp.filter(compileFilter("region = 'Asia'"));
+        console.assert(filterAsia(records).length === 1, '应能与 fp.filter 组合');
+        console.log('✓ 过滤表达式语义测试通过');
+      }
+    },
+    {
+      name: '过滤表达式错误测试',
+      fn: () => {
+        const invalid = ['', 'year >', 'year BETWEEN 1 2', '(year = 1', 'region IN ()', 'year ~ 3', "name = 'x", 'and = 1', 'a = 1 b', 'a MATCHES /(/',
+          'a MATCHES /(a+)+$/', "a MATCHES '(x|xy)*z'", 'a MATCHES /(\\w)\\1/', `a MATCHES /${'a'.repeat(201)}/`,
+          'a MATCHES /.*.*.*.*.*x/', "a MATCHES '\\\\w+\\\\s*\\\\w+$'", 'a MATCHES /.*x.*x.*y/', 'a MATCHES /a+A+/i'];
+        for (const where of invalid) {
+          let message = '';
+          try {
+            compileFilter(where);
+          } catch (error) {
+            message = error.message;
+          }
+          console.assert(message.startsWith('过滤表达式'), `应拒绝表达式: ${where}`);
+        }
+        
+        // 拒绝可能指数级回溯的正则；LIKE 不经过正则，病态模式也在线性时间附近完成
+        const start = Date.now();
+        const like = compileFilter(`name LIKE '${'%a'.repeat(30)}b'`);
+        console.assert(!like({ name: 'a'.repeat(5000) }), 'LIKE 病态模式不应匹配');
+        console.assert(Date.now() - start < 1000, 'LIKE 匹配耗时过长');
+        const safe = ['^(Asia|Europe)$', '[a-z]+(,[a-z]+)?', '^\\s*\\d+\\s*$', '^[\\w.+-]+@[\\w-]+\\.\\w+$', '^(?=.*\\d)(?=.*[a-z]).{8,}$', 'a+A+'];
+        console.assert(safe.every(pattern => findUnsafeConstruct(pattern) === null), '不应拒绝普通正则');
+        console.log('✓ 过滤表达式错误测试通过');
+      }
+    },
+    {
+      name: '分组前过滤测试',
+      fn: async () => {
+        const data = loadDemoData();
+        const where = "year BETWEEN 2013 AND 2015 AND value > 100";
+        const expected = data.filter(item => item.year >= 2013 && item.year <= 2015 && item.value > 100);
+        
+        const results = calculateStatistics(data, { where, dimensions: ['year'] });
+        console.assert(results.filter.matched === expected.length, '匹配记录数错误');
+        console.assert(results.filter.excluded === data.length - expected.length, '排除记录数错误');
+        const counted = Object.values(results.byYear).reduce((acc, stats) => acc + stats.count, 0);
+        console.assert(counted === expected.length, '分组统计应只包含匹配的记录');
+        
+        const streamed = await calculateStatisticsStream(toChunks(data, 40), { where, dimensions: ['year'] });
+        console.assert(JSON.stringify(streamed.filter) === JSON.stringify(results.filter), '流式过滤结果应与批量一致');
+        console.assert(streamed.byYear['2013'].sum === results.byYear['2013'].sum, '流式过滤统计错误');
+        
+        const none = calculateStatistics(data, { where: 'year > 3000' });
+        console.assert(none.filter.matched === 0 && Object.keys(none.byRegion).length === 0, '无匹配时应返回空分组');
+        console.log('✓ 分组前过滤测试通过');
+      }
+    }
+  ],
+  
+  profile: [
+    {
+      name: '数据质量概况测试',
+      fn: () => {
+        const data = [
+          { id: "1", sim_name: "AFG", name: "Afghanistan", region: "Asia", resource: "Cereals", year: 2012, value: 10, weight: 5 },
+          { id: "2", sim_name: "ALB", name: "Albania", region: "", resource: "Cereals", year: 1850, value: "20", weight: -1 },
+          { id: "1", sim_name: "AFX", name: "Afghanistan", region: "Asia", resource: "Cereals", year: 2013, value: 30, weight: 5 },
+          { id: "3", region: "Europe", resource: "Cereals", year: 2012, value: "abc", weight: 1, extra: true }
+        ];
+        const profile = profileData(data);
+        const field = (name) => profile.fields.find(item => item.name === name);
+        
+        console.assert(profile.totalRecords === 4 && profile.validation.rejected === 1, '校验报告错误');
+        console.assert(field('sim_name').missing === 1 && field('sim_name').missingRate === 0.25, '缺失率错误');
+        console.assert(field('region').empty === 1 && field('region').distinct === 3, '空值和不同值数量错误');
+        console.assert(field('extra').missing === 3, '后出现的字段应计入之前记录的缺失');
+        console.assert(JSON.stringify(field('value').types) === JSON.stringify({ number: 2, string: 2 }), '类型分布错误');
+        console.assert(field('value').numeric.count === 3 && field('value').numeric.max === 30, '数值范围错误');
+        console.assert(profile.duplicateIds.count === 1 && profile.duplicateIds.samples[0].occurrences === 2, '重复 id 检查错误');
+        console.assert(profile.suspicious.negativeWeights.samples[0].index === 1, '负权重检查错误');
+        console.assert(profile.suspicious.implausibleYears.count === 1, '不合理年份检查错误');
+        const mismatch = profile.suspicious.nameMismatches.samples[0];
+        console.assert(mismatch.id === "1" && mismatch.sim_name.join() === 'AFG,AFX', 'sim_name 不一致检查错误');
+        console.log('✓ 数据质量概况测试通过');
+      }
+    },
+    {
+      name: '分块数据质量概况测试',
+      fn: () => {
+        const data = loadDemoData();
+        const state = createProfileState({ yearRange: [2013, 2016] });
+        for (const chunk of toChunks(data, 50)) profileRecords(state, chunk);
+        const chunked = finalizeProfile(state);
+        const whole = profileData(data, { yearRange: [2013, 2016] });
+        
+        console.assert(JSON.stringify(chunked) === JSON.stringify(whole), '分块结果应与一次性结果一致');
+        const years = whole.suspicious.implausibleYears;
+        console.assert(years.count === data.filter(item => item.year === 2012).length, '年份范围选项未生效');
+        console.assert(years.samples.every(sample => data[sample.index].year === 2012), '样例行号应对应原始记录');
+        
+        const csv = formatProfileCsv(whole).split('\n');
+        console.assert(csv[0].startsWith('field,present,missing'), 'CSV 表头错误');
+        console.assert(csv.length === whole.fields.length + 2, 'CSV 应每个字段一行');
+        console.assert(formatProfileMarkdown(whole).includes('| 不合理年份 (year 不在 2013-2016 内) |'), 'Markdown 应列出问题');
+        console.log('✓ 分块数据质量概况测试通过');
+      }
+    }
+  ],
+  
+  trends: [
+    {
+      name: '序列分析测试',
+      fn: () => {
+        const series = analyzeSeries([[2013, 200], [2010, 100], [2011, 110], [2012, 150], ['x', 1]], { window: 2 });
+        console.assert(series.from === 2010 && series.to === 2013 && series.points.length === 4, '应按年份排序并忽略无效年份');
+        console.assert(series.points[1].change === 10 && series.points[1].changePercent === 10, '同比变化错误');
+        console.assert(series.points[0].movingAverage === null && series.points[3].movingAverage === 175, '移动平均错误');
+        console.assert(closeTo(series.cagr, Math.cbrt(2) - 1), 'CAGR 错误');
+        
+        const gapped = analyzeSeries([[2010, 1], [2013, 4]]);
+        console.assert(gapped.gaps.join() === '2011,2012', '缺失年份错误');
+        console.assert(gapped.points[1].change === null, '上一年缺失时不应计算同比');
+        
+        const fit = linearRegression([1, 2, 3], [3, 5, 7]);
+        console.assert(fit.slope === 2 && fit.intercept === 1 && fit.r2 === 1, '线性回归错误');
+        console.assert(linearRegression([1, 1], [1, 2]) === null, 'x 全部相同时应返回 null');
+        console.log('✓ 序列分析测试通过');
+      }
+    },
+    {
+      name: '趋势统计测试',
+      fn: async () => {
+        const data = [];
+        ['Asia', 'Europe'].forEach((region, r) => {
+          [2010, 2011, 2012, 2014].forEach((year, i) => {
+            data.push({ id: `${region}-${year}`, region, resource: 'Cereals', year, value: (r + 1) * (i + 1), weight: 1 });
+          });
+        });
+        const results = calculateStatistics(data, { trends: true });
+        const asia = results.trends.byRegion.Asia;
+        console.assert(results.trends.stat === 'sum' && results.trends.window === 3, '趋势默认选项错误');
+        console.assert(asia.points.map(point => point.value).join() === '1,2,3,4', '每年取值错误');
+        console.assert(asia.gaps.join() === '2013', '缺失年份错误');
+        console.assert(results.trends.byResource.Cereals.points[0].value === 3, '资源类型趋势错误');
+        const proto = calculateStatistics(data.map(item => ({ ...item, region: item.region === 'Asia' ? '__proto__' : item.region })), { trends: true });
+        console.assert(Object.keys(proto.trends.byRegion).join() === '__proto__,Europe', '分组键 __proto__ 的趋势丢失');
+        
+        const streamed = await calculateStatisticsStream(toChunks(data, 3), { trends: { stat: 'mean' } });
+        const batch = calculateStatistics(data, { trends: { stat: 'mean' } });
+        console.assert(JSON.stringify(streamed.trends) === JSON.stringify(batch.trends), '流式趋势应与批量一致');
+        
+        let error = null;
+        try {
+          normalizeTrendOptions({ window: 0 });
+        } catch (e) {
+          error = e;
+        }
+        console.assert(error && error.message.includes('移动平均窗口'), '无效窗口应报错');
+        console.log('✓ 趋势统计测试通过');
+      }
+    }
+  ],
+  
+  correlation: [
+    {
+      name: '相关系数与协方差测试',
+      fn: () => {
+        console.assert(pearson([1, 2, 3, 4], [2, 4, 6, 8]) === 1, '完全正相关应为 1');
+        console.assert(pearson([1, 2, 3, 4], [8, 6, 4, 2]) === -1, '完全负相关应为 -1');
+        console.assert(pearson([1, 2, 3], [5, 5, 5]) === null, '变量没有变化时应为 null');
+        console.assert(pearson([1], [1]) === null, '点数不足时应为 null');
+        
+        // 单调但非线性：Spearman 为 1，Pearson 小于 1
+        const xs = [1, 2, 3, 4, 5];
+        const ys = xs.map(x => x ** 3);
+        console.assert(spearman(xs, ys) === 1 && pearson(xs, ys) < 1, 'Spearman 应只依赖排序');
+        // 相同值取平均秩
+        console.assert(closeTo(spearman([1, 2, 2, 3], [1, 2, 3, 4]), 4.5 / Math.sqrt(4.5 * 5)), '相同值的秩计算错误');
+        
+        const records = [{ a: 1, b: 2 }, { a: 2, b: 4 }, { a: 3, b: 7 }, { a: 'x', b: 1 }];
+        const { count, matrix } = covarianceMatrix(records, ['a', 'b']);
+        console.assert(count === 3, '协方差矩阵应只使用完整的记录');
+        console.assert(JSON.stringify(roundResults(matrix)) === JSON.stringify([[1, 2.5], [2.5, 6.333333]]), '样本协方差矩阵错误');
+        console.assert(covarianceMatrix([{ a: 1, b: 1 }], ['a', 'b']).matrix === null, '记录不足时矩阵应为 null');
+        
+        let error = null;
+        try {
+          normalizeCorrelationOptions({ fields: 'value' });
+        } catch (e) {
+          error = e;
+        }
+        console.assert(error && error.message.includes('两个字段'), '协方差矩阵字段不足应报错');
+        console.log('✓ 相关系数与协方差测试通过');
+      }
+    },
+    {
+      name: '回归与分组相关性测试',
+      fn: async () => {
+        const records = [
+          { id: 1, region: 'A', x: 1, y: 3 },
+          { id: 2, region: 'A', x: 2, y: 5 },
+          { id: 3, region: 'A', x: 3, y: 10 },
+          { id: 4, region: 'B', x: 1, y: 1 },
+          { id: 5, region: 'B', x: 2, y: 1 }
+        ];
+        const result = analyzeCorrelation(records, { x: 'x', y: 'y', by: 'region', residuals: 1, sample: 2 });
+        const { regression } = result.byRegion.A;
+        console.assert(regression.slope === 3.5 && regression.intercept === -1 && closeTo(regression.r2, 49 / 52), '回归系数错误');
+        console.assert(closeTo(regression.standardError, Math.sqrt(1.5)), '残差标准误错误');
+        console.assert(regression.residuals.length === 1 && regression.residuals[0].id === 2 && regression.residuals[0].residual === -1, '最大残差记录错误');
+        console.assert(result.byRegion.B.pearson === null && result.byRegion.B.regression.slope === 0, '因变量不变时相关系数为 null');
+        console.assert(result.overall.count === 5 && result.overall.sample.length === 2, '整体结果或抽样点数错误');
+        const proto = analyzeCorrelation(records.map(record => ({ ...record, region: record.region === 'A' ? '__proto__' : 'B' })), { x: 'x', y: 'y', by: 'region' });
+        console.assert(Object.keys(proto.byRegion).join() === '__proto__,B' && proto.byRegion.__proto__.regression.slope === 3.5, '分组键 __proto__ 的相关性结果丢失');
+        
+        const data = loadDemoData();
+        const results = calculateStatistics(data, { correlation: true });
+        const { correlation } = results;
+        console.assert(correlation.x === 'weight' && correlation.y === 'value', '默认应分析统计字段与权重字段');
+        console.assert(correlation.overall.count === data.length && correlation.overall.pearson > 0.9, 'demo 数据中 value 与 weight 应强相关');
+        console.assert(Object.keys(correlation.byRegion).length === Object.keys(results.byRegion).length, '各地区都应有相关性结果');
+        
+        const sections = correlationSections(correlation);
+        console.assert(sections[0].title === 'value 与 weight 的相关性 (整体)' && sections[0].rows[0][0] === '整体', '相关性表格错误');
+        console.assert(sections[1].title.endsWith('(按地区)'), '分组相关性标题错误');
+        console.assert(covarianceTable(correlation).rows.length === 2, '协方差矩阵表格错误');
+        
+        let error = null;
+        try {
+          await calculateStatisticsStream(toChunks(data, 50), { correlation: true });
+        } catch (e) {
+          error = e;
+        }
+        console.assert(error && error.message.includes('流式模式不支持相关性分析'), '流式模式应拒绝相关性分析');
+        console.log('✓ 回归与分组相关性测试通过');
+      }
+    }
+  ],
+  
+  histogram: [
+    {
+      name: '分箱测试',
+      fn: () => {
+        const values = [1, 2, 2, 3, 4, 5, 10, NaN];
+        const count = binValues(values, { method: 'count', bins: 3 });
+        console.assert(count.edges.join() === '1,4,7,10' && count.counts.join() === '4,2,1', '固定箱数分箱错误');
+        console.assert(count.total === 7, '应忽略非数值');
+        
+        const width = binValues(values, { method: 'width', width: 4 });
+        console.assert(width.edges.join() === '0,4,8,12' && width.counts.join() === '4,2,1', '固定宽度分箱错误');
+        
+        const quantile = binValues([1, 2, 3, 4, 5, 6, 7, 8], { method: 'quantile', bins: 4 });
+        console.assert(quantile.counts.join() === '2,2,2,2', '等频分箱错误');
+        
+        const log = binValues([-1, 0, 1, 10, 100, 1000], { method: 'log', bins: 3 });
+        console.assert(log.edges.join() === '1,10,100,1000' && log.counts.join() === '1,1,2' && log.excluded === 2, '对数分箱错误');
+        
+        const fd = binValues(Array.from({ length: 64 }, (_, i) => i), { method: 'fd' });
+        console.assert(fd.counts.length === 4 && fd.counts.reduce((a, b) => a + b) === 64, 'Freedman–Diaconis 分箱错误');
+        
+        const constant = binValues([3, 3, 3]);
+        console.assert(constant.edges.join() === '3,3' && constant.counts.join() === '3', '常数值应只有一个箱');
+        console.assert(binValues([]).counts.length === 0, '空数组应返回空分箱');
+        
+        let error = null;
+        try {
+          binValues(values, { method: 'width' });
+        } catch (e) {
+          error = e;
+        }
+        console.assert(error && error.message.includes('width'), '固定宽度分箱缺少 width 应报错');
+        console.log('✓ 分箱测试通过');
+      }
+    },
+    {
+      name: '直方图统计测试',
+      fn: async () => {
+        const data = loadDemoData();
+        const results = calculateStatistics(data, { histogram: { method: 'quantile', bins: 4 } });
+        const { value, weight } = results.histogram;
+        console.assert(results.histogram.fields.join() === 'value,weight', '直方图字段错误');
+        console.assert(value.overall.total === data.length && weight.overall.counts.length === 4, '整体分布错误');
+        const regionTotal = Object.values(value.byRegion).reduce((acc, bins) => acc + bins.total, 0);
+        console.assert(regionTotal === data.length, '各地区分布的记录数之和应等于总数');
+        console.assert(JSON.stringify(histogram(data, { method: 'quantile', bins: 4, by: [] }).value.overall) === JSON.stringify(value.overall), '直方图 API 与统计结果不一致');
+        const proto = histogram([{ region: '__proto__', value: 1 }, { region: 'Asia', value: 2 }], { fields: ['value'], by: ['region'] });
+        console.assert(Object.keys(proto.value.byRegion).join() === '__proto__,Asia', '分组键 __proto__ 的分布丢失');
+        
+        const [section] = histogramSections(results.histogram);
+        console.assert(section.title === 'value 分布 (等频分箱)' && section.bins.length === 4, '直方图表格错误');
+        console.assert(section.groups[0].title === 'value 分布 按地区', '分组直方图标题错误');
+        console.assert(sparkline([0, 1, 2, 4]) === ' ▂▄█', '迷你分布图错误');
+        
+        let error = null;
+        try {
+          await calculateStatisticsStream(toChunks(data, 50), { histogram: true });
+        } catch (e) {
+          error = e;
+        }
+        console.assert(error && error.message.includes('流式模式不支持直方图'), '流式模式应拒绝直方图');
+        console.log('✓ 直方图统计测试通过');
+      }
+    }
+  ],
+  
+  outliers: [
+    {
+      name: '异常值检测测试',
+      fn: () => {
+        const values = [10, 11, 12, 11, 10, 12, 11, 10, 11, 12, 11, 100];
+        const records = values.map((value, i) => ({ id: String(i), name: `N${i}`, region: 'Asia', resource: 'Cereals', year: 2012, value }));
+        records.push({ id: 'e1', region: 'Europe', resource: 'Cereals', year: 2012, value: 5 });
+        
+        for (const method of ['zscore', 'mad', 'iqr']) {
+          const result = detectOutliers(records, { method, by: 'region' });
+          const asia = result.byRegion.Asia;
+          console.assert(asia.outliers.length === 1 && asia.outliers[0].id === '11', `${method} 应只标记 100`);
+          console.assert(asia.outliers[0].direction === 'high' && asia.outliers[0].name === 'N11', `${method} 标记记录信息错误`);
+          console.assert(asia.outliers[0].reason.length > 0 && asia.upper < 100, `${method} 原因或边界错误`);
+          console.assert(result.byRegion.Europe.lower === null && result.byRegion.Europe.outliers.length === 0, '记录数不足的分组不应检测');
+        }
+        
+        const mad = detectOutliers(records, { method: 'mad', by: 'region' }).byRegion.Asia;
+        console.assert(mad.center === 11 && mad.spread === 1, 'MAD 中位数或离散度错误');
+        console.assert(closeTo(mad.outliers[0].score, 0.6745 * 89), '修正 z 分数错误');
+        
+        const constant = detectOutliers([1, 1, 1, 1].map((value, i) => ({ id: String(i), region: 'A', value })), { by: ['region'] });
+        console.assert(constant.byRegion.A.spread === null && constant.flagged === 0, '离散度为 0 时不应标记');
+        const proto = detectOutliers(records.map(record => ({ ...record, region: record.region === 'Asia' ? '__proto__' : 'Europe' })), { by: 'region' });
+        console.assert(Object.keys(proto.byRegion).join() === '__proto__,Europe' && proto.byRegion.__proto__.outliers.length === 1, '分组键 __proto__ 的检测结果丢失');
+        
+        let error = null;
+        try {
+          normalizeOutlierOptions('grubbs');
+        } catch (e) {
+          error = e;
+        }
+        console.assert(error && error.message.includes('未知的异常值检测方法'), '未知方法应报错');
+        console.log('✓ 异常值检测测试通过');
+      }
+    },
+    {
+      name: '异常值统计测试',
+      fn: async () => {
+        const data = loadDemoData();
+        const results = calculateStatistics(data, { outliers: { method: 'iqr', threshold: 3 } });
+        const { outliers } = results;
+        console.assert(outliers.method === 'iqr' && outliers.threshold === 3 && outliers.flagged > 0, '异常值结果错误');
+        const flaggedIds = new Set(['byRegion', 'byResource'].flatMap(name =>
+          Object.values(outliers[name]).flatMap(group => group.outliers.map(outlier => outlier.id))));
+        console.assert(flaggedIds.size === outliers.flagged, 'flagged 应为被标记的不同记录数');
+        
+        const sections = outlierSections(outliers);
+        console.assert(sections[0].title === '地区异常值 (IQR 围栏，阈值 3)', '异常值标题错误');
+        console.assert(sections.reduce((acc, { rows }) => acc + rows.length, 0) >= outliers.flagged, '异常值表格行数错误');
+        
+        let error = null;
+        try {
+          await calculateStatisticsStream(toChunks(data, 50), { outliers: 'mad' });
+        } catch (e) {
+          error = e;
+        }
+        console.assert(error && error.message.includes('流式模式不支持异常值检测'), '流式模式应拒绝异常值检测');
+        console.log('✓ 异常值统计测试通过');
+      }
+    }
+  ],
+  
+  ranking: [
+    {
+      name: '排名与占比测试',
+      fn: () => {
+        const groups = { A: { sum: 50 }, B: { sum: 30 }, C: { sum: 30 }, D: { sum: 10 }, E: { sum: 'x' } };
+        const ranking = rankGroups(groups, { by: 'sum', top: 2 });
+        console.assert(ranking.total === 120 && ranking.groups.length === 4, '合计错误或未忽略非数值');
+        console.assert(ranking.groups.map(entry => entry.rank).join() === '1,2,2,4', '并列名次错误');
+        console.assert(closeTo(ranking.groups[0].share, 50 / 120), '占比错误');
+        console.assert(closeTo(ranking.groups[2].cumulativeShare, 110 / 120) && ranking.groups[3].cumulativeShare === 1, '累计占比错误');
+        console.assert(ranking.top.map(entry => entry.group).join() === 'A,B' && ranking.bottom.map(entry => entry.group).join() === 'D,C', '前 N / 后 N 错误');
+        
+        const { years, ranks } = rankByYear({
+          A: { 2012: { sum: 1 }, 2013: { sum: 5 } },
+          B: { 2012: { sum: 3 }, 2013: { sum: 2 } }
+        });
+        console.assert(years.join() === '2012,2013' && ranks[2012].B === 1 && ranks[2013].A === 1, '按年份排名错误');
+        const proto = rankByYear({ A: { __proto__: null, ['__proto__']: { sum: 1 } } });
+        console.assert(Object.keys(proto.ranks).join() === '__proto__' && proto.ranks.__proto__.A === 1, '年份 __proto__ 的排名丢失');
+        
+        let error = null;
+        try {
+          normalizeRankingOptions({ top: 0 });
+        } catch (e) {
+          error = e;
+        }
+        console.assert(error && error.message.includes('排名数量'), '无效的排名数量应报错');
+        console.log('✓ 排名与占比测试通过');
+      }
+    },
+    {
+      name: '排名统计测试',
+      fn: async () => {
+        const data = [
+          { id: '1', region: 'Asia', resource: 'Cereals', year: 2012, value: 1, weight: 1 },
+          { id: '2', region: 'Europe', resource: 'Cereals', year: 2012, value: 2, weight: 1 },
+          { id: '3', region: 'Asia', resource: 'Fruits', year: 2013, value: 6, weight: 1 },
+          { id: '4', region: 'Europe', resource: 'Fruits', year: 2013, value: 3, weight: 1 }
+        ];
+        const results = calculateStatistics(data, { ranking: { top: 1 } });
+        const byRegion = results.ranking.byRegion;
+        console.assert(byRegion.top[0].group === 'Asia' && byRegion.top[0].value === 7, '排名错误');
+        console.assert(byRegion.rankChange.from === 2012 && byRegion.rankChange.to === 2013, '排名变化年份错误');
+        console.assert(byRegion.groups[0].rankChange === 1 && byRegion.groups[1].rankChange === -1, '排名变化错误');
+        
+        const streamed = await calculateStatisticsStream(toChunks(data, 3), { ranking: { top: 1 } });
+        console.assert(JSON.stringify(streamed.ranking) === JSON.stringify(results.ranking), '流式排名应与批量一致');
+        
+        const sections = rankingSections(results.ranking);
+        console.assert(sections[0].title === '地区排名 前 1 (总和，排名变化 2012→2013)', '排名标题错误');
+        console.assert(sections[0].rows[0].join() === '1,Asia,7,58.33%,58.33%,↑1', '排名表格行错误');
+        console.assert(sections[1].position === 'bottom' && sections[1].rows[0][1] === 'Europe', '后 N 名错误');
+        console.log('✓ 排名统计测试通过');
+      }
+    }
+  ],
+  
+  pivot: [
+    {
+      name: '交叉表测试',
+      fn: () => {
+        const data = [
+          { region: 'Asia', resource: 'Cereals', year: 2012, value: 1, weight: 1 },
+          { region: 'Asia', resource: 'Cereals', year: 2013, value: 3, weight: 1 },
+          { region: 'Asia', resource: 'Fruits', year: 2013, value: 10, weight: 1 },
+          { region: 'Europe', resource: 'Fruits', year: 2012, value: 20, weight: 1 }
+        ];
+        const pivot = pivotTable(data);
+        console.assert(pivot.columns.map(keys => keys[0]).join() === 'Cereals,Fruits', '列键错误');
+        console.assert(JSON.stringify(pivot.rows[0]) === JSON.stringify({ keys: ['Asia'], cells: [4, 10], total: 14 }), '单元格或行合计错误');
+        console.assert(pivot.rows[1].cells[0] === null, '没有记录的单元格应为 null');
+        console.assert(pivot.totals.cells.join() === '4,30' && pivot.totals.total === 34, '列合计或总计错误');
+        
+        // 合计从原始记录计算，而不是对单元格再取平均
+        const mean = pivotTable(data, { stat: 'mean' });
+        console.assert(closeTo(mean.rows[0].total, 14 / 3), '平均值的行合计错误');
+        
+        const nested = pivotTable(data, { rows: 'region,year', columns: ['resource'], subtotals: true, totals: false });
+        console.assert(nested.rows.map(row => row.keys.join('/')).join() === 'Asia/2012,Asia/2013,Asia,Europe/2012,Europe', '小计行位置错误');
+        console.assert(nested.rows[2].subtotal === true && nested.rows[2].cells.join() === '4,10', '小计错误');
+        console.assert(nested.totals === null && !('total' in nested.rows[0]), '关闭合计后不应有合计');
+        
+        const csv = formatPivotCsv(pivot).trim().split('\n');
+        console.assert(csv[0] === 'region,Cereals,Fruits,合计' && csv[2] === 'Europe,,20,20' && csv[3] === '总计,4,30,34', '交叉表 CSV 错误');
+        
+        let error = null;
+        try {
+          normalizePivotOptions({ rows: 'region', columns: 'region' });
+        } catch (e) {
+          error = e;
+        }
+        console.assert(error && error.message.includes('同一字段'), '行列字段相同应报错');
+        console.log('✓ 交叉表测试通过');
+      }
+    },
+    {
+      name: '流式交叉表测试',
+      fn: async () => {
+        const data = loadDemoData();
+        const options = { pivot: { rows: 'region,year', columns: 'resource', stat: 'max', subtotals: true } };
+        const batch = calculateStatistics(data, options);
+        const streamed = await calculateStatisticsStream(toChunks(data, 40), options);
+        console.assert(JSON.stringify(streamed.pivot) === JSON.stringify(batch.pivot), '流式交叉表应与批量一致');
+        console.log('✓ 流式交叉表测试通过');
+      }
+    }
+  ],
+  
+  reports: [
+    {
+      name: 'CSV报告测试',
+      fn: () => {
+        const dimensions = ['region', 'region,year'].map(normalizeDimension);
+        const results = {
+          byRegion: { 'Z, Land': { mean: 2, count: 1 }, Asia: { mean: 1, count: 2 } },
+          byRegionAndYear: { Asia: { 2021: { mean: 1, count: 1 }, 2009: { mean: 1, count: 1 } } },
+          globalWeight: { max: 3, min: 1, median: 2 }
+        };
+        const lines = formatCsv(results, dimensions).trim().split('\n');
+        console.assert(lines[0] === 'dimension,region,year,mean,max,min,median,count', `CSV 表头错误: ${lines[0]}`);
+        console.assert(lines[1].startsWith('byRegion,Asia,'), 'CSV 分组应按键排序');
+        console.assert(lines[2].startsWith('byRegion,"Z, Land",'), 'CSV 单元格应转义逗号');
+        console.assert(lines[3].startsWith('byRegionAndYear,Asia,2009,'), '年份应按数值排序');
+        console.assert(lines[5] === 'globalWeight,,,,3,1,2,', `CSV 全局权重行错误: ${lines[5]}`);
+        console.log('✓ CSV报告测试通过');
+      }
+    },
+    {
+      name: 'Markdown与HTML报告测试',
+      fn: () => {
+        const dimensions = ['region'].map(normalizeDimension);
+        const results = calculateStatistics(loadDemoData(), { dimensions });
+        const reversed = { ...results, byRegion: Object.fromEntries(Object.entries(results.byRegion).reverse()) };
+        
+        const markdown = formatMarkdown(results, 218, dimensions);
+        console.assert(markdown === formatMarkdown(reversed, 218, dimensions), 'Markdown 报告应与对象键顺序无关');
+        console.assert(markdown.includes('## 按地区统计'), 'Markdown 报告缺少地区统计章节');
+        console.assert(markdown.includes('| Caribbean and Central America |'), 'Markdown 报告缺少分组行');
+        
+        const html = formatHtml(results, 218, dimensions);
+        console.assert(html === formatHtml(reversed, 218, dimensions), 'HTML 报告应与对象键顺序无关');
+        console.assert(!/<(script|link)\b/.test(html), 'HTML 报告不应依赖外部资源');
+        console.assert((html.match(/<rect /g) || []).length === 12, 'HTML 报告应为每个地区绘制条形');
+        console.log('✓ Markdown与HTML报告测试通过');
+      }
+    }
+  ],
+
+  // 计算进度事件测试
+  progress: [
+    {
+      name: '批量统计进度事件测试',
+      fn: () => {
+        const events = [];
+        const data = [...loadDemoData(), { id: 'bad' }];
+        calculateStatistics(data, { trends: true, where: 'year > 2014', onProgress: event => events.push(event) });
+
+        const stages = events.filter(event => event.type === 'stage');
+        console.assert(stages.length % 2 === 0 && stages.every((event, i) =>
+          event.status === (i % 2 === 0 ? 'start' : 'end') && event.stage === stages[i - i % 2].stage
+        ), '阶段事件应成对出现');
+        console.assert(stages[0].stage === '数据清洗' && stages.at(-1).stage === '趋势分析', `阶段顺序不正确: ${stages.map(e => e.stage)}`);
+        console.assert(stages.filter(e => e.status === 'end').every(e => e.duration >= 0), '阶段结束事件应包含耗时');
+        console.assert(events.at(-1).percent === 100, '最后一个事件的完成百分比应为 100');
+        console.assert(events.every((event, i) => i === 0 || event.percent >= events[i - 1].percent), '完成百分比应单调递增');
+
+        const records = events.find(event => event.type === 'records');
+        console.assert(records.processed === 219 && records.rejected === 1 && records.valid === 218, '记录数事件应包含校验结果');
+        console.assert(records.matched < records.valid, '记录数事件应包含过滤后的记录数');
+        console.log('✓ 批量统计进度事件测试通过');
+      }
+    },
+    {
+      name: '流式与并行统计进度事件测试',
+      fn: async () => {
+        const data = loadDemoData();
+        const streamEvents = [];
+        await calculateStatisticsStream(toChunks(data, 100), { onProgress: event => streamEvents.push(event) });
+        const streamRecords = streamEvents.filter(event => event.type === 'records');
+        console.assert(streamRecords.map(event => event.processed).join() === '100,200,218', '流式统计应每个数据块报告一次记录数');
+        console.assert(streamEvents.every(event => event.percent === null), '流式统计不报告完成百分比');
+
+        const parallelEvents = [];
+        await calculateStatisticsParallel(data, {
+          workers: 2,
+          threshold: 0,
+          approximate: true,
+          stats: ['sum', 'mean'],
+          onProgress: event => parallelEvents.push(event)
+        });
+        const percents = parallelEvents.filter(event => event.type === 'records').map(event => event.percent);
+        console.assert(percents.length === 3 && percents[1] < percents[2], `并行统计应在每个分片完成时报告进度: ${percents}`);
+        console.assert(parallelEvents.at(-1).percent === 100, '并行统计最后的完成百分比应为 100');
+        console.log('✓ 流式与并行统计进度事件测试通过');
+      }
+    },
+    {
+      name: '并发进度计时测试',
+      fn: () => {
+        // 并发的计算使用相同的阶段名称，各自计时，不应产生全局计时器的重复标签警告
+        const warnings = [];
+        const emitWarning = process.emitWarning;
+        process.emitWarning = (warning) => warnings.push(String(warning));
+        const durations = [];
+        try {
+          const outer = createProgress(event => event.status === 'end' && durations.push(['outer', event.duration]));
+          const inner = createProgress(event => event.status === 'end' && durations.push(['inner', event.duration]));
+          outer.start('数据清洗');
+          inner.start('数据清洗');
+          inner.end('数据清洗');
+          outer.end('数据清洗');
+        } finally {
+          process.emitWarning = emitWarning;
+        }
+        console.assert(warnings.length === 0, `不应产生计时器警告: ${warnings}`);
+        console.assert(durations.map(([name]) => name).join() === 'inner,outer' && durations[1][1] >= durations[0][1], '各报告器应分别计时');
+        console.log('✓ 并发进度计时测试通过');
+      }
+    }
+  ],
+
+  // 异步计算任务测试
+  jobs: [
+    {
+      name: '任务队列并发与结果测试',
+      fn: async () => {
+        let running = 0;
+        let peak = 0;
+        const queue = createJobQueue(async (input, { onProgress }) => {
+          running++;
+          peak = Math.max(peak, running);
+          onProgress({ type: 'stage', stage: '数据清洗', status: 'start', percent: 50 });
+          onProgress({ type: 'records', processed: 3, valid: 2, rejected: 1, matched: 2, percent: 40 });
+          await new Promise(resolve => setTimeout(resolve, 10));
+          running--;
+          if (input === 'bad') throw new Error('任务出错');
+          return input * 2;
+        }, { concurrency: 2, maxQueued: 2 });
+
+        const submitted = [1, 2, 3].map(input => queue.submit(input));
+        const events = [];
+        queue.subscribe(submitted[0], event => events.push(event));
+        const failed = queue.submit('bad');
+        console.assert(queue.submit(4) === null, '队列已满时应拒绝新任务');
+        console.assert(queue.describe(submitted[2]).status === 'queued', '超出并发数的任务应排队');
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+        console.assert(peak === 2, `同时运行的任务数应受并发上限限制: ${peak}`);
+        console.assert(submitted.every((job, i) => job.status === 'completed' && job.result === (i + 1) * 2), '任务结果不正确');
+        console.assert(queue.describe(submitted[0]).progress === 100, '完成的任务进度应为 100');
+        console.assert(
+          events.map(event => event.type).join() === 'status,stage,records,status',
+          `订阅者应依次收到状态和进度事件: ${events.map(event => event.type)}`
+        );
+        console.assert(events[2].progress === 50, '任务进度应只增不减');
+        console.assert(queue.describe(submitted[0]).stage === '数据清洗', '任务状态应包含当前阶段');
+        console.assert(queue.describe(submitted[0]).records.rejected === 1, '任务状态应包含记录数');
+        console.assert(queue.describe(failed).status === 'failed' && queue.describe(failed).error === '任务出错', '失败的任务应记录错误');
+        console.log('✓ 任务队列并发与结果测试通过');
+      }
+    },
+    {
+      name: '任务取消与过期清理测试',
+      fn: async () => {
+        const signals = [];
+        const queue = createJobQueue((input, { signal }) => new Promise((resolve, reject) => {
+          signals.push(signal);
+          signal.addEventListener('abort', () => reject(new Error('统计已取消')));
+        }), { concurrency: 1, ttl: 20 });
+
+        const running = queue.submit(1);
+        const queued = queue.submit(2);
+        await new Promise(resolve => setImmediate(resolve));
+        console.assert(running.status === 'running' && queued.status === 'queued', '并发为 1 时第二个任务应排队');
+
+        queue.cancel(queued.id);
+        queue.cancel(running.id);
+        console.assert(signals.length === 1 && signals[0].aborted, '取消运行中的任务应中止其 signal');
+        console.assert(running.status === 'cancelled' && queued.status === 'cancelled', '任务应被标记为已取消');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        console.assert(signals.length === 1, '已取消的排队任务不应再启动');
+
+        await new Promise(resolve => setTimeout(resolve, 30));
+        queue.cleanup();
+        console.assert(queue.get(running.id) === null, '过期的任务应被清理');
+        console.assert(queue.cancel('missing') === null, '不存在的任务应返回 null');
+        console.log('✓ 任务取消与过期清理测试通过');
+      }
+    },
+    {
+      name: '任务计算期间的状态与取消测试',
+      fn: async () => {
+        // 与服务端相同，任务在工作线程中计算，计算期间主线程能查询状态、转发进度和取消任务
+        const outcomes = [];
+        const queue = createJobQueue((input, { signal, onProgress }) =>
+          calculateStatisticsParallel(input, { signal, onProgress }).then(
+            () => outcomes.push('completed'),
+            (error) => outcomes.push(error.message)
+          ), { concurrency: 1 });
+        const data = loadDemoData();
+        const whenRunning = (job, callback) => queue.subscribe(job, (event) => {
+          if (event.type === 'status' && event.status === 'running') setImmediate(callback);
+        });
+        const waitFor = async (predicate) => {
+          while (!predicate()) await new Promise(resolve => setTimeout(resolve, 5));
+        };
+
+        const job = queue.submit(data);
+        const progress = [];
+        let during = null;
+        whenRunning(job, () => { during = queue.describe(job); });
+        queue.subscribe(job, event => event.type !== 'status' && progress.push(event.progress));
+        await waitFor(() => queue.isFinished(job));
+        console.assert(during.status === 'running' && during.progress < 100, `计算期间应能查询到运行中的任务状态: ${during.status}`);
+        console.assert(progress.some(value => value > 0 && value < 100), `运行中的任务应报告中间进度: ${progress}`);
+        console.assert(job.status === 'completed' && job.progress === 100, '任务应完成');
+
+        const cancelled = queue.submit(data);
+        whenRunning(cancelled, () => queue.cancel(cancelled.id));
+        await waitFor(() => outcomes.length === 2);
+        console.assert(cancelled.status === 'cancelled', '计算期间取消的任务应被标记为已取消');
+        console.assert(outcomes[1] === '统计已取消', `取消应中止工作线程中的计算: ${outcomes[1]}`);
+        console.log('✓ 任务计算期间的状态与取消测试通过');
+      }
+    }
+  ],
+
+  // 文件上传测试
+  upload: [
+    {
+      name: 'multipart文件读取测试',
+      fn: async () => {
+        const boundary = '----form7MA4YWxk';
+        const csv = 'id,region,resource,year,value,weight\n1,华东,电力,2020,10,1\n2,华北,电力,2020,20,1\n';
+        const body = Buffer.from([
+          `--${boundary}\r\nContent-Disposition: form-data; name="note"\r\n\r\n备注\r\n`,
+          `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="data.csv"\r\nContent-Type: text/csv\r\n\r\n`,
+          csv,
+          `\r\n--${boundary}--\r\n`
+        ].join(''));
+
+        console.assert(
+          multipartBoundary(`multipart/form-data; boundary=${boundary}`) === boundary &&
+          multipartBoundary(`multipart/form-data; boundary="${boundary}"`) === boundary,
+          '应从 Content-Type 中取出 boundary'
+        );
+        console.assert(multipartBoundary('application/json') === null, '非 multipart 请求应返回 null');
+
+        // 逐字节和一次性读入，分隔线被拆散在多个数据块中也应正确切分
+        for (const size of [1, 5, body.length]) {
+          const chunks = [];
+          for (let i = 0; i < body.length; i += size) chunks.push(body.subarray(i, i + size));
+          const file = await openMultipartFile(Readable.from(chunks), boundary);
+          console.assert(file.filename === 'data.csv' && file.name === 'file' && file.contentType === 'text/csv', '文件字段信息不正确');
+          console.assert(file.fields.note === '备注', '文件之前的普通字段应被读取');
+
+          const records = [];
+          for await (const chunk of readRecords(file.body, { format: 'csv' })) records.push(...chunk);
+          console.assert(records.length === 2 && records[1].region === '华北', `分块大小 ${size} 时文件内容不正确`);
+        }
+        console.log('✓ multipart文件读取测试通过');
+      }
+    },
+    {
+      name: 'multipart错误与流式统计测试',
+      fn: async () => {
+        const boundary = 'xyz';
+        const expectError = async (text, message) => {
+          try {
+            await openMultipartFile(Readable.from([Buffer.from(text)]), boundary);
+            console.assert(false, `应抛出错误: ${message}`);
+          } catch (error) {
+            console.assert(error.message.includes(message), `错误信息不正确: ${error.message}`);
+          }
+        };
+        await expectError('--xyz\r\nContent-Disposition: form-data; name="a"\r\n\r\n1\r\n--xyz--\r\n', '没有上传文件');
+        await expectError('--xyz\r\nContent-Disposition: form-data; name="file"; fil', '不完整');
+
+        // 出错或提前停止读取文件内容时不销毁请求体，服务端仍能返回错误响应并丢弃剩余数据
+        const drained = (readable) => new Promise(resolve => {
+          readable.once('end', () => resolve(true));
+          readable.resume();
+          setTimeout(() => resolve(false), 100);
+        });
+        const failed = Readable.from([Buffer.from('--xyz\r\nContent-Disposition: form-data; name="a"\r\n\r\n1\r\n--xyz--\r\n'), Buffer.from('rest')]);
+        await openMultipartFile(failed, boundary).catch(() => {});
+        console.assert(!failed.destroyed && await drained(failed), '解析出错后请求体应可继续丢弃');
+        const stopped = Readable.from(['--xyz\r\nContent-Disposition: form-data; name="file"; filename="a.csv"\r\n\r\nid\n1\n', '2\n', '\r\n--xyz--\r\n'].map(text => Buffer.from(text)));
+        for await (const chunk of (await openMultipartFile(stopped, boundary)).body) {
+          console.assert(chunk.length > 0, '文件内容块不应为空');
+          break;
+        }
+        console.assert(!stopped.destroyed && await drained(stopped), '提前停止读取后请求体应可继续丢弃');
+
+        // 上传的文件内容直接交给流式统计
+        const data = loadDemoData();
+        const body = Buffer.concat([
+          Buffer.from('--xyz\r\nContent-Disposition: form-data; name="file"; filename="demo.json"\r\n\r\n'),
+          Buffer.from(JSON.stringify(data)),
+          Buffer.from('\r\n--xyz--\r\n')
+        ]);
+        const file = await openMultipartFile(Readable.from([...toChunks(body, 4096)]), boundary);
+        const options = { dimensions: ['region'], stats: ['sum', 'count'] };
+        const streamed = await calculateStatisticsStream(readRecords(file.body, { chunkSize: 50 }), options);
+        const batch = calculateStatistics(data, options);
+        const region = Object.keys(batch.byRegion)[0];
+        console.assert(streamed.validation.total === data.length, '上传文件的记录数不正确');
+        console.assert(
+          closeTo(streamed.byRegion[region].sum, batch.byRegion[region].sum, 1e-6) &&
+          streamed.byRegion[region].count === batch.byRegion[region].count,
+          '上传文件的流式统计结果应与批量统计一致'
+        );
+
+        console.assert(supportsStreaming({}) && supportsStreaming({ trends: true }), '默认选项应支持流式统计');
+        console.assert(
+          !allowsApproximation({}) && !allowsApproximation({ approximate: true }) && allowsApproximation({ approximate: true, stats: ['sum'] }),
+          '只有显式允许近似并指定指标时才能代替精确计算'
+        );
+        console.assert(
+          !supportsStreaming({ stats: ['mode'] }) && !supportsStreaming({ outliers: 'iqr' }),
+          '众数、异常值需要完整数据，不支持流式统计'
+        );
+        console.log('✓ multipart错误与流式统计测试通过');
+      }
+    }
+  ],
+
+  // 数据集存储测试
+  datasets: [
+    {
+      name: '数据集导入与统计测试',
+      fn: async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-stats-'));
+        try {
+          const store = createDatasetStore(dir);
+          const data = loadDemoData();
+          const dataset = await store.importDataset(toChunks([...data, { id: 'bad' }], 50), {
+            name: 'demo',
+            source: { fileName: 'demo.json' }
+          });
+          console.assert(dataset.records === data.length && dataset.validation.rejected === 1, '应只保存通过校验的记录');
+          console.assert(dataset.fields.includes('region') && dataset.source.fileName === 'demo.json', '元信息不正确');
+
+          // 重新打开存储（如另一个进程）应能看到同一数据集，按 id 或名称查找
+          const reopened = createDatasetStore(dir);
+          console.assert((await reopened.list()).length === 1, '数据集列表不正确');
+          console.assert((await reopened.get('demo')).id === dataset.id && (await reopened.get(dataset.id)).name === 'demo', '应能按 id 或名称查找');
+          console.assert((await reopened.inspect('demo')).sample.length === 5, '查看数据集应附带样例记录');
+          console.assert((await reopened.get('missing')) === null, '不存在的数据集应返回 null');
+
+          // 同一数据集按不同维度、过滤条件统计，流式和读入全部记录两种方式都与直接统计一致
+          const options = { dimensions: ['resource'], stats: ['sum', 'count'], where: 'year >= 2012' };
+          const { results: streamed, engine } = await reopened.calculate('demo', { ...options, approximate: true });
+          console.assert(engine === 'stream', '允许近似计算时应流式读取数据集');
+          const batch = calculateStatistics(data, options);
+          const resource = Object.keys(batch.byResource)[0];
+          console.assert(
+            closeTo(streamed.byResource[resource].sum, batch.byResource[resource].sum, 1e-6) &&
+            streamed.byResource[resource].count === batch.byResource[resource].count,
+            '数据集流式统计结果应与直接统计一致'
+          );
+          const { results: buffered } = await reopened.calculate(dataset.id, { stats: ['mode'], outliers: 'iqr' });
+          const expected = calculateStatistics(data, { stats: ['mode'], outliers: 'iqr' });
+          console.assert(
+            JSON.stringify(buffered.byRegion) === JSON.stringify(expected.byRegion) &&
+            buffered.outliers.flagged === expected.outliers.flagged,
+            '需要完整数据的统计结果应与直接统计一致'
+          );
+          const defaults = await reopened.calculate('demo');
+          console.assert(
+            defaults.engine === 'worker' && JSON.stringify(defaults.results.byRegion) === JSON.stringify(calculateStatistics(data).byRegion),
+            '默认选项应读入全部记录精确计算（含加权中位数）'
+          );
+
+          try {
+            await store.importDataset([data], { name: 'demo' });
+            console.assert(false, '重名的数据集应被拒绝');
+          } catch (error) {
+            console.assert(error.message.includes('已存在'), `错误信息不正确: ${error.message}`);
+          }
+
+          console.assert((await store.remove('demo')).id === dataset.id, '删除应返回数据集');
+          console.assert((await store.list()).length === 0 && (await store.remove('demo')) === null, '数据集应被删除');
+          try {
+            await store.calculate('demo');
+            console.assert(false, '统计不存在的数据集应抛出错误');
+          } catch (error) {
+            console.assert(error.message.includes('数据集不存在'), `错误信息不正确: ${error.message}`);
+          }
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true });
+        }
+        console.log('✓ 数据集导入与统计测试通过');
+      }
+    },
+    {
+      name: '数据集schema与导入失败测试',
+      fn: async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-stats-'));
+        try {
+          const store = createDatasetStore(dir);
+          const schema = {
+            fields: {
+              region: { type: 'string', required: true, from: 'area' },
+              year: { type: 'integer', required: true },
+              value: { type: 'number', required: true, from: 'amount' },
+              weight: { type: 'number', default: 1 }
+            }
+          };
+          const records = [
+            { area: '华东', year: '2020', amount: '10' },
+            { area: '华东', year: 2021, amount: 30, weight: 2 },
+            { area: '华北', year: 2020 }
+          ];
+          const dataset = await store.importDataset([records], { name: '别名数据', schema });
+          console.assert(dataset.records === 2 && dataset.schema.fields.region.from === 'area', 'schema 应保存在元信息中');
+
+          // 保存的是映射和转换后的记录，统计时默认使用导入时的 schema（不要求 id、resource 字段）
+          const { results } = await store.calculate('别名数据', { dimensions: ['region'], stats: ['sum', 'weightedSum'] });
+          console.assert(results.validation.rejected === 0, '保存的记录应通过导入时的 schema');
+          console.assert(results.byRegion['华东'].sum === 40 && results.byRegion['华东'].weightedSum === 70, '别名数据的统计结果不正确');
+
+          try {
+            await store.importDataset([[{ x: 1 }, { y: 2 }]], { name: '无效数据' });
+            console.assert(false, '没有有效记录时应抛出错误');
+          } catch (error) {
+            console.assert(error.validation && error.validation.rejected === 2, '错误应附带校验报告');
+          }
+          try {
+            await store.importDataset([records], { name: ' ' });
+            console.assert(false, '空名称应被拒绝');
+          } catch (error) {
+            console.assert(error.message.includes('名称'), `错误信息不正确: ${error.message}`);
+          }
+          const entries = fs.readdirSync(dir);
+          console.assert(entries.length === 1 && entries[0] === dataset.id, `失败的导入不应留下文件: ${entries}`);
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true });
+        }
+        console.log('✓ 数据集schema与导入失败测试通过');
+      }
+    }
+  ],
+
+  // 结果缓存测试
+  cache: [
+    {
+      name: '缓存键规范化测试',
+      fn: () => {
+        console.assert(stableStringify({ b: 1, a: [2, { d: undefined, c: 3 }] }) === '{"a":[2,{"c":3}],"b":1}', '稳定序列化应按键名排序');
+
+        const data = [{ id: 1, region: '华东', value: 10 }, { id: 2, region: '华北', value: 20 }];
+        const reordered = data.map(({ value, region, id }) => ({ value, region, id }));
+        const key = cacheKey(data, {});
+        console.assert(/^[0-9a-f]{64}$/.test(key), '缓存键应为 SHA-256 十六进制');
+        console.assert(cacheKey(reordered, {}) === key, '字段顺序不同的同一数据应得到相同的缓存键');
+        console.assert(
+          cacheKey(data, { dimensions: DEFAULT_DIMENSIONS.map(normalizeDimension), metric: 'value', precision: 'compensated', where: ' ', onProgress: () => {} }) === key,
+          '等价的选项（默认值、空过滤条件、进度回调）应得到相同的缓存键'
+        );
+        console.assert(cacheKey(data, { dimensions: ['region'] }) === cacheKey(data, { dimensions: [['region']] }), '维度规格应先规范化');
+        console.assert(cacheKey(data, { stats: 'default' }) === cacheKey(data, { stats: DEFAULT_STATS }) && cacheKey(data, { stats: 'default' }) === key, '指标预设和未指定的指标应展开为同一列表');
+        console.assert(cacheKey(data, { workers: 4, threshold: 0 }) === key, '线程数和并行阈值只决定计算方式，不应影响缓存键');
+
+        const schema = { fields: { value: { type: 'number', required: true } } };
+        console.assert(cacheKey(data, { schema }) === cacheKey(data, { schema: compileSchema(schema) }), '编译后的 schema 应按原始定义参与缓存键');
+
+        const different = [
+          cacheKey(data.slice(0, 1), {}),
+          cacheKey(data, { dimensions: ['region'] }),
+          cacheKey(data, { where: 'value > 10' }),
+          cacheKey(data, { metric: 'weight' }),
+          cacheKey(data, { precision: 'decimal' }),
+          cacheKey(data, { ranking: { top: 3, by: 'sum' } }),
+          cacheKey(data, { approximate: true })
+        ];
+        console.assert(new Set([key, ...different]).size === different.length + 1, '输入或选项不同时缓存键应不同');
+
+        // 分块计算与一次性计算的缓存键相同
+        const chunked = createCacheKey().update(data.slice(0, 1)).update(data.slice(1)).digest({});
+        console.assert(chunked === key, '分块计算的缓存键应与一次性计算相同');
+
+        try {
+          cacheKey(data, { stats: ['nope'] });
+          console.assert(false, '无效的指标应抛出错误');
+        } catch (error) {
+          console.assert(error.message.includes('nope'), `错误信息不正确: ${error.message}`);
+        }
+        console.log('✓ 缓存键规范化测试通过');
+      }
+    },
+    {
+      name: '内存LRU与磁盘缓存测试',
+      fn: async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-stats-cache-'));
+        try {
+          let computed = 0;
+          const compute = (value) => async () => {
+            computed++;
+            return { value };
+          };
+
+          const memory = createResultCache({ maxEntries: 2 });
+          const first = await memory.wrap('a', compute(1));
+          const second = await memory.wrap('a', compute(1));
+          console.assert(first.cache.status === 'miss' && second.cache.status === 'hit' && second.cache.tier === 'memory', '第二次应命中内存缓存');
+          console.assert(computed === 1 && second.value.value === 1, '命中缓存时不应重新计算');
+          console.assert(second.cache.hits === 1 && second.cache.misses === 1, '应报告累计的命中数和未命中数');
+
+          // 容量为 2：访问 a 后加入 b、c，最久未使用的 b 被淘汰
+          await memory.wrap('b', compute(2));
+          await memory.wrap('a', compute(1));
+          await memory.wrap('c', compute(3));
+          console.assert((await memory.get('b')) === null && (await memory.get('a')) !== null, '应淘汰最久未使用的结果');
+          console.assert(memory.stats().entries === 2, `内存中的结果数不正确: ${memory.stats().entries}`);
+
+          // 磁盘缓存在新的缓存实例（如进程重启）中仍然有效
+          const disk = createResultCache({ dir });
+          await disk.wrap('k', compute({ nested: [1, 2] }));
+          const reopened = createResultCache({ dir });
+          const hit = await reopened.wrap('k', compute(0));
+          console.assert(hit.cache.tier === 'disk' && hit.value.value.nested[1] === 2, '应命中磁盘缓存');
+          console.assert((await reopened.wrap('k', compute(0))).cache.tier === 'memory', '磁盘命中后应放入内存');
+          console.assert(fs.readdirSync(dir).length === 1, '磁盘缓存目录中不应留下临时文件');
+
+          // 计算失败不缓存
+          try {
+            await disk.wrap('fail', async () => { throw new Error('计算失败'); });
+          } catch (error) {
+            console.assert(error.message === '计算失败', '应抛出计算错误');
+          }
+          console.assert((await disk.get('fail')) === null, '失败的计算不应被缓存');
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true });
+        }
+        console.log('✓ 内存LRU与磁盘缓存测试通过');
+      }
+    }
+  ],
+
+  // 数据对比测试
+  compare: [
+    {
+      name: '记录对齐与分组变化测试',
+      fn: () => {
+        const before = [
+          { id: 'A', region: '华东', resource: '粮食', year: 2020, value: 10, weight: 1 },
+          { id: 'A', region: '华东', resource: '粮食', year: 2021, value: 20, weight: 1 },
+          { id: 'B', region: '华北', resource: '粮食', year: 2021, value: 30, weight: 2 },
+          { id: 'C', region: '西南', resource: '水果', year: 2021, value: 5, weight: 1 }
+        ];
+        const after = [
+          { id: 'A', region: '华东', resource: '粮食', year: 2020, value: 10, weight: 1 },
+          { id: 'A', region: '华东', resource: '粮食', year: 2021, value: 25, weight: 1 },
+          { id: 'B', region: '华北', resource: '蔬菜', year: 2021, value: 30, weight: 2 },
+          { id: 'D', region: '华南', resource: '水果', year: 2021, value: 8, weight: 1 },
+          { id: 'E', region: '华南', resource: '水果', year: 2021, value: 'bad', weight: 1 }
+        ];
+        const comparison = compareDatasets(before, after);
+
+        console.assert(comparison.key.join() === 'id,year', '默认按 id 和年份对齐');
+        const { summary } = comparison;
+        console.assert(summary.old === 4 && summary.new === 4, '两侧有效记录数应正确');
+        console.assert(summary.added === 1 && summary.removed === 1 && summary.changed === 2 && summary.unchanged === 1, '新增、删除、变化记录数应正确');
+        console.assert(comparison.validation.new.rejected === 1, '未通过校验的记录应计入校验报告');
+        console.assert(comparison.added[0].id === 'D' && comparison.removed[0].id === 'C', '应列出新增和删除的记录');
+        console.assert(comparison.fieldChanges.value === 1 && comparison.fieldChanges.resource === 1, '应统计各字段的变化记录数');
+
+        const [first, second] = comparison.changed;
+        console.assert(first.key.id === 'A' && first.key.year === 2021, '变化记录应按键排列');
+        const { value } = first.changes;
+        console.assert(value.old === 20 && value.new === 25 && value.delta === 5 && value.percent === 25, '数值字段应给出变化量和变化率');
+        console.assert(second.changes.resource.old === '粮食' && second.changes.resource.delta === null, '非数值字段的变化量应为 null');
+
+        const regions = Object.fromEntries(comparison.groups.byRegion.map(entry => [entry.keys[0], entry]));
+        console.assert(regions['华东'].status === 'changed' && regions['华东'].stats.sum.delta === 5, '分组总和变化应正确');
+        console.assert(closeTo(regions['华东'].stats.mean.percent, 50 / 3), '分组平均值变化率应正确');
+        console.assert(regions['华北'].status === 'unchanged', '指标没有变化的分组应为 unchanged');
+        console.assert(regions['西南'].status === 'removed' && regions['西南'].stats.sum.new === null, '只在旧数据中的分组应为 removed');
+        console.assert(regions['华南'].status === 'added' && regions['华南'].stats.count.new === 1, '只在新数据中的分组应为 added');
+        const resources = comparison.groups.byResource.map(entry => entry.keys[0]);
+        console.assert(resources.join() === ['水果', '粮食', '蔬菜'].sort().join(), '分组应按键排列');
+
+        const limited = compareDatasets(before, after, { key: 'id', limit: 0, fields: ['value'] });
+        console.assert(limited.summary.duplicates.old === 1 && limited.summary.old === 3, '键重复时应保留最后一条并计数');
+        console.assert(limited.changed.length === 0 && limited.summary.changed === 1, 'limit 只限制列出的条数');
+
+        // JSON 解析出的 __proto__ 字段是普通字段，应照常比较
+        const [oldProto, newProto] = ['{"__proto__": "x"}', '{"__proto__": "y"}']
+          .map(extra => before.map(record => ({ ...record, ...JSON.parse(extra) })));
+        const proto = compareDatasets(oldProto, newProto, { limit: 1 });
+        console.assert(Object.keys(proto.fieldChanges).join() === '__proto__' && proto.fieldChanges.__proto__ === 4, '__proto__ 字段的变化数错误');
+        console.assert(Object.keys(proto.changed[0].changes).join() === '__proto__', '__proto__ 字段的变化记录丢失');
+
+        const markdown = formatCompareMarkdown(roundResults(comparison));
+        console.assert(markdown.startsWith('# 数据对比报告') && markdown.includes('## 变化记录 (2)'), 'Markdown 报告应包含概况和变化记录');
+        const [regionSection] = compareGroupSections(comparison);
+        console.assert(regionSection.rows.some(row => row[0] === '华南 (新增)'), '新增分组应在表格中标注');
+        console.log('✓ 记录对齐与分组变化测试通过');
+      }
+    },
+    {
+      name: '年份对比与选项校验测试',
+      fn: () => {
+        const data = loadDemoData();
+        const years = compareDatasets(data, data, { years: '2012,2013', dimensions: ['region'] });
+        console.assert(years.key.join() === 'id', '年份对比时不按年份字段对齐');
+        console.assert(years.years.old === 2012 && years.years.new === 2013, '应记录对比年份');
+        console.assert(years.summary.old === data.filter(item => item.year === 2012).length, '旧数据只包含旧年份的记录');
+        console.assert(years.summary.new === data.filter(item => item.year === 2013).length, '新数据只包含新年份的记录');
+
+        const filtered = compareDatasets(data, data, { where: "region = 'Europe'" });
+        console.assert(filtered.summary.unchanged === data.filter(item => item.region === 'Europe').length, '过滤条件应同时作用于两侧');
+        console.assert(filtered.summary.added === 0 && filtered.summary.changed === 0, '相同数据应没有变化');
+
+        const invalid = [
+          () => normalizeCompareOptions({ years: [2012] }),
+          () => normalizeCompareOptions({ key: 'year', years: [2012, 2013] }),
+          () => normalizeCompareOptions({ limit: -1 }),
+          () => normalizeCompareOptions({ stats: ['unknown'] })
+        ];
+        for (const fn of invalid) {
+          let threw = false;
+          try { fn(); } catch { threw = true; }
+          console.assert(threw, '无效的对比选项应抛出错误');
+        }
+
+        try {
+          compareDatasets([{ id: 1 }], data);
+          console.assert(false, '旧数据没有有效记录时应抛出错误');
+        } catch (error) {
+          console.assert(error.message.includes('没有有效的数据记录') && error.validation.rejected === 1, '错误应附带校验报告');
+        }
+        console.log('✓ 年份对比与选项校验测试通过');
+      }
+    }
+  ],
+
   // 边界情况测试
   edgeCases: [
     {
@@ -268,7 +2179,7 @@ const testCases = {
 };
 
 // 运行测试
-function runTests() {
+async function runTests() {
   console.log('🧪 开始运行测试套件...\n');
   
   let totalTests = 0;
@@ -280,7 +2191,7 @@ function runTests() {
     for (const test of tests) {
       totalTests++;
       try {
-        test.fn();
+        await test.fn();
         passedTests++;
       } catch (error) {
         console.error(`❌ ${test.name} 失败:`, error.message);
@@ -331,7 +2242,7 @@ function runTests() {
 
 // 如果直接运行此文件
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const success = runTests();
+  const success = await runTests();
   process.exit(success ? 0 : 1);
 }
 